@@ -1,12 +1,67 @@
 // config/index.js
+const path = require('path');
+
 module.exports = {
   server: {
     port: process.env.PORT || 3000,
     logLevel: process.env.LOG_LEVEL || 'info'
   },
   
+  // HTTP fixtures for the wiki/dokkaninfo clients (see lib/http-fixtures.js):
+  // 'live' fetches normally, 'record' also saves responses, 'replay' serves only saved ones
+  fixtures: {
+    mode: process.env.DOKKAN_FIXTURES || 'live',
+    dir: process.env.DOKKAN_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures')
+  },
+
+  // Per-field trust rules used when wiki sources disagree about a card (see lib/card-reconciler.js):
+  // a source list ranks sources for that field, 'union' combines lists, 'newest' takes the latest edit
+  reconciliation: {
+    trustRules: {
+      stats: ['dokkanInfo', 'fandom'],
+      categories: 'union',
+      links: 'union',
+      releaseDates: ['fandom', 'dokkanInfo']
+    }
+  },
+
+  // Data sources (lib/sources/*-source.js). Pinned data types use the given order
+  // and are never re-ranked by updateSourcePriorities, e.g. { events: ['dokkanInfo', 'fandom'] }.
+  // options[sourceName] overrides a source's defaults: { enabled, rateLimitMs, dataTypes: { dataType: rank } }
+  sources: {
+    pinned: {},
+    options: {
+      // Local game-database dump (JSON file, directory of <table>.json, or .db/.sqlite); off when no path is set
+      gameDump: {
+        path: process.env.DOKKAN_DUMP_PATH || null,
+        region: process.env.DOKKAN_DUMP_REGION || 'jp'
+      }
+    }
+  },
+
   cache: {
-    ttl: 3600000 // 1 hour in milliseconds
+    ttl: 3600000, // 1 hour in milliseconds, for data types without their own policy
+    // Past its ttl an entry is still served for this long while a background refresh replaces it
+    staleTtl: 86400000,
+    cardTtl: 86400000, // single card records (card:<id>)
+    // Timestamped copies of datasets and card records, for point-in-time queries and diffs
+    snapshots: {
+      enabled: true,
+      maxPerKey: 100
+    }
+  },
+
+  // Cache policy per data type (see DataManager.getOrRefresh); also the data types updateFromWiki refreshes
+  dataTypes: {
+    cards: { ttl: 3600000 },
+    events: { ttl: 1800000 }, // 30 mins
+    ezas: { ttl: 3600000 },
+    dokkanEvents: { ttl: 3600000 },
+    storyEvents: { ttl: 3600000 },
+    missions: { ttl: 3600000 },
+    items: { ttl: 7200000 }, // 2 hours
+    links: { ttl: 86400000 }, // 1 day; link skills change rarely
+    categories: { ttl: 86400000 }
   },
   
   apis: {
@@ -0,0 +1,236 @@
+// lib/card-aliases.js
+const { cacheKey } = require('./data-manager');
+const { ABBREVIATIONS, holdsCards } = require('./card-search');
+const { normalize } = require('./text-utils');
+
+/**
+ * Resolve what people call a card (id, name, title, nickname, abbreviation)
+ * to the card itself.
+ *
+ * Aliases come from three places:
+ * - user-defined aliases, saved in DataManager under `state:aliases`
+ * - aliases learned from the cached cards and meta cards: names, JP/Global
+ *   titles, "<type> <name>", "<rarity> <type> <name>" and abbreviated forms
+ *   ("SSGSS Goku" for "Super Saiyan God SS Goku")
+ * - fuzzy search (lib/card-search.js) when no alias matches exactly
+ */
+
+const ALIASES_KEY = cacheKey('state', 'aliases');
+
+// Search score needed to accept the best fuzzy match as the card meant
+const MIN_SEARCH_SCORE = 0.75;
+
+// "super saiyan god ss goku" -> ["ssgss goku", "ssb goku"]
+function abbreviatedForms(name) {
+  const forms = new Set();
+  for (const [abbreviation, phrases] of Object.entries(ABBREVIATIONS)) {
+    for (const phrase of phrases) {
+      const pattern = new RegExp(`(^| )${phrase}( |$)`);
+      if (pattern.test(name)) forms.add(name.replace(pattern, `$1${abbreviation}$2`));
+    }
+  }
+  return Array.from(forms);
+}
+
+// Alias texts a card answers to
+function learnedAliases(card) {
+  const names = [card.name, card.jpName].filter(Boolean);
+  const titles = [card.title, card.jpTitle].filter(Boolean);
+  const aliases = [...names, ...titles.flatMap(title => names.map(name => `${title} ${name}`))];
+  for (const name of names) {
+    if (card.type) aliases.push(`${card.type} ${name}`);
+    if (card.class && card.type) aliases.push(`${card.class} ${card.type} ${name}`);
+    if (card.rarity) aliases.push(`${card.rarity} ${name}`);
+    if (card.rarity && card.type) aliases.push(`${card.rarity} ${card.type} ${name}`);
+  }
+  const normalized = aliases.map(normalize).filter(Boolean);
+  return [...new Set([...normalized, ...normalized.flatMap(abbreviatedForms)])];
+}
+
+function cardRef(card) {
+  return card.id ? `id:${card.id}` : `name:${normalize(card.name)}|${normalize(card.title)}`;
+}
+
+class CardAliases {
+  /**
+   * @param {Object} dataManager - DataManager (cached cards, saved aliases)
+   * @param {Object} options - { search: CardSearch, metaCards: async () => [cards],
+   *   remoteSearch: async (query, options) => [cards] for cards not cached yet }
+   */
+  constructor(dataManager, options = {}) {
+    this.dataManager = dataManager;
+    this.search = options.search || null;
+    this.metaCards = options.metaCards || null;
+    this.remoteSearch = options.remoteSearch || null;
+    this.learned = null; // alias -> Map(cardRef -> card)
+    this.cards = null; // cardRef -> card
+
+    const invalidate = () => { this.learned = null; this.cards = null; };
+    dataManager.on('updated', key => { if (holdsCards(key)) invalidate(); });
+    dataManager.on('cleared', invalidate);
+  }
+
+  async learn() {
+    if (this.learned) return this.learned;
+    const cards = [...(this.metaCards ? await this.metaCards() : []), ...await this.dataManager.findCards({})];
+
+    const learned = new Map();
+    this.cards = new Map();
+    for (const card of cards) {
+      this.cards.set(cardRef(card), card);
+      for (const alias of learnedAliases(card)) {
+        if (!learned.has(alias)) learned.set(alias, new Map());
+        learned.get(alias).set(cardRef(card), card);
+      }
+    }
+    this.learned = learned;
+    return learned;
+  }
+
+  async userAliases() {
+    return (await this.dataManager.getCachedData(ALIASES_KEY)) || {};
+  }
+
+  // User aliases grouped by card id, for indexing them in search
+  async userAliasesByCard() {
+    const byCard = new Map();
+    for (const [alias, entry] of Object.entries(await this.userAliases())) {
+      if (!byCard.has(entry.cardId)) byCard.set(entry.cardId, []);
+      byCard.get(entry.cardId).push(entry.alias || alias);
+    }
+    return byCard;
+  }
+
+  /**
+   * Save a user alias
+   * @param {String} alias - Nickname
+   * @param {String} cardId - Card id, or anything resolve() accepts
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Object>} { alias, cardId, name }
+   */
+  async addAlias(alias, cardId, options = {}) {
+    const key = normalize(alias);
+    if (!key) throw new Error('Alias must contain letters or digits');
+    const target = await this.resolve(cardId, options);
+    if (!target.cardId) throw new Error(`${target.card.name} has no card id to alias`);
+
+    const aliases = await this.userAliases();
+    aliases[key] = { alias: String(alias).trim(), cardId: target.cardId, createdAt: new Date().toISOString() };
+    await this.saveUserAliases(aliases);
+    return { alias: aliases[key].alias, cardId: target.cardId, name: target.card ? target.card.name : null };
+  }
+
+  async removeAlias(alias) {
+    const key = normalize(alias);
+    const aliases = await this.userAliases();
+    if (!aliases[key]) return false;
+    delete aliases[key];
+    await this.saveUserAliases(aliases);
+    return true;
+  }
+
+  // Search indexes user aliases as names, so it has to pick up the change
+  async saveUserAliases(aliases) {
+    await this.dataManager.cacheData(ALIASES_KEY, aliases);
+    if (this.search) this.search.invalidate();
+  }
+
+  /**
+   * User aliases, optionally only those of one card, plus the learned aliases of that card
+   * @param {String} cardId - Optional card id, name or alias
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Object>} { user: [{ alias, cardId, createdAt }], learned? }
+   */
+  async listAliases(cardId, options = {}) {
+    const user = Object.values(await this.userAliases());
+    if (!cardId) return { user };
+
+    const target = await this.resolve(cardId, options);
+    return {
+      cardId: target.cardId,
+      user: user.filter(entry => entry.cardId === target.cardId),
+      learned: target.card ? learnedAliases(target.card) : []
+    };
+  }
+
+  /**
+   * Find the card a reference means
+   * @param {String} reference - Card id, name, title, nickname or abbreviation
+   * @param {Object} options - Optional { signal } for the remote fallback
+   * @returns {Promise<Object>} { cardId, card, matchedBy: 'id' | 'alias' | 'learned' | 'search' | 'remote' }
+   *   (card is null when only the id is known; cardId is null for meta cards without one)
+   */
+  async resolve(reference, options = {}) {
+    const text = String(reference === undefined || reference === null ? '' : reference).trim();
+    if (!text) throw new Error('A card id, name or alias is required');
+
+    if (/^\d+$/.test(text)) {
+      const [card] = await this.dataManager.findCards({ id: text });
+      return { cardId: text, card: card || null, matchedBy: 'id' };
+    }
+
+    const key = normalize(text);
+    const user = (await this.userAliases())[key];
+    if (user) {
+      const [card] = await this.dataManager.findCards({ id: user.cardId });
+      return { cardId: user.cardId, card: card || null, matchedBy: 'alias' };
+    }
+
+    const learned = (await this.learn()).get(key);
+    if (learned && learned.size === 1) {
+      const [card] = learned.values();
+      return { cardId: card.id || null, card, matchedBy: 'learned' };
+    }
+
+    const candidates = learned ? Array.from(learned.values()) : await this.searchCandidates(text);
+    if (candidates.length === 1) {
+      return { cardId: candidates[0].id || null, card: candidates[0], matchedBy: learned ? 'learned' : 'search' };
+    }
+    if (candidates.length > 1) {
+      const list = candidates.slice(0, 5).map(card => `${card.name}${card.title ? ` [${card.title}]` : ''}${card.id ? ` (${card.id})` : ''}`);
+      throw new Error(`"${text}" matches several cards: ${list.join('; ')}. Use a card id or a more specific name.`);
+    }
+
+    let remoteError = null;
+    if (this.remoteSearch) {
+      try {
+        const remote = (await this.remoteSearch(text, options)) || [];
+        const exact = remote.filter(card => learnedAliases(card).includes(key));
+        const match = exact.length === 1 ? exact[0] : remote.length === 1 ? remote[0] : null;
+        if (match && match.id) return { cardId: String(match.id), card: null, matchedBy: 'remote' };
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        remoteError = error;
+      }
+    }
+
+    throw new Error(`No card found for "${text}"${remoteError ? ` (wiki search failed: ${remoteError.message})` : ''}`);
+  }
+
+  /**
+   * Resolve to a card id, for methods that fetch by id
+   * @param {String} reference - Card id, name or alias
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<String>} Card id
+   */
+  async resolveId(reference, options = {}) {
+    const target = await this.resolve(reference, options);
+    if (!target.cardId) throw new Error(`${target.card.name} is a meta card without a card id`);
+    return target.cardId;
+  }
+
+  // Best fuzzy matches: the top result, or every result tied with it
+  async searchCandidates(text) {
+    if (!this.search) return [];
+    const { results } = await this.search.search({ query: text, pageSize: 5 });
+    const top = results.filter(result => result.score >= MIN_SEARCH_SCORE && result.score === results[0].score);
+    // Search returns summaries; answer with the full records
+    await this.learn();
+    const full = this.cards;
+    const cards = new Map(top.map(result => [cardRef(result.card), full.get(cardRef(result.card)) || result.card]));
+    return Array.from(cards.values());
+  }
+}
+
+module.exports = CardAliases;
+module.exports.learnedAliases = learnedAliases;
@@ -0,0 +1,249 @@
+// lib/card-categories.js
+const { summarize } = require('./card-search');
+const { normalize } = require('./text-utils');
+const { parseLeaderSkill, parseConditions } = require('./leader-skills');
+
+/**
+ * Category database and membership queries.
+ *
+ * The category list comes from the sources (`categories` data type, refreshed
+ * by WikiUpdater); membership comes from the cards CardSearch indexes (cached
+ * cards and meta cards). Category names given by callers are matched loosely:
+ * case, punctuation and singular/plural do not matter ("pure saiyan").
+ */
+
+function categoryKey(name) {
+  return normalize(name).replace(/\s*\bcategory$/, '');
+}
+
+// "pure saiyans" and "pure saiyan" name the same category
+function looseKey(name) {
+  return categoryKey(name).split(' ').map(word => word.replace(/(es|s)$/, '')).join(' ');
+}
+
+// "Super AGL Type", "Super Class", "All allies"
+function conditionLabel(condition) {
+  if (condition.all) return 'All allies';
+  if (condition.type) return `${condition.class ? `${condition.class} ` : ''}${condition.type} Type`;
+  return `${condition.class} Class`;
+}
+
+// Whether a card meets a type/class condition of a leader skill
+function meetsCondition(card, condition) {
+  if (condition.all) return true;
+  if (condition.type && normalize(card.type) !== normalize(condition.type)) return false;
+  if (condition.class && normalize(card.class) !== normalize(condition.class)) return false;
+  return true;
+}
+
+/**
+ * Type, class and "all allies" conditions of a leader skill, by label
+ * @param {Object} parsed - parseLeaderSkill result
+ * @param {Boolean} namesCategories - Whether the skill names any known category
+ * @returns {Array} [{ label, type?, class?, all? }]
+ */
+function unitConditions(parsed, namesCategories) {
+  const conditions = new Map();
+  for (const clause of parsed.clauses) {
+    for (const condition of [...clause.conditions, ...clause.tiers.flatMap(tier => tier.conditions)]) {
+      if (condition.category) continue;
+      conditions.set(conditionLabel(condition), { label: conditionLabel(condition), ...condition });
+    }
+    // "All Types Ki +3 ..."; a clause whose categories were not recognised is not for everyone
+    const forEveryone = clause.conditions.length === 0 && (/^all\b/i.test(clause.text) || !namesCategories);
+    if (forEveryone) conditions.set('All allies', { label: 'All allies', all: true });
+  }
+  return Array.from(conditions.values());
+}
+
+// Category of a list a loosely written name refers to
+function findCategory(categories, name) {
+  const wanted = looseKey(name);
+  const exact = categories.find(category => looseKey(category.name) === wanted);
+  if (exact) return exact.name;
+
+  const partial = categories.filter(category => looseKey(category.name).includes(wanted));
+  if (wanted && partial.length === 1) return partial[0].name;
+  const suggestions = (partial.length > 0 ? partial : categories.filter(category =>
+    wanted.split(' ').some(word => word.length > 2 && looseKey(category.name).includes(word))))
+    .slice(0, 5).map(category => category.name);
+  throw new Error(`Unknown category: ${name}${suggestions.length > 0 ? ` (did you mean ${suggestions.join(', ')}?)` : ''}`);
+}
+
+class CardCategories {
+  /**
+   * @param {Object} search - CardSearch over the known cards
+   * @param {Object} options - { loadCategories: async ({ signal }) => [{ id, name, description }],
+   *   getCard: async (reference, { signal }) => card for categoriesOf/leaderSkillCoverage }
+   */
+  constructor(search, options = {}) {
+    this.search = search;
+    this.loadCategories = options.loadCategories || null;
+    this.getCard = options.getCard || null;
+  }
+
+  /**
+   * Every known category with its card count
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Array>} [{ name, id, description, cardCount }] sorted by name
+   */
+  async list(options = {}) {
+    const categories = new Map();
+    const add = (name, fields = {}) => {
+      const key = looseKey(name);
+      if (!key) return null;
+      if (!categories.has(key)) categories.set(key, { name, id: null, description: '', cardCount: 0 });
+      const category = categories.get(key);
+      for (const [field, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null && value !== '') category[field] = value;
+      }
+      return category;
+    };
+
+    if (this.loadCategories) {
+      try {
+        for (const record of (await this.loadCategories(options)) || []) {
+          add(record.name, { name: record.name, id: record.id, description: record.description });
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Cards still name their categories when no source answers
+        console.error('[ERROR] Failed to load the category list:', error.message);
+      }
+    }
+
+    for (const { card } of await this.search.index()) {
+      const seen = new Set();
+      for (const name of card.categories || []) {
+        const category = add(name);
+        if (category && !seen.has(category)) {
+          category.cardCount++;
+          seen.add(category);
+        }
+      }
+    }
+
+    return Array.from(categories.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Canonical name of a category
+   * @param {String} name - Category name, loosely written
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<String>} Category name as the sources write it
+   */
+  async resolveName(name, options = {}) {
+    return findCategory(await this.list(options), name);
+  }
+
+  /**
+   * Cards in a category
+   * @param {String} name - Category name
+   * @param {Object} options - Optional { page, pageSize, sortBy, order, signal }
+   * @returns {Promise<Object>} { category, total, page, pageSize, pages, cards }
+   */
+  async members(name, options = {}) {
+    return this.intersection([name], options);
+  }
+
+  /**
+   * Cards in every one of the given categories
+   * @param {Array} names - Category names
+   * @param {Object} options - Optional { page, pageSize, sortBy, order, signal }
+   * @returns {Promise<Object>} { categories, total, page, pageSize, pages, cards }
+   */
+  async intersection(names, options = {}) {
+    const list = (Array.isArray(names) ? names : [names]).filter(Boolean);
+    if (list.length === 0) throw new Error('At least one category is required');
+    const known = await this.list(options);
+    const categories = list.map(name => findCategory(known, name));
+
+    const { signal, ...params } = options;
+    const { results, ...page } = await this.search.search({ ...params, category: categories });
+    return {
+      ...(categories.length === 1 ? { category: categories[0] } : { categories }),
+      ...page,
+      cards: results.map(result => result.card)
+    };
+  }
+
+  /**
+   * Categories of a card
+   * @param {String} reference - Card id, name or alias
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Object>} { cardId, name, categories }
+   */
+  async categoriesOf(reference, options = {}) {
+    const card = await this.getCard(reference, options);
+    return { cardId: card.id || null, name: card.name, categories: card.categories || [] };
+  }
+
+  /**
+   * Which cards a leader skill boosts through the categories, types and classes it names
+   * @param {Object} input - { cardId } for a card's leader skill or { leaderSkill } text
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Object>} { leader, leaderSkill, categories, conditions, total, byCategory, byCondition,
+   *   cards: [{ card, matched }] } where conditions are the category names plus labels
+   *   such as "Super AGL Type", "Extreme Class" or "All allies"
+   */
+  async leaderSkillCoverage({ cardId, leaderSkill } = {}, options = {}) {
+    let leader = null;
+    let text = leaderSkill;
+    if (!text) {
+      if (!cardId) throw new Error('Either cardId or leaderSkill is required');
+      leader = await this.getCard(cardId, options);
+      text = leader.leaderSkill;
+      if (!text) throw new Error(`No leader skill known for ${leader.name}`);
+    }
+
+    const categories = await this.mentionedIn(text, options);
+    const others = unitConditions(parseLeaderSkill(text), categories.length > 0);
+    const wanted = new Map(categories.map(name => [looseKey(name), name]));
+    const byCondition = Object.fromEntries([...categories, ...others.map(condition => condition.label)].map(label => [label, 0]));
+    const cards = [];
+    for (const { card } of await this.search.index()) {
+      const matched = [
+        ...new Set((card.categories || []).map(looseKey).filter(key => wanted.has(key)).map(key => wanted.get(key))),
+        ...others.filter(condition => meetsCondition(card, condition)).map(condition => condition.label)
+      ];
+      if (matched.length === 0) continue;
+      for (const label of matched) byCondition[label]++;
+      cards.push({ card: summarize(card), matched });
+    }
+    // Cards boosted through several categories or conditions first
+    cards.sort((a, b) => b.matched.length - a.matched.length || String(a.card.name).localeCompare(String(b.card.name)));
+
+    return {
+      leader: leader ? { id: leader.id || null, name: leader.name } : null,
+      leaderSkill: text,
+      categories,
+      conditions: Object.keys(byCondition),
+      total: cards.length,
+      byCategory: Object.fromEntries(categories.map(name => [name, byCondition[name]])),
+      byCondition,
+      cards
+    };
+  }
+
+  // Known categories a text names, quoted or not
+  async mentionedIn(text, options = {}) {
+    const categories = await this.list(options);
+    const byKey = new Map(categories.map(category => [looseKey(category.name), category.name]));
+    const found = new Set();
+
+    // Leader skills quote their categories: '"Pure Saiyans" or "Movie Heroes" Category Ki +3 ...'
+    for (const { category } of parseConditions(text)) {
+      const key = category && looseKey(category);
+      if (byKey.has(key)) found.add(byKey.get(key));
+    }
+    if (found.size === 0) {
+      const plain = ` ${looseKey(text)} `;
+      for (const [key, name] of byKey) {
+        if (plain.includes(` ${key} `)) found.add(name);
+      }
+    }
+    return Array.from(found);
+  }
+}
+
+module.exports = CardCategories;
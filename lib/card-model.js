@@ -0,0 +1,435 @@
+// lib/card-model.js
+
+/**
+ * Canonical Card model shared by every source and by cardAnalysis.
+ *
+ * {
+ *   id, name, title, jpName, jpTitle,
+ *   type, class, rarity, isLR, cost, maxLevel, saLevel,
+ *   hp, atk, def,                       // headline stats (max level), derived from stats
+ *   stats: { base, max, '55%', rainbow } // { hp, atk, def } per awakening stage
+ *   leaderSkill,                        // string
+ *   passiveSkill, superAttack, ultraSuperAttack, activeSkill, standbySkill,
+ *                                       // { name, description, condition? } or null
+ *   links, categories,
+ *   transformations, exchanges,         // [{ cardId, condition }]
+ *   forms,                              // canonical cards for transformed/exchanged forms
+ *   isEZA, ezaStages: { eza, seza },    // { leaderSkill, passiveSkill, superAttack, ultraSuperAttack, stats } or null
+ *   releaseDates: { jp, global },
+ *   lastModified,                       // source's last edit time, when it reports one
+ *   sources,                            // sources that contributed, in priority order
+ *   provenance                          // field (or 'stats.max' style sub-field) -> source
+ * }
+ *
+ * Adapters convert each source's native record into this shape; mergeCards
+ * combines canonical cards field by field, keeping the source of each value.
+ */
+
+const STAT_STAGES = ['base', 'max', '55%', 'rainbow'];
+const SKILL_FIELDS = ['passiveSkill', 'superAttack', 'ultraSuperAttack', 'activeSkill', 'standbySkill'];
+
+// Fields merged one level deep, so e.g. stats.max and stats.base can come from different sources
+const NESTED_FIELDS = ['stats', 'releaseDates', 'ezaStages'];
+
+// Fields computed from others, or bookkeeping, rather than merged
+const DERIVED_FIELDS = ['hp', 'atk', 'def', 'isLR', 'lastModified', 'sources', 'provenance'];
+
+function createCard(fields = {}) {
+  return withDerivedFields({
+    id: '',
+    name: '',
+    title: '',
+    jpName: '',
+    jpTitle: '',
+    type: '',
+    class: '',
+    rarity: '',
+    cost: null,
+    maxLevel: null,
+    saLevel: null,
+    stats: {},
+    leaderSkill: '',
+    passiveSkill: null,
+    superAttack: null,
+    ultraSuperAttack: null,
+    activeSkill: null,
+    standbySkill: null,
+    links: [],
+    categories: [],
+    transformations: [],
+    exchanges: [],
+    forms: [],
+    isEZA: false,
+    ezaStages: {},
+    releaseDates: {},
+    lastModified: null,
+    sources: [],
+    provenance: {},
+    ...fields
+  });
+}
+
+// Headline stats and flags follow from the merged fields
+function withDerivedFields(card) {
+  const headline = card.stats.max || card.stats.rainbow || card.stats.base || {};
+  card.hp = headline.hp !== undefined ? headline.hp : null;
+  card.atk = headline.atk !== undefined ? headline.atk : null;
+  card.def = headline.def !== undefined ? headline.def : null;
+  // An explicit flag wins, e.g. a custom card that plays as an LR without saying its rarity
+  card.isLR = card.isLR === true || card.rarity === 'LR';
+  card.isEZA = !!(card.isEZA || card.ezaStages.eza);
+  return card;
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '' || value === false) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(String(value).replace(/[,\s]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+function toStats(stats) {
+  if (!stats) return null;
+  const result = {};
+  for (const stat of ['hp', 'atk', 'def']) {
+    const number = toNumber(stats[stat]);
+    if (number !== null) result[stat] = number;
+  }
+  return isEmpty(result) ? null : result;
+}
+
+function toSkill(skill) {
+  if (!skill) return null;
+  if (typeof skill === 'string') return { name: '', description: skill };
+  if (!skill.name && !skill.description) return null;
+  const result = { name: skill.name || '', description: skill.description || '' };
+  if (skill.condition) result.condition = skill.condition;
+  return result;
+}
+
+// Skill as plain text, for callers that search skill descriptions
+function skillText(skill) {
+  if (!skill) return '';
+  return typeof skill === 'string' ? skill : [skill.name, skill.description].filter(Boolean).join(': ');
+}
+
+// "Super AGL" / "AGL" -> { type: 'AGL', class: 'Super' }
+function splitType(value) {
+  const match = String(value || '').match(/(super|extreme)?\s*(AGL|TEQ|INT|STR|PHY)/i);
+  if (!match) return { type: value || '', class: '' };
+  return {
+    type: match[2].toUpperCase(),
+    class: match[1] ? match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase() : ''
+  };
+}
+
+function compactStages(stages) {
+  const result = {};
+  for (const [stage, value] of Object.entries(stages)) {
+    if (value) result[stage] = value;
+  }
+  return result;
+}
+
+/**
+ * Non-empty mergeable values of a card, nested fields flattened one level
+ * @param {Object} card - Canonical card
+ * @returns {Array} [path, value] pairs, e.g. ['stats.max', { hp, atk, def }]
+ */
+function fieldEntries(card) {
+  const entries = [];
+  for (const [field, value] of Object.entries(card)) {
+    if (DERIVED_FIELDS.includes(field) || isEmpty(value)) continue;
+    if (NESTED_FIELDS.includes(field)) {
+      for (const [key, nested] of Object.entries(value)) {
+        if (!isEmpty(nested)) entries.push([`${field}.${key}`, nested]);
+      }
+    } else {
+      entries.push([field, value]);
+    }
+  }
+  return entries;
+}
+
+// Set a field by path as produced by fieldEntries
+function setField(card, fieldPath, value) {
+  const [field, key] = fieldPath.split('.');
+  if (key === undefined) {
+    card[field] = value;
+  } else {
+    card[field] = { ...card[field], [key]: value };
+  }
+}
+
+// Provenance for every non-empty field (and sub-field of nested fields)
+function tagProvenance(card, source) {
+  card.sources = [source];
+  card.provenance = {};
+  for (const [fieldPath] of fieldEntries(card)) {
+    card.provenance[fieldPath] = source;
+  }
+  return card;
+}
+
+//=============================================================================
+// SOURCE ADAPTERS
+//=============================================================================
+
+/**
+ * Fandom wiki card (lib/wikitext-parser parseCardPage output)
+ * @param {Object} record - Parsed card page
+ * @returns {Object} Canonical card
+ */
+function fromFandom(record) {
+  const stages = record.statsByStage || (record.stats ? { max: record.stats } : {});
+  const ezaStage = stage => stage ? {
+    leaderSkill: stage.leaderSkill || '',
+    passiveSkill: toSkill(stage.passiveSkill),
+    superAttack: toSkill(stage.superAttack),
+    ultraSuperAttack: toSkill(stage.ultraSuperAttack),
+    stats: toStats(stage.stats)
+  } : null;
+
+  return createCard({
+    id: record.id ? String(record.id) : '',
+    name: record.name || '',
+    title: record.title || '',
+    jpName: record.jpName || '',
+    jpTitle: record.jpTitle || '',
+    type: record.type || '',
+    class: record.class || '',
+    rarity: record.rarity || '',
+    cost: toNumber(record.cost),
+    maxLevel: toNumber(record.maxLevel),
+    stats: compactStages(Object.fromEntries(STAT_STAGES.map(stage => [stage, toStats(stages[stage])]))),
+    leaderSkill: record.leaderSkill || '',
+    passiveSkill: toSkill(record.passiveSkill),
+    superAttack: toSkill(record.superAttack),
+    ultraSuperAttack: toSkill(record.ultraSuperAttack),
+    activeSkill: toSkill(record.activeSkill),
+    standbySkill: toSkill(record.standbySkill),
+    links: record.links || [],
+    categories: record.categories || [],
+    isEZA: !!record.isEZA,
+    ezaStages: compactStages({ eza: ezaStage(record.eza), seza: ezaStage(record.superEza) }),
+    releaseDates: compactStages(record.releaseDates || {}),
+    lastModified: record.lastModified || null
+  });
+}
+
+/**
+ * dokkaninfo.com card (DokkanScraper scrapeCardData or list page record)
+ * @param {Object} record - Scraped card
+ * @returns {Object} Canonical card
+ */
+function fromDokkanInfo(record) {
+  const stages = record.stats_by_stage || (record.stats ? { max: record.stats } : {});
+  const { type, class: cardClass } = splitType(record.type);
+  const forms = list => (list || []).map(form => ({ cardId: String(form.card_id), condition: form.condition || '' }));
+  const eza = record.eza ? {
+    leaderSkill: record.eza.leader_skill || '',
+    passiveSkill: toSkill(record.eza.passive_skill),
+    superAttack: toSkill(record.eza.super_attack),
+    ultraSuperAttack: null,
+    stats: null
+  } : null;
+
+  return createCard({
+    id: record.id ? String(record.id) : '',
+    name: record.name || '',
+    title: record.title || '',
+    type,
+    class: cardClass,
+    rarity: (record.rarity || '').toUpperCase(),
+    cost: toNumber(record.cost),
+    maxLevel: toNumber(record.max_level),
+    stats: compactStages({
+      base: toStats(stages.base),
+      max: toStats(stages.max),
+      '55%': toStats(stages['55%']),
+      rainbow: toStats(stages['100%'] || stages.rainbow)
+    }),
+    leaderSkill: record.leader_skill ? record.leader_skill.description || '' : '',
+    passiveSkill: toSkill(record.passive_skill),
+    superAttack: toSkill(record.super_attack),
+    ultraSuperAttack: toSkill(record.ultra_super_attack),
+    activeSkill: toSkill(record.active_skill),
+    standbySkill: toSkill(record.standby_skill),
+    links: record.links || [],
+    categories: record.categories || [],
+    transformations: forms(record.transformations),
+    exchanges: forms(record.exchanges),
+    forms: (record.forms || []).map(form => toCard('dokkanInfo', form)),
+    ezaStages: compactStages({ eza }),
+    releaseDates: compactStages({ global: record.release_date || null })
+  });
+}
+
+/**
+ * Flat cards: parseCustomCard output and the meta benchmark cards
+ * ({ name, type, rarity, hp, atk, def, leaderSkill, passiveSkill, superAttack, ... })
+ * @param {Object} record - Flat card
+ * @returns {Object} Canonical card
+ */
+function fromFlatCard(record) {
+  const { type, class: cardClass } = splitType(record.type);
+  return createCard({
+    id: record.id ? String(record.id) : '',
+    name: record.name || '',
+    title: record.title || '',
+    type,
+    class: cardClass,
+    rarity: (record.rarity || '').toUpperCase(),
+    saLevel: toNumber(record.saLevel),
+    stats: compactStages({ max: toStats(record) }),
+    leaderSkill: record.leaderSkill || '',
+    passiveSkill: toSkill(record.passiveSkill),
+    superAttack: toSkill(record.superAttack),
+    links: record.links || [],
+    categories: record.categories || [],
+    isLR: record.isLR === true,
+    isEZA: !!record.isEZA
+  });
+}
+
+const adapters = {
+  fandom: fromFandom,
+  dokkanInfo: fromDokkanInfo,
+  custom: fromFlatCard,
+  meta: fromFlatCard
+};
+
+/**
+ * Add or replace a card adapter (for sources with their own record format)
+ * @param {String} format - Adapter name
+ * @param {Function} adapter - Source record -> canonical card (see createCard)
+ */
+function registerCardAdapter(format, adapter) {
+  adapters[format] = adapter;
+}
+
+/**
+ * Convert a source record to a canonical card tagged with its provenance
+ * @param {String} source - Source name, recorded as provenance
+ * @param {Object} record - Source record
+ * @param {String} format - Adapter to read the record with (defaults to the source name)
+ * @returns {Object|null} Canonical card
+ */
+function toCard(source, record, format = source) {
+  if (!record) return null;
+  const adapter = adapters[format];
+  if (!adapter) throw new Error(`No card adapter for format: ${format}`);
+  return tagProvenance(adapter(record), source);
+}
+
+//=============================================================================
+// MERGING
+//=============================================================================
+
+/**
+ * Merge canonical cards field by field; for each field the first card (in the
+ * given order, i.e. source priority) with a non-empty value wins
+ * @param {Array} cards - Canonical cards, highest priority first
+ * @returns {Object|null} Merged card with combined sources and provenance
+ */
+function mergeCards(cards) {
+  const present = cards.filter(Boolean);
+  if (present.length === 0) return null;
+  if (present.length === 1) return present[0];
+
+  const merged = createCard();
+  const provenance = {};
+  const sourceOf = (card, field) => card.provenance[field] || card.sources[0];
+
+  for (const field of Object.keys(merged)) {
+    if (DERIVED_FIELDS.includes(field)) continue;
+
+    if (NESTED_FIELDS.includes(field)) {
+      merged[field] = {};
+      for (const card of present) {
+        for (const [key, value] of Object.entries(card[field] || {})) {
+          if (isEmpty(value) || merged[field][key] !== undefined) continue;
+          merged[field][key] = value;
+          provenance[`${field}.${key}`] = sourceOf(card, `${field}.${key}`);
+        }
+      }
+      continue;
+    }
+
+    const winner = present.find(card => !isEmpty(card[field]));
+    if (winner) {
+      merged[field] = winner[field];
+      provenance[field] = sourceOf(winner, field);
+    }
+  }
+
+  merged.sources = [...new Set(present.flatMap(card => card.sources))];
+  merged.provenance = provenance;
+  merged.lastModified = present.map(card => card.lastModified).filter(Boolean).sort().pop() || null;
+  merged.isLR = present.some(card => card.isLR);
+  return withDerivedFields(merged);
+}
+
+// Identities used to match the same card across sources' lists
+function cardKeys(card) {
+  const keys = [];
+  if (card.id) keys.push(`id:${card.id}`);
+  if (card.name) keys.push(`name:${`${card.name}|${card.title}`.toLowerCase().replace(/\s+/g, ' ').trim()}`);
+  return keys;
+}
+
+/**
+ * Group items that describe the same card, matching by id or by name + title
+ * @param {Array} items - Cards, or wrappers around cards
+ * @param {Function} getCard - Item -> canonical card
+ * @returns {Array} Groups of items in first-seen order
+ */
+function groupByCard(items, getCard = item => item) {
+  const groups = [];
+  const index = new Map();
+
+  for (const item of items) {
+    const keys = cardKeys(getCard(item));
+    let group = keys.map(key => index.get(key)).find(Boolean);
+    if (!group) {
+      group = [];
+      groups.push(group);
+    }
+    group.push(item);
+    keys.forEach(key => { if (!index.has(key)) index.set(key, group); });
+  }
+  return groups;
+}
+
+/**
+ * Merge card lists from several sources
+ * @param {Array} lists - Arrays of canonical cards, highest priority source first
+ * @returns {Array} Merged cards in first-seen order
+ */
+function mergeCardLists(lists) {
+  return groupByCard(lists.flat().filter(Boolean)).map(mergeCards);
+}
+
+module.exports = {
+  STAT_STAGES,
+  SKILL_FIELDS,
+  adapters,
+  registerCardAdapter,
+  createCard,
+  withDerivedFields,
+  isEmpty,
+  fieldEntries,
+  setField,
+  toCard,
+  mergeCards,
+  mergeCardLists,
+  groupByCard,
+  cardKeys,
+  skillText
+};
@@ -0,0 +1,136 @@
+// lib/card-reconciler.js
+const config = require('../config');
+const cardModel = require('./card-model');
+
+/**
+ * Field-level reconciliation of the same card as reported by several sources.
+ *
+ * Every field both sources fill in is compared; when the values differ the
+ * disagreement is reported as a conflict and resolved by the field's trust rule:
+ * - ['dokkanInfo', 'fandom']: take the value from the first listed source that has one
+ * - 'union': combine list values from all sources
+ * - 'newest': take the value from the most recently modified/fetched record
+ * Fields without a rule follow source priority (the order records are given in).
+ * Rules are looked up by field path ('stats.max') and then by field ('stats').
+ */
+
+// Comparable form: case, whitespace, list order and key order don't count as disagreement
+function comparable(value) {
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  if (Array.isArray(value)) return value.map(comparable).map(item => JSON.stringify(item)).sort();
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = comparable(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+function ruleFor(trustRules, fieldPath) {
+  return trustRules[fieldPath] || trustRules[fieldPath.split('.')[0]] || null;
+}
+
+function timeOf(value) {
+  const time = new Date(value.lastModified || value.fetchedAt || 0).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Pick the winning value for a conflicting field
+ * @param {String|Array|null} rule - Trust rule for the field
+ * @param {Array} values - [{ source, value, lastModified, fetchedAt }] in source priority order
+ * @returns {Object} { rule, source, value }
+ */
+function resolve(rule, values) {
+  if (rule === 'union' && values.every(entry => Array.isArray(entry.value))) {
+    const union = [];
+    for (const entry of values) {
+      for (const item of entry.value) {
+        if (!union.some(existing => sameValue(existing, item))) union.push(item);
+      }
+    }
+    return { rule: 'union', source: values.map(entry => entry.source).join('+'), value: union };
+  }
+
+  if (rule === 'newest') {
+    const newest = values.reduce((best, entry) => (timeOf(entry) > timeOf(best) ? entry : best));
+    return { rule: 'newest', source: newest.source, value: newest.value };
+  }
+
+  if (Array.isArray(rule)) {
+    const ranked = rule.map(source => values.find(entry => entry.source === source)).find(Boolean);
+    if (ranked) return { rule: `trust ${rule.join(' > ')}`, source: ranked.source, value: ranked.value };
+  }
+
+  return { rule: 'priority', source: values[0].source, value: values[0].value };
+}
+
+/**
+ * Merge one card's records from several sources and report where they disagree
+ * @param {Array} entries - [{ source, card, fetchedAt }] with canonical cards, highest priority first
+ * @param {Object} options - Optional { trustRules } (defaults to config.reconciliation.trustRules)
+ * @returns {Object} { card, conflicts: [{ field, values, resolution }] }
+ */
+function reconcileCards(entries, options = {}) {
+  const present = entries.filter(entry => entry && entry.card);
+  const trustRules = options.trustRules || config.reconciliation.trustRules;
+  const card = cardModel.mergeCards(present.map(entry => entry.card));
+  const conflicts = [];
+
+  const valuesByField = new Map();
+  for (const entry of present) {
+    for (const [fieldPath, value] of cardModel.fieldEntries(entry.card)) {
+      if (!valuesByField.has(fieldPath)) valuesByField.set(fieldPath, []);
+      valuesByField.get(fieldPath).push({
+        source: entry.source,
+        value,
+        lastModified: entry.card.lastModified || null,
+        fetchedAt: entry.fetchedAt ? new Date(entry.fetchedAt).toISOString() : null
+      });
+    }
+  }
+
+  for (const [fieldPath, values] of valuesByField) {
+    if (values.length < 2 || values.every(entry => sameValue(entry.value, values[0].value))) continue;
+
+    const resolution = resolve(ruleFor(trustRules, fieldPath), values);
+    cardModel.setField(card, fieldPath, resolution.value);
+    card.provenance[fieldPath] = resolution.source;
+    conflicts.push({ field: fieldPath, values, resolution });
+  }
+
+  return { card: cardModel.withDerivedFields(card), conflicts };
+}
+
+/**
+ * Reconcile card lists from several sources, matching cards across lists
+ * @param {Array} lists - [{ source, cards, fetchedAt }], highest priority first
+ * @param {Object} options - Optional { trustRules }
+ * @returns {Object} { cards, conflicts: [{ cardId, name, field, values, resolution }] }
+ */
+function reconcileCardLists(lists, options = {}) {
+  const entries = lists.flatMap(({ source, cards, fetchedAt }) =>
+    (cards || []).filter(Boolean).map(card => ({ source, card, fetchedAt })));
+
+  const cards = [];
+  const conflicts = [];
+  for (const group of cardModel.groupByCard(entries, entry => entry.card)) {
+    const result = reconcileCards(group, options);
+    cards.push(result.card);
+    for (const conflict of result.conflicts) {
+      conflicts.push({ cardId: result.card.id, name: result.card.name, ...conflict });
+    }
+  }
+  return { cards, conflicts };
+}
+
+module.exports = {
+  reconcileCards,
+  reconcileCardLists,
+  resolve
+};
@@ -0,0 +1,329 @@
+// lib/card-search.js
+const { namespaceOf } = require('./data-manager');
+const { normalize, tokenize } = require('./text-utils');
+
+/**
+ * Local search over cached cards (DataManager) and the meta cards.
+ *
+ * The free-text query is matched fuzzily against names, titles, JP names and
+ * categories: words may be abbreviated (SSJ, UI), misspelled by a letter or two,
+ * pluralised, or name the type/class/rarity ("TEQ Gods", "LR Trio").
+ * Structured filters narrow the candidates, stat ranges bound hp/atk/def/cost,
+ * and results are sorted (by relevance when there is a query) and paginated.
+ *
+ * The index is rebuilt lazily after cached cards or datasets change.
+ */
+
+const TYPES = ['agl', 'teq', 'int', 'str', 'phy'];
+const RARITIES = ['n', 'r', 'sr', 'ssr', 'ur', 'lr'];
+const CLASSES = ['super', 'extreme'];
+
+// Community abbreviations, expanded before matching
+const ABBREVIATIONS = {
+  ssj: ['super saiyan'],
+  ssj2: ['super saiyan 2'],
+  ssj3: ['super saiyan 3'],
+  ssj4: ['super saiyan 4'],
+  ssg: ['super saiyan god'],
+  ssgss: ['super saiyan god ss', 'super saiyan blue'],
+  ssb: ['super saiyan blue', 'super saiyan god ss'],
+  ssbe: ['super saiyan blue evolved'],
+  ssr: ['super saiyan rose'],
+  ui: ['ultra instinct'],
+  mui: ['ultra instinct'],
+  lssj: ['legendary super saiyan'],
+  gods: ['god']
+};
+
+const STAT_FIELDS = ['hp', 'atk', 'def', 'cost'];
+const SORT_FIELDS = ['relevance', 'name', 'hp', 'atk', 'def', 'cost', 'releaseDate'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MIN_RELEVANCE = 0.5;
+
+// Namespaces whose writes can add or replace cards; state: and snapshot: writes cannot
+const CARD_NAMESPACES = ['data', 'card'];
+
+/**
+ * Whether a cache change can affect the cards (for 'updated'/'cleared' listeners)
+ * @param {String} key - Changed key, undefined when the whole cache was cleared
+ * @returns {Boolean}
+ */
+function holdsCards(key) {
+  return key === undefined || CARD_NAMESPACES.includes(namespaceOf(key));
+}
+
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How well a query word matches a card word (0-1)
+function wordSimilarity(query, word) {
+  if (query === word) return 1;
+  const stem = value => value.replace(/(es|s)$/, '');
+  if (query.length > 3 && stem(query) === stem(word)) return 0.95;
+  if (query.length >= 3 && word.startsWith(query)) return 0.85;
+  if (query.length >= 4) {
+    const distance = editDistance(query, word, 2);
+    if (distance === 1) return 0.75;
+    if (distance === 2 && query.length >= 7) return 0.6;
+  }
+  if (query.length >= 4 && word.includes(query)) return 0.5;
+  return 0;
+}
+
+// Best match of a query phrase (one or more words) among a card's words, by position
+function phraseSimilarity(phrase, words) {
+  let best = 0;
+  for (let start = 0; start + phrase.length <= words.length; start++) {
+    let total = 0;
+    for (let i = 0; i < phrase.length; i++) {
+      total += wordSimilarity(phrase[i], words[start + i]);
+    }
+    best = Math.max(best, total / phrase.length);
+    if (best === 1) break;
+  }
+  return best;
+}
+
+function releaseDateOf(card, region) {
+  const dates = card.releaseDates || {};
+  if (region) return dates[region] || null;
+  return [dates.jp, dates.global].filter(Boolean).sort()[0] || null;
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function sameText(a, b) {
+  return normalize(a) === normalize(b);
+}
+
+function summarize(card) {
+  return {
+    id: card.id,
+    name: card.name,
+    title: card.title,
+    type: card.type,
+    class: card.class,
+    rarity: card.rarity,
+    cost: card.cost,
+    hp: card.hp,
+    atk: card.atk,
+    def: card.def,
+    isEZA: !!card.isEZA,
+    categories: card.categories || [],
+    links: card.links || [],
+    releaseDates: card.releaseDates || {}
+  };
+}
+
+class CardSearch {
+  /**
+   * @param {Object} dataManager - DataManager holding cached cards
+   * @param {Object} options - Optional { metaCards: async () => [cards] } extra cards to index,
+   *   { aliases: async () => Map(cardId -> [alias]) } user aliases searched like names
+   */
+  constructor(dataManager, options = {}) {
+    this.dataManager = dataManager;
+    this.metaCards = options.metaCards || null;
+    this.aliases = options.aliases || null;
+    this.entries = null;
+    this.building = null;
+
+    // Card and dataset writes may add or replace cards; saved state does not
+    dataManager.on('updated', key => { if (holdsCards(key)) this.invalidate(); });
+    dataManager.on('cleared', () => this.invalidate());
+  }
+
+  // Rebuild the index on next use, e.g. after the user aliases changed
+  invalidate() {
+    this.entries = null;
+  }
+
+  async index() {
+    if (this.entries) return this.entries;
+    if (!this.building) {
+      this.building = this.build().finally(() => { this.building = null; });
+    }
+    return this.building;
+  }
+
+  async build() {
+    const cached = await this.dataManager.findCards({});
+    const meta = this.metaCards ? await this.metaCards() : [];
+    const aliases = this.aliases ? await this.aliases() : new Map();
+
+    // Cached cards win over meta cards describing the same card
+    const cards = new Map();
+    for (const card of [...meta, ...cached]) {
+      cards.set(card.id ? `id:${card.id}` : `name:${normalize(card.name)}|${normalize(card.title)}`, card);
+    }
+
+    this.entries = Array.from(cards.values()).map(card => ({
+      card,
+      names: [card.name, card.title, card.jpName, card.jpTitle, ...(aliases.get(String(card.id)) || [])].filter(Boolean).map(tokenize),
+      categories: (card.categories || []).map(tokenize),
+      attributes: new Set([card.type, card.class, card.rarity, card.isEZA ? 'eza' : null].filter(Boolean).map(normalize))
+    }));
+    return this.entries;
+  }
+
+  /**
+   * Search the cached cards
+   * @param {Object} params - {
+   *   query,                                  // free text, fuzzy
+   *   type, class, rarity,                    // exact (case-insensitive), or a list of allowed values
+   *   category, link,                         // card must have every one given (string or list)
+   *   isEZA,                                  // boolean
+   *   releasedAfter, releasedBefore, region,  // release window (ISO dates); region 'jp' or 'global', default either
+   *   hp, atk, def, cost,                     // { min, max }
+   *   sortBy, order,                          // 'relevance' | 'name' | 'hp' | 'atk' | 'def' | 'cost' | 'releaseDate'; 'asc' | 'desc'
+   *   page, pageSize                          // 1-based page, up to 100 per page
+   * }
+   * @returns {Promise<Object>} { total, page, pageSize, pages, results: [{ score, card }] }
+   */
+  async search(params = {}) {
+    const sortBy = params.sortBy || (params.query ? 'relevance' : 'name');
+    if (!SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`Unknown sortBy: ${sortBy} (expected ${SORT_FIELDS.join(', ')})`);
+    }
+    const pageSize = Math.min(Math.max(parseInt(params.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+
+    const entries = await this.index();
+    const query = this.parseQuery(params.query);
+
+    const matches = [];
+    for (const entry of entries) {
+      if (!this.passesFilters(entry.card, params)) continue;
+      const score = query ? this.relevance(entry, query) : 1;
+      if (score >= MIN_RELEVANCE) matches.push({ score: Math.round(score * 1000) / 1000, card: entry.card });
+    }
+
+    const descending = (params.order || (sortBy === 'name' ? 'asc' : 'desc')) === 'desc';
+    const valueOf = match => {
+      if (sortBy === 'relevance') return match.score;
+      if (sortBy === 'releaseDate') return releaseDateOf(match.card, params.region);
+      return match.card[sortBy];
+    };
+    matches.sort((a, b) => {
+      const x = valueOf(a);
+      const y = valueOf(b);
+      // Cards without the value sort last either way
+      if (x === null || x === undefined || x === '') return y === null || y === undefined || y === '' ? 0 : 1;
+      if (y === null || y === undefined || y === '') return -1;
+      const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      return (descending ? -order : order) || b.score - a.score || String(a.card.name).localeCompare(String(b.card.name));
+    });
+
+    const start = (page - 1) * pageSize;
+    return {
+      total: matches.length,
+      page,
+      pageSize,
+      pages: Math.ceil(matches.length / pageSize),
+      results: matches.slice(start, start + pageSize).map(match => ({ score: match.score, card: summarize(match.card) }))
+    };
+  }
+
+  // Split the query into attribute words (type/class/rarity/EZA) and text phrases
+  parseQuery(text) {
+    const words = tokenize(text);
+    if (words.length === 0) return null;
+
+    const attributes = [];
+    const phrases = [];
+    for (const word of words) {
+      const isAttribute = TYPES.includes(word) || RARITIES.includes(word) || CLASSES.includes(word) || word === 'eza';
+      if (isAttribute) attributes.push(word);
+      // 'super' and 'ssr' are also ordinary name words
+      if (!isAttribute || word === 'super' || word === 'ssr') {
+        phrases.push((ABBREVIATIONS[word] || []).map(tokenize).concat([[word]]));
+      }
+    }
+    return { attributes, phrases, text: normalize(text) };
+  }
+
+  // Mean match over the query's words (0-1); 0 unless the text words match on
+  // average, or, for attribute-only queries, every attribute matches
+  relevance(entry, query) {
+    let attributeTotal = 0;
+    let attributeCount = 0;
+    for (const attribute of query.attributes) {
+      // An attribute word that is also a name word counts once, through the better match
+      if (attribute === 'super' || attribute === 'ssr') continue;
+      attributeTotal += entry.attributes.has(attribute) ? 1 : 0;
+      attributeCount++;
+    }
+
+    let textTotal = 0;
+    for (const alternatives of query.phrases) {
+      let best = 0;
+      for (const phrase of alternatives) {
+        for (const words of entry.names) best = Math.max(best, phraseSimilarity(phrase, words));
+        for (const words of entry.categories) best = Math.max(best, 0.8 * phraseSimilarity(phrase, words));
+        if (phrase.length === 1 && ['super', 'ssr'].includes(phrase[0]) && entry.attributes.has(phrase[0])) best = 1;
+      }
+      textTotal += best;
+    }
+
+    const textCount = query.phrases.length;
+    if (textCount > 0 ? textTotal / textCount < MIN_RELEVANCE : attributeTotal < attributeCount) return 0;
+
+    let score = (attributeTotal + textTotal) / (attributeCount + textCount);
+    // Whole query found verbatim in a name or title
+    if (entry.names.some(words => words.join(' ').includes(query.text))) score = Math.min(1, score + 0.2);
+    return score;
+  }
+
+  passesFilters(card, params) {
+    for (const field of ['type', 'class', 'rarity']) {
+      const allowed = asList(params[field]);
+      if (allowed.length > 0 && !allowed.some(value => sameText(value, card[field]))) return false;
+    }
+
+    const categories = card.categories || [];
+    if (!asList(params.category).every(wanted => categories.some(category => sameText(category, wanted)))) return false;
+    const links = card.links || [];
+    if (!asList(params.link).every(wanted => links.some(link => sameText(link, wanted)))) return false;
+
+    if (typeof params.isEZA === 'boolean' && !!card.isEZA !== params.isEZA) return false;
+
+    if (params.releasedAfter || params.releasedBefore) {
+      const released = releaseDateOf(card, params.region);
+      if (!released) return false;
+      if (params.releasedAfter && released < params.releasedAfter) return false;
+      if (params.releasedBefore && released > params.releasedBefore) return false;
+    }
+
+    for (const stat of STAT_FIELDS) {
+      const range = params[stat];
+      if (!range) continue;
+      const value = card[stat];
+      if (value === null || value === undefined) return false;
+      if (range.min !== undefined && value < range.min) return false;
+      if (range.max !== undefined && value > range.max) return false;
+    }
+    return true;
+  }
+}
+
+module.exports = CardSearch;
+module.exports.summarize = summarize;
+module.exports.holdsCards = holdsCards;
+module.exports.ABBREVIATIONS = ABBREVIATIONS;
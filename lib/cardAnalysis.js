@@ -10,6 +10,7 @@
 const fsSync = require('fs');
 const fs = require('fs').promises;
 const path = require('path');
+const cardModel = require('./card-model');
 
 // Local data cache
 let metaCardsCache = null;
@@ -40,6 +41,13 @@ let metaTrendsCache = null;
 // 8. On SA passive/Mid-Turn Buffs
 // 9. SA multiplier and effect: SA multiplier takes into account the SA Boost level
 
+// Buff for a stat: one number for ATK and DEF, or { atk, def } as derived from
+// leader skill text (lib/leader-skills.js) or shared links (lib/link-skills.js)
+function buffFor(value, stat) {
+  if (value && typeof value === 'object') return value[stat] || 0;
+  return value || 0;
+}
+
 /**
  * Calculate DEF stat following official order of operations
  * 
@@ -52,7 +60,7 @@ function calculateDEF(card, buffs = {}) {
   let def = card.def || 0;
   
   // 1. Apply Leader Skill buff
-  const leaderSkillBuff = (buffs.leaderSkill1 || 0) + (buffs.leaderSkill2 || 0);
+  const leaderSkillBuff = buffFor(buffs.leaderSkill1, 'def') + buffFor(buffs.leaderSkill2, 'def');
   def *= (1 + leaderSkillBuff);
   
   // 2. Apply Start of Turn + Support buffs
@@ -60,7 +68,7 @@ function calculateDEF(card, buffs = {}) {
   def *= (1 + sotBuff);
   
   // 3. Apply Link Skill buffs
-  const linkBuff = buffs.links || 0;
+  const linkBuff = buffFor(buffs.links, 'def');
   def *= (1 + linkBuff);
   
   // 4. Apply Support Memory buffs
@@ -100,7 +108,7 @@ function calculateATK(card, buffs = {}, ki = 12) {
   let atk = card.atk || 0;
   
   // 1. Apply Leader Skill buff
-  const leaderSkillBuff = (buffs.leaderSkill1 || 0) + (buffs.leaderSkill2 || 0);
+  const leaderSkillBuff = buffFor(buffs.leaderSkill1, 'atk') + buffFor(buffs.leaderSkill2, 'atk');
   atk *= (1 + leaderSkillBuff);
   
   // 2. Apply Start of Turn + Support buffs
@@ -108,7 +116,7 @@ function calculateATK(card, buffs = {}, ki = 12) {
   atk *= (1 + sotBuff);
   
   // 3. Apply Link Skill buffs
-  const linkBuff = buffs.links || 0;
+  const linkBuff = buffFor(buffs.links, 'atk');
   atk *= (1 + linkBuff);
   
   // 4. Apply Support Memory buffs
@@ -451,7 +459,7 @@ function getYearDescription(year) {
 /**
  * Parse custom card data from text format into structured object
  * @param {String} cardText - Raw text representation of the card
- * @returns {Object} Structured card data object
+ * @returns {Object} Canonical card (see lib/card-model.js)
  */
 function parseCustomCard(cardText) {
   const lines = cardText.split('\n');
@@ -503,7 +511,7 @@ function parseCustomCard(cardText) {
     }
   });
   
-  return card;
+  return cardModel.toCard('custom', card);
 }
 
 //=============================================================================
@@ -513,7 +521,7 @@ function parseCustomCard(cardText) {
 /**
  * Get meta cards for a specific category or 'all' categories
  * @param {String} category - Category name or 'all'
- * @returns {Array} Array of meta card data objects
+ * @returns {Array} Array of canonical meta cards
  */
 async function getMetaCards(category = 'all') {
   // Load cache if not already loaded
@@ -521,13 +529,16 @@ async function getMetaCards(category = 'all') {
     await loadMetaCardsData();
   }
   
+  // meta-cards.json keeps its flat shape; callers get canonical cards
+  const metaCards = metaCardsCache.map(card => cardModel.toCard('meta', card));
+  
   // Return all meta cards if no specific category requested
   if (category === 'all') {
-    return metaCardsCache;
+    return metaCards;
   }
   
   // Filter by category
-  return metaCardsCache.filter(card => 
+  return metaCards.filter(card => 
     card.categories && card.categories.some(cat => 
       cat.toLowerCase() === category.toLowerCase()
     )
@@ -734,8 +745,8 @@ async function analyzeCard(customCard, calculatedStats) {
   // Determine which features the card has
   const currentMetaFeatures = metaTrendsCache.metaFeatures[currentYearKey];
   const hasFeatures = currentMetaFeatures.filter(feature => 
-    customCard.passiveSkill && customCard.passiveSkill.toLowerCase().includes(feature.toLowerCase()) ||
-    customCard.superAttack && customCard.superAttack.toLowerCase().includes(feature.toLowerCase())
+    cardModel.skillText(customCard.passiveSkill).toLowerCase().includes(feature.toLowerCase()) ||
+    cardModel.skillText(customCard.superAttack).toLowerCase().includes(feature.toLowerCase())
   );
   
   return {
@@ -796,12 +807,13 @@ function getOverallAssessment(atkPercentage, defPercentage, featureRatio) {
 /**
  * Update meta data with latest information from wiki
  * @param {Object} wikiUpdater - WikiUpdater instance
+ * @param {Object} options - Optional { signal } to abort the wiki fetch
  * @returns {Promise<Object>} Update status
  */
-async function updateMetaData(wikiUpdater) {
+async function updateMetaData(wikiUpdater, options = {}) {
   try {
     // Get latest cards from wiki
-    const latestCards = await wikiUpdater.getLatestCardsFromBestSource();
+    const latestCards = await wikiUpdater.getLatestCardsFromBestSource(options);
     
     if (!latestCards || latestCards.length === 0) {
       return {
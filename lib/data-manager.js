@@ -1,38 +1,614 @@
 // lib/data-manager.js
 const fs = require('fs').promises;
 const path = require('path');
+const EventEmitter = require('events');
+const LocalStore = require('./local-store');
+const { recordsOf, diffValues } = require('./snapshot-diff');
+const { cache: cacheSettings, dataTypes: dataTypePolicies } = require('../config');
 
-class DataManager {
+/**
+ * Cached datasets and card records, kept in an indexed local store
+ * (data/store/store.log, see lib/local-store.js).
+ *
+ * Keys are `<namespace>:<name>`, built with cacheKey(): `card:<id>` for card
+ * records, `state:<name>` for persisted WikiUpdater state. Dataset keys
+ * (`cards`, `events`, ...) have no prefix and belong to the `data` namespace.
+ * Card records are tagged `category:<name>`, `link:<name>`, `type:<type>` and
+ * `rarity:<rarity>`, so clearCache() can drop e.g. every cached Pure Saiyans card.
+ *
+ * Cards are indexed wherever they are stored: single records under
+ * `card:<id>` and the card lists under `cards`/`latest-cards`. findCards()
+ * looks them up by id, name, category, link, type and rarity.
+ *
+ * getOrRefresh() applies the cache policy for a key (config dataTypes, or
+ * cache.cardTtl for card records): fresh entries are served as is, entries
+ * past their ttl but within staleTtl are served while one background refresh
+ * replaces them, and anything older is fetched before returning.
+ *
+ * Every write to a dataset or card record also keeps a timestamped snapshot
+ * (`snapshot:<key>@<time>`) when the records changed, so getDataAsOf() can
+ * answer what a key held at any point and diffSnapshots() what changed between
+ * two points. The newest cache.snapshots.maxPerKey snapshots per key are kept.
+ */
+
+const DEFAULT_NAMESPACE = 'data';
+const KEY_PATTERN = /^(?:[a-z][\w-]*:)?[\w.%~-]+$/i;
+const MAX_KEY_LENGTH = 200;
+const CARD_KEY_PREFIX = 'card:';
+const CARD_LIST_KEYS = ['cards', 'latest-cards'];
+const SNAPSHOT_NAMESPACE = 'snapshot';
+const SNAPSHOT_NAMESPACES = ['data', 'card'];
+
+function isValidKey(key) {
+  return typeof key === 'string' && key.length <= MAX_KEY_LENGTH && KEY_PATTERN.test(key) && !/(^|:)\.{1,2}$/.test(key);
+}
+
+function validateKey(key) {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid cache key: ${JSON.stringify(key)} (use cacheKey(namespace, name) for external ids)`);
+  }
+  return key;
+}
+
+function putOperation(key, value, tags) {
+  validateKey(key);
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    throw new Error(`Tags for ${key} must be an array of strings`);
+  }
+  return tags && tags.length > 0 ? { op: 'put', key, value, tags } : { op: 'put', key, value };
+}
+
+/**
+ * Build a cache key; the name is percent-encoded, so any id (e.g. a card id
+ * taken from a request) yields a safe key
+ * @param {String} namespace - Namespace, e.g. 'card'
+ * @param {String} name - Name within the namespace
+ * @returns {String} Key
+ */
+function cacheKey(namespace, name) {
+  if (!/^[a-z][\w-]*$/i.test(namespace)) throw new Error(`Invalid cache namespace: ${JSON.stringify(namespace)}`);
+  const encoded = encodeURIComponent(String(name))
+    .replace(/[!'()*.]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return validateKey(`${namespace}:${encoded}`);
+}
+
+// Name part of a key, decoded
+function keyName(key) {
+  const separator = key.indexOf(':');
+  return decodeURIComponent(separator === -1 ? key : key.slice(separator + 1));
+}
+
+function namespaceOf(key) {
+  const separator = key.indexOf(':');
+  return separator === -1 ? DEFAULT_NAMESPACE : key.slice(0, separator);
+}
+
+// Snapshot keys sort by time within a key: snapshot:<encoded key>@<zero-padded ms>
+function snapshotPrefix(key) {
+  return cacheKey(SNAPSHOT_NAMESPACE, `${key}@`);
+}
+
+function snapshotKey(key, takenAt) {
+  return cacheKey(SNAPSHOT_NAMESPACE, `${key}@${String(takenAt).padStart(15, '0')}`);
+}
+
+function toTime(date, label) {
+  const time = date instanceof Date ? date.getTime() : typeof date === 'number' ? date : Date.parse(date);
+  if (isNaN(time)) throw new Error(`Invalid ${label}: ${JSON.stringify(date)}`);
+  return time;
+}
+
+// Cards a cache entry holds: a single card record or a { data: [cards] } dataset
+function cardsIn(key, value) {
+  if (!value || typeof value !== 'object') return [];
+  if (key.startsWith(CARD_KEY_PREFIX)) return value.id !== undefined ? [value] : [];
+  if (!CARD_LIST_KEYS.includes(key)) return [];
+  const list = Array.isArray(value) ? value : value.data;
+  return Array.isArray(list) ? list.filter(card => card && card.id !== undefined) : [];
+}
+
+// Tags derived for card records, used for invalidation
+function cardTags(key, value) {
+  if (!key.startsWith(CARD_KEY_PREFIX) || !value || typeof value !== 'object') return [];
+  return [
+    ...(value.categories || []).map(category => `category:${category}`),
+    ...(value.links || []).map(link => `link:${link}`),
+    ...(value.type ? [`type:${value.type}`] : []),
+    ...(value.rarity ? [`rarity:${value.rarity}`] : [])
+  ];
+}
+
+const CARD_INDEXES = {
+  id: card => String(card.id),
+  name: card => card.name,
+  category: card => card.categories,
+  link: card => card.links,
+  type: card => card.type,
+  rarity: card => card.rarity
+};
+
+/**
+ * Schema migrations, applied in order by init(). Each runs inside a
+ * transaction together with the version bump, so it lands completely or not at all.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Import the flat data/cache/<key>.json files',
+    async up(tx, dataManager) {
+      let files = [];
+      try {
+        files = await fs.readdir(dataManager.cachePath);
+      } catch {
+        return;
+      }
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        if (!isValidKey(file.slice(0, -'.json'.length))) {
+          console.warn(`[WARN] Skipping cache file with an unsafe name: ${file}`);
+          continue;
+        }
+        try {
+          const data = JSON.parse(await fs.readFile(path.join(dataManager.cachePath, file), 'utf8'));
+          tx.cacheData(file.slice(0, -'.json'.length), data);
+        } catch (error) {
+          console.warn(`[WARN] Skipping unreadable cache file ${file}: ${error.message}`);
+        }
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Namespace card records (card:<id>) and WikiUpdater state (state:<name>)',
+    async up(tx, dataManager) {
+      const renames = { 'source-priorities': 'state:source-priorities', 'source-health': 'state:source-health', conflicts: 'state:conflicts' };
+      for (const key of dataManager.store.keys()) {
+        const target = key.startsWith('card-') ? cacheKey('card', key.slice('card-'.length)) : renames[key];
+        if (!target) continue;
+        tx.cacheData(target, await tx.getCachedData(key));
+        tx.deleteData(key);
+      }
+    }
+  }
+];
+
+function abortError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Emits 'updated' (key) whenever a cache entry is written, 'cleared' after clearCache
+// and 'refreshFailed' ({ key, error }) when a background refresh fails
+class DataManager extends EventEmitter {
   constructor(basePath) {
+    super();
+    this.refreshes = new Map(); // key -> in-flight refresh promise
+    this.cacheStats = new Map(); // key -> { hits, staleHits, misses, refreshes, refreshErrors }
     this.basePath = basePath;
+    // Pre-store flat cache files, read once by the first migration
     this.cachePath = path.join(basePath, 'data', 'cache');
+    this.store = new LocalStore(path.join(basePath, 'data', 'store'), {
+      documents: cardsIn,
+      indexes: CARD_INDEXES,
+      tags: cardTags
+    });
+    this.ready = null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.store.open();
+        await this.migrate();
+      })();
+    }
+    return this.ready;
+  }
+
+  async migrate() {
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= this.store.schemaVersion) continue;
+      console.log(`Migrating data store to v${migration.version}: ${migration.description}`);
+      // Migrations move data as is, without taking snapshots
+      await this.runTransaction(async tx => {
+        await migration.up(tx, this);
+        tx.ops.push({ op: 'schema', version: migration.version });
+      }, { snapshots: false });
+    }
+  }
+
+  /**
+   * Run several writes as one atomic batch. The callback gets a transaction with
+   * cacheData(key, data, { tags })/deleteData (queued) and getCachedData (sees the queued writes);
+   * nothing is written if it throws.
+   * @param {Function} fn - async tx => result
+   * @returns {Promise<*>} The callback's result
+   */
+  async transaction(fn) {
+    await this.init();
+    return this.runTransaction(fn);
+  }
+
+  async runTransaction(fn, { snapshots = true } = {}) {
+    const pending = new Map();
+    const tx = {
+      ops: [],
+      cacheData: (key, data, options = {}) => {
+        tx.ops.push(putOperation(key, data, options.tags));
+        if (snapshots) {
+          // One snapshot per key and batch: the last value written
+          const prefix = snapshotPrefix(key);
+          tx.ops = tx.ops.filter(op => !(op.op === 'put' && op.key.startsWith(prefix)));
+          tx.ops.push(...this.snapshotOperations(key, data));
+        }
+        pending.set(key, JSON.stringify(data));
+      },
+      deleteData: key => {
+        tx.ops.push({ op: 'delete', key: validateKey(key) });
+        pending.set(key, null);
+      },
+      getCachedData: async key => {
+        validateKey(key);
+        if (pending.has(key)) return pending.get(key) === null ? null : JSON.parse(pending.get(key));
+        return this.store.get(key);
+      }
+    };
+
+    const result = await fn(tx);
+    if (tx.ops.length > 0) {
+      await this.store.write(tx.ops);
+      for (const key of new Set(tx.ops.filter(op => op.key).map(op => op.key))) {
+        this.emit('updated', key);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @param {String} key - Cache key (see cacheKey)
+   * @param {*} data - JSON-serializable value
+   * @param {Object} options - Optional { tags } for clearCache({ tag })
+   */
+  async cacheData(key, data, options = {}) {
+    const operation = putOperation(key, data, options.tags);
+    await this.init();
+    await this.store.write([operation, ...this.snapshotOperations(key, data)]);
+    this.emit('updated', key);
+  }
+
+  /**
+   * Operations that snapshot a value being written: a new snapshot when its
+   * records differ from the latest one, and deletes for snapshots over the limit
+   * @param {String} key - Key being written
+   * @param {*} value - New value
+   * @returns {Array} Store operations
+   */
+  snapshotOperations(key, value) {
+    const settings = cacheSettings.snapshots || {};
+    if (settings.enabled === false || !SNAPSHOT_NAMESPACES.includes(namespaceOf(key))) return [];
+
+    const existing = this.snapshotKeys(key);
+    const latest = existing.length > 0 ? this.store.get(existing[existing.length - 1]) : null;
+    if (latest && JSON.stringify(recordsOf(latest.value)) === JSON.stringify(recordsOf(value))) return [];
+
+    const takenAt = Math.max(Date.now(), latest ? latest.takenAt + 1 : 0);
+    const operations = [{ op: 'put', key: snapshotKey(key, takenAt), value: { key, takenAt, value } }];
+
+    const limit = settings.maxPerKey || Infinity;
+    const overflow = existing.length + 1 - limit;
+    for (const old of existing.slice(0, Math.max(0, overflow))) operations.push({ op: 'delete', key: old });
+    return operations;
   }
 
-  async init() {
-    await fs.mkdir(this.cachePath, { recursive: true });
+  // Snapshot keys of a key, oldest first
+  snapshotKeys(key) {
+    const prefix = snapshotPrefix(key);
+    return this.store.keys().filter(candidate => candidate.startsWith(prefix)).sort();
   }
 
-  async cacheData(key, data) {
-    const filepath = path.join(this.cachePath, `${key}.json`);
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+  /**
+   * Snapshots kept for a key
+   * @param {String} key - Dataset or card key
+   * @returns {Promise<Array>} [{ takenAt, records }] oldest first (takenAt as ISO string)
+   */
+  async listSnapshots(key) {
+    validateKey(key);
+    await this.init();
+    return this.snapshotKeys(key).map(snapshot => {
+      const { takenAt, value } = this.store.get(snapshot);
+      return { takenAt: new Date(takenAt).toISOString(), records: recordsOf(value).length };
+    });
+  }
+
+  /**
+   * What a key held at a point in time: the latest snapshot taken at or before it
+   * @param {String} key - Dataset or card key
+   * @param {String|Number|Date} date - Point in time
+   * @returns {Promise<Object|null>} { key, takenAt, value }, null when nothing was cached yet
+   */
+  async getDataAsOf(key, date) {
+    validateKey(key);
+    const time = toTime(date, 'date');
+    await this.init();
+
+    const cutoff = snapshotKey(key, time);
+    const snapshot = this.snapshotKeys(key).filter(candidate => candidate <= cutoff).pop();
+    if (!snapshot) return null;
+    const { takenAt, value } = this.store.get(snapshot);
+    return { key, takenAt: new Date(takenAt).toISOString(), value };
+  }
+
+  /**
+   * Changes to a key between two points in time
+   * @param {String} key - Dataset or card key
+   * @param {String|Number|Date} from - Earlier point in time
+   * @param {String|Number|Date} to - Later point in time (default now)
+   * @returns {Promise<Object>} { key, from, to, added, removed, changed: [{ id, record, changes: [{ field, from, to }] }], unchanged }
+   */
+  async diffSnapshots(key, from, to = Date.now()) {
+    const before = await this.getDataAsOf(key, from);
+    const after = await this.getDataAsOf(key, to);
+    if (!after) throw new Error(`No snapshot of ${key} as of ${new Date(toTime(to, 'date')).toISOString()}`);
+
+    return {
+      key,
+      from: before ? before.takenAt : null,
+      to: after.takenAt,
+      ...diffValues(before ? before.value : null, after.value)
+    };
   }
 
   async getCachedData(key) {
+    validateKey(key);
+    await this.init();
+    this.countCache(key, this.store.has(key) ? 'hits' : 'misses');
+    return this.store.get(key);
+  }
+
+  /**
+   * Cache policy for a key
+   * @param {String} key - Cache key
+   * @returns {Object} { ttl, staleTtl } in milliseconds
+   */
+  policyFor(key) {
+    const policy = dataTypePolicies[key] ||
+      (key.startsWith(CARD_KEY_PREFIX) ? { ttl: cacheSettings.cardTtl } : {});
+    return {
+      ttl: policy.ttl ?? cacheSettings.ttl,
+      staleTtl: policy.staleTtl ?? cacheSettings.staleTtl ?? 0
+    };
+  }
+
+  /**
+   * Age and freshness of a cache entry under its policy
+   * @param {String} key - Cache key
+   * @returns {Object} { exists, ageMs, ttl, staleTtl, fresh, stale }
+   */
+  getCacheInfo(key) {
+    const { ttl, staleTtl } = this.policyFor(key);
+    const updatedAt = this.store.updatedAt(key);
+    if (updatedAt === null) return { exists: false, ageMs: null, ttl, staleTtl, fresh: false, stale: false };
+
+    const ageMs = Date.now() - updatedAt;
+    return {
+      exists: true,
+      ageMs,
+      ttl,
+      staleTtl,
+      fresh: ageMs < ttl,
+      stale: ageMs >= ttl && ageMs < ttl + staleTtl
+    };
+  }
+
+  /**
+   * Read a key through its cache policy, fetching when needed. Concurrent
+   * refreshes of the same key share one fetch.
+   * @param {String} key - Cache key
+   * @param {Function} fetchFn - async signal => value to cache (a null/undefined result isn't cached)
+   * @param {Object} options - Optional { signal } for a fetch the caller waits on;
+   *   background refreshes run without it
+   * @returns {Promise<*>} Cached or fetched value
+   */
+  async getOrRefresh(key, fetchFn, options = {}) {
+    validateKey(key);
+    await this.init();
+    const info = this.getCacheInfo(key);
+
+    if (info.fresh) {
+      this.countCache(key, 'hits');
+      return this.store.get(key);
+    }
+
+    if (info.stale) {
+      this.countCache(key, 'staleHits');
+      this.refresh(key, fetchFn).catch(error => {
+        console.error(`Background refresh of ${key} failed:`, error);
+        this.emit('refreshFailed', { key, error });
+      });
+      return this.store.get(key);
+    }
+
+    this.countCache(key, 'misses');
+    const { signal } = options;
+    const joined = this.refreshes.has(key);
     try {
-      const filepath = path.join(this.cachePath, `${key}.json`);
-      const data = await fs.readFile(filepath, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return null;
+      return await this.refresh(key, fetchFn, signal);
+    } catch (error) {
+      // The caller that started a shared refresh cancelled it; fetch again for this one
+      if (joined && error.name === 'AbortError' && !(signal && signal.aborted)) {
+        return await this.refresh(key, fetchFn, signal);
+      }
+      throw error;
     }
   }
 
-  async clearCache() {
-    const files = await fs.readdir(this.cachePath);
-    await Promise.all(
-      files.map(file => fs.unlink(path.join(this.cachePath, file)))
-    );
+  // Fetch and cache a key, sharing the fetch with concurrent callers
+  refresh(key, fetchFn, signal) {
+    if (this.refreshes.has(key)) {
+      const shared = this.refreshes.get(key);
+      if (!signal) return shared;
+      // Waiters can give up without cancelling the fetch for the others
+      return Promise.race([shared, new Promise((_, reject) => {
+        if (signal.aborted) reject(abortError());
+        signal.addEventListener('abort', () => reject(abortError()), { once: true });
+      })]);
+    }
+
+    this.countCache(key, 'refreshes');
+    const refresh = (async () => {
+      try {
+        const value = await fetchFn(signal);
+        if (value !== null && value !== undefined) await this.cacheData(key, value);
+        return value;
+      } catch (error) {
+        this.countCache(key, 'refreshErrors');
+        throw error;
+      } finally {
+        this.refreshes.delete(key);
+      }
+    })();
+    this.refreshes.set(key, refresh);
+    return refresh;
+  }
+
+  countCache(key, counter) {
+    if (!this.cacheStats.has(key)) {
+      this.cacheStats.set(key, { hits: 0, staleHits: 0, misses: 0, refreshes: 0, refreshErrors: 0 });
+    }
+    this.cacheStats.get(key)[counter]++;
+  }
+
+  /**
+   * Cache counters since startup and the current age/size of every entry
+   * @returns {Promise<Object>} { totals, keys: [{ key, state, ageMs, ttl, sizeBytes, hits, ... }], snapshots, store }
+   */
+  async getCacheStats() {
+    await this.init();
+    const totals = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, refreshErrors: 0, sizeBytes: 0 };
+    const snapshots = { count: 0, sizeBytes: 0 };
+    const keys = new Set();
+    for (const key of [...this.store.keys(), ...this.cacheStats.keys()]) {
+      if (namespaceOf(key) !== SNAPSHOT_NAMESPACE) {
+        keys.add(key);
+      } else if (this.store.has(key)) {
+        snapshots.count++;
+        snapshots.sizeBytes += this.store.sizeOf(key);
+      }
+    }
+
+    const entries = Array.from(keys).sort().map(key => {
+      const info = this.getCacheInfo(key);
+      const counters = this.cacheStats.get(key) || { hits: 0, staleHits: 0, misses: 0, refreshes: 0, refreshErrors: 0 };
+      const sizeBytes = this.store.sizeOf(key);
+      for (const counter of Object.keys(counters)) totals[counter] += counters[counter];
+      totals.sizeBytes += sizeBytes;
+
+      return {
+        key,
+        state: !info.exists ? 'missing' : info.fresh ? 'fresh' : info.stale ? 'stale' : 'expired',
+        ageMs: info.ageMs,
+        ttl: info.ttl,
+        sizeBytes,
+        refreshing: this.refreshes.has(key),
+        ...counters
+      };
+    });
+
+    return { totals, keys: entries, snapshots, store: this.store.stats() };
+  }
+
+  async deleteData(key) {
+    validateKey(key);
+    await this.init();
+    if (!this.store.has(key)) return false;
+    await this.store.write([{ op: 'delete', key }]);
+    this.emit('updated', key);
+    return true;
+  }
+
+  async listCachedKeys() {
+    await this.init();
+    return this.store.keys();
+  }
+
+  /**
+   * Remove cache entries. Without filters everything goes except the snapshot
+   * history (unless snapshots is true); otherwise only the keys matching every given filter.
+   * @param {Object} filters - Optional { namespace, prefix, tag, keys, snapshots }, e.g.
+   *   { tag: 'category:Pure Saiyans' } or { namespace: 'card', prefix: 'card:10144' }
+   * @returns {Promise<Object>} { cleared: count, keys }
+   */
+  async clearCache(filters = {}) {
+    await this.init();
+    const { namespace, prefix, tag, keys, snapshots = false } = filters;
+
+    if (!namespace && !prefix && !tag && !keys) {
+      const cleared = snapshots
+        ? this.store.keys()
+        : this.store.keys().filter(key => namespaceOf(key) !== SNAPSHOT_NAMESPACE);
+      await this.store.write(snapshots ? [{ op: 'clear' }] : cleared.map(key => ({ op: 'delete', key })));
+      this.emit('cleared');
+      return { cleared: cleared.length, keys: cleared };
+    }
+
+    let matches = tag ? this.store.keysWithTag(tag) : this.store.keys();
+    if (namespace) matches = matches.filter(key => namespaceOf(key) === namespace);
+    if (prefix) matches = matches.filter(key => key.startsWith(prefix));
+    if (keys) {
+      const wanted = new Set([].concat(keys));
+      matches = matches.filter(key => wanted.has(key));
+    }
+
+    if (matches.length > 0) {
+      await this.store.write(matches.map(key => ({ op: 'delete', key })));
+      matches.forEach(key => this.emit('updated', key));
+    }
+    return { cleared: matches.length, keys: matches };
+  }
+
+  /**
+   * Look up stored cards by indexed fields. Every given criterion must match;
+   * name also matches partially. A card stored several times (its own record
+   * and in card lists) is returned once, from the most recent write.
+   * @param {Object} criteria - { id, name, category, link, type, rarity }
+   * @param {Object} options - Optional { limit }
+   * @returns {Promise<Array>} Cards
+   */
+  async findCards(criteria = {}, options = {}) {
+    await this.init();
+    const unknown = Object.keys(criteria).filter(name => !CARD_INDEXES[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Cards can't be looked up by ${unknown.join(', ')} (indexed: ${Object.keys(CARD_INDEXES).join(', ')})`);
+    }
+
+    const latest = new Map();
+    for (const match of this.store.query(criteria, { partial: ['name'] })) {
+      const id = String(match.record.id);
+      const current = latest.get(id);
+      // Prefer the card's own record over list entries written at the same time
+      if (!current || match.updatedAt > current.updatedAt ||
+          (match.updatedAt === current.updatedAt && match.key.startsWith(CARD_KEY_PREFIX))) {
+        latest.set(id, match);
+      }
+    }
+
+    const cards = Array.from(latest.values()).map(match => JSON.parse(JSON.stringify(match.record)));
+    return options.limit ? cards.slice(0, options.limit) : cards;
+  }
+
+  async getCardById(cardId) {
+    const [card] = await this.findCards({ id: cardId });
+    return card || null;
+  }
+
+  getStoreStats() {
+    return this.store.stats();
   }
 }
 
-module.exports = DataManager;
\ No newline at end of file
+module.exports = DataManager;
+module.exports.MIGRATIONS = MIGRATIONS;
+module.exports.cacheKey = cacheKey;
+module.exports.keyName = keyName;
+module.exports.namespaceOf = namespaceOf;
+module.exports.isValidKey = isValidKey;
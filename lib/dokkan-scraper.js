@@ -1,78 +1,290 @@
 // lib/dokkan-scraper.js
 const cheerio = require('cheerio');
-const fetch = require('node-fetch');
+const { fetch } = require('./http-fixtures');
+const selectors = require('./scraper-selectors');
+
+// Data types served by list pages, mapped to their selector schema entry
+const LIST_PAGES = {
+  cards: 'latestCards',
+  events: 'events',
+  ezas: 'ezas',
+  dokkanEvents: 'dokkanEvents',
+  storyEvents: 'storyEvents',
+  missions: 'missions',
+  items: 'items'
+};
 
 class DokkanScraper {
   constructor(baseUrl = 'https://dokkaninfo.com') {
     this.baseUrl = baseUrl;
+    this.selectors = selectors;
+    // Last selector check per page: { ok, missing, records, checkedAt }
+    this.selectorHealth = {};
   }
 
-  async fetchPage(url) {
+  // options.signal (AbortSignal) cancels the underlying fetch
+  async fetchPage(url, options = {}) {
     try {
-      const response = await fetch(url);
+      const response = await fetch(url, { signal: options.signal });
       if (!response.ok) {
         throw new Error(`HTTP error: ${response.status}`);
       }
       return response.text();
     } catch (error) {
-      console.error('Fetch error:', error);
+      if (error.name !== 'AbortError') console.error('Fetch error:', error);
       throw error;
     }
   }
 
-  async scrapeCardData(cardId) {
-    const html = await this.fetchPage(`${this.baseUrl}/cards/${cardId}`);
-    const $ = cheerio.load(html);
-
-    return {
-      name: $('.card-name').text().trim(),
-      type: $('.card-type').text().trim(),
-      rarity: $('.card-rarity').text().trim(),
-      cost: $('.card-cost').text().trim(),
-      category: $('.card-category').text().trim(),
-      leader_skill: {
-        name: $('.leader-skill-name').text().trim(),
-        description: $('.leader-skill-desc').text().trim()
-      },
-      passive_skill: {
-        name: $('.passive-skill-name').text().trim(),
-        description: $('.passive-skill-desc').text().trim()
-      },
-      super_attack: {
-        name: $('.super-attack-name').text().trim(),
-        description: $('.super-attack-desc').text().trim()
-      },
-      links: $('.link-skill').map((_, el) => $(el).text().trim()).get(),
-      categories: $('.category').map((_, el) => $(el).text().trim()).get(),
-      stats: {
-        hp: $('.stat-hp').text().trim(),
-        atk: $('.stat-atk').text().trim(),
-        def: $('.stat-def').text().trim()
+  buildUrl(page, params = {}) {
+    const urlPath = this.selectors[page].path.replace(/\{(\w+)\}/g, (_, key) =>
+      encodeURIComponent(params[key] !== undefined ? params[key] : ''));
+    return `${this.baseUrl}${urlPath}`;
+  }
+
+  async loadPage(page, params = {}, options = {}) {
+    const html = await this.fetchPage(this.buildUrl(page, params), options);
+    return cheerio.load(html);
+  }
+
+  /**
+   * Extract fields described by the selector schema from one element
+   * @param {Function} $ - Cheerio root
+   * @param {Object} root - Element to search within
+   * @param {Object} fields - Field name -> selector spec
+   * @returns {Object} Extracted values
+   */
+  extractFields($, root, fields) {
+    const record = {};
+    for (const [field, spec] of Object.entries(fields)) {
+      const { selector, attr, list } = typeof spec === 'string' ? { selector: spec } : spec;
+      const matches = $(root).find(selector);
+      const read = el => (attr ? $(el).attr(attr) : $(el).text()) || '';
+
+      if (list) {
+        record[field] = matches.map((_, el) => read(el).trim()).get().filter(Boolean);
+      } else {
+        record[field] = matches.length > 0 ? read(matches.first()).trim() : '';
+      }
+
+      if (attr === 'href') {
+        record[field] = Array.isArray(record[field])
+          ? record[field].map(idFromHref)
+          : idFromHref(record[field]);
       }
+    }
+    return record;
+  }
+
+  /**
+   * Record which required fields matched nothing; throw when the page looks broken
+   * @param {String} page - Selector schema entry name
+   * @param {Array} records - Extracted records
+   */
+  checkSelectors(page, records) {
+    const required = this.selectors[page].required || [];
+    const missing = required.filter(field =>
+      !records.some(record => record[field] && record[field].length !== 0));
+
+    this.selectorHealth[page] = {
+      ok: missing.length === 0 && records.length > 0,
+      missing,
+      records: records.length,
+      checkedAt: new Date().toISOString()
+    };
+
+    if (missing.length > 0) {
+      console.warn(`[WARN] dokkaninfo ${page} page: selectors for ${missing.join(', ')} matched nothing`);
+    }
+
+    // Nothing we depend on matched: the page structure changed (or the page is empty)
+    if (records.length === 0 || missing.length === required.length) {
+      throw new Error(`dokkaninfo ${page} page structure not recognised (missing: ${missing.join(', ') || 'all items'})`);
+    }
+  }
+
+  getSelectorHealth() {
+    return this.selectorHealth;
+  }
+
+  async scrapeList(page, params = {}, options = {}) {
+    const $ = await this.loadPage(page, params, options);
+    const schema = this.selectors[page];
+    const records = $(schema.item)
+      .map((_, el) => this.extractFields($, el, schema.fields))
+      .get();
+
+    this.checkSelectors(page, records);
+    return records;
+  }
+
+  /**
+   * Scrape a card page, following transformations and exchanges into `forms`
+   * @param {String} cardId - Card id
+   * @param {Object} options - Optional { signal, includeForms (default true) }
+   * @returns {Promise<Object>} Card data
+   */
+  async scrapeCardData(cardId, options = {}) {
+    const visited = options.visited || new Set();
+    visited.add(String(cardId));
+
+    const $ = await this.loadPage('card', { id: cardId }, options);
+    const raw = this.extractFields($, $.root(), this.selectors.card.fields);
+    this.checkSelectors('card', [raw]);
+
+    const statsByStage = this.scrapeStats($);
+    const stats = statsByStage.max || statsByStage.base || { hp: '', atk: '', def: '' };
+
+    const card = {
+      id: raw.id || String(cardId),
+      name: raw.name,
+      title: raw.title,
+      type: raw.type,
+      rarity: raw.rarity,
+      cost: raw.cost,
+      max_level: raw.max_level,
+      release_date: raw.release_date,
+      category: raw.categories[0] || '',
+      leader_skill: skillOf(raw, 'leader_skill'),
+      passive_skill: skillOf(raw, 'passive_skill'),
+      super_attack: skillOf(raw, 'super_attack'),
+      ultra_super_attack: skillOf(raw, 'ultra_super_attack'),
+      active_skill: skillOf(raw, 'active_skill'),
+      standby_skill: skillOf(raw, 'standby_skill'),
+      links: raw.links,
+      categories: raw.categories,
+      stats,
+      stats_by_stage: statsByStage,
+      transformations: raw.transformation_ids.map(id => ({ card_id: id, condition: raw.transformation_condition })),
+      exchanges: raw.exchange_ids.map(id => ({ card_id: id, condition: raw.exchange_condition })),
+      eza: (raw.eza_leader_skill || raw.eza_passive_skill || raw.eza_super_attack) ? {
+        leader_skill: raw.eza_leader_skill,
+        passive_skill: raw.eza_passive_skill,
+        super_attack: raw.eza_super_attack
+      } : null
     };
+
+    // Multi-form cards: each transformed/exchanged form is its own card page
+    if (options.includeForms !== false) {
+      const formIds = [...card.transformations, ...card.exchanges]
+        .map(form => form.card_id)
+        .filter(id => id && !visited.has(String(id)));
+
+      card.forms = [];
+      for (const formId of formIds) {
+        if (visited.has(String(formId))) continue;
+        card.forms.push(await this.scrapeCardData(formId, { ...options, visited }));
+      }
+    }
+
+    return card;
+  }
+
+  // Stats table rows (HP/ATK/DEF) x awakening stage columns
+  scrapeStats($) {
+    const spec = this.selectors.card.stats;
+    const byStage = {};
+
+    $(spec.row).each((_, row) => {
+      const label = $(row).find(spec.label).first().text().trim().toLowerCase();
+      const stat = ['hp', 'atk', 'def'].find(name => label.startsWith(name));
+      if (!stat) return;
+
+      $(row).find(spec.cell).each((index, cell) => {
+        const stage = spec.stages[index];
+        if (!stage) return;
+        byStage[stage] = byStage[stage] || {};
+        byStage[stage][stat] = $(cell).text().trim();
+      });
+    });
+
+    return byStage;
+  }
+
+  async getLatestCards(options = {}) {
+    return this.scrapeList('latestCards', {}, options);
+  }
+
+  async searchCards(query, options = {}) {
+    return this.scrapeList('search', { query }, options);
+  }
+
+  async getEZAs(options = {}) {
+    const ezas = await this.scrapeList('ezas', {}, options);
+    return ezas.map(eza => ({
+      card_id: eza.id,
+      name: eza.name,
+      title: eza.title,
+      type: eza.type,
+      rarity: eza.rarity,
+      eza_date: eza.eza_date,
+      stages: eza.seza.length > 0 ? ['eza', 'seza'] : ['eza']
+    }));
+  }
+
+  async getEvents(options = {}) {
+    return (await this.scrapeList('events', {}, options)).map(normalizeEvent);
   }
 
-  async getLatestCards() {
-    const html = await this.fetchPage(`${this.baseUrl}/cards`);
-    const $ = cheerio.load(html);
+  async getDokkanEvents(options = {}) {
+    return (await this.scrapeList('dokkanEvents', {}, options)).map(normalizeEvent);
+  }
+
+  async getStoryEvents(options = {}) {
+    return (await this.scrapeList('storyEvents', {}, options)).map(normalizeEvent);
+  }
+
+  async getMissions(options = {}) {
+    return this.scrapeList('missions', {}, options);
+  }
+
+  async getItems(options = {}) {
+    return this.scrapeList('items', {}, options);
+  }
 
-    return $('.card-preview').map((_, el) => ({
-      id: $(el).data('card-id'),
-      name: $(el).find('.preview-name').text().trim(),
-      type: $(el).find('.preview-type').text().trim()
-    })).get();
+  async getGenericData(dataType, options = {}) {
+    const page = LIST_PAGES[dataType];
+    if (!page) throw new Error(`dokkaninfo has no page for data type: ${dataType}`);
+    const records = await this.scrapeList(page, {}, options);
+    return page.endsWith('vents') ? records.map(normalizeEvent) : records;
   }
 
-  async getEvents() {
-    const html = await this.fetchPage(`${this.baseUrl}/events`);
-    const $ = cheerio.load(html);
+  async getSample(dataType, count = 10, options = {}) {
+    const records = dataType === 'ezas'
+      ? await this.getEZAs(options)
+      : await this.getGenericData(dataType, options);
+    return records.slice(0, count);
+  }
+
+  async getAvailableDataTypes() {
+    return Object.keys(LIST_PAGES);
+  }
+}
+
+// "/cards/1014411" -> "1014411"
+function idFromHref(href) {
+  if (!href) return '';
+  const match = href.match(/\/(?:cards|events|items)\/([^/?#]+)/);
+  return match ? match[1] : href;
+}
+
+function skillOf(raw, prefix) {
+  const skill = {
+    name: raw[`${prefix}_name`] || '',
+    description: raw[prefix] || ''
+  };
+  if (raw[`${prefix}_condition`]) skill.condition = raw[`${prefix}_condition`];
+  return skill;
+}
 
-    return $('.event-item').map((_, el) => ({
-      name: $(el).find('.event-name').text().trim(),
-      date: $(el).find('.event-date').text().trim(),
-      description: $(el).find('.event-desc').text().trim()
-    })).get();
+// Events list only a combined date range on some pages ("2024/01/01 - 2024/01/10")
+function normalizeEvent(event) {
+  if ((!event.startDate || !event.endDate) && event.date) {
+    const [start, end] = event.date.split(/\s+[-~]\s+/);
+    event.startDate = event.startDate || start || '';
+    event.endDate = event.endDate || end || '';
   }
+  return event;
 }
 
 module.exports = DokkanScraper;
\ No newline at end of file
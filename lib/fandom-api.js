@@ -1,57 +1,338 @@
 // lib/fandom-api.js
-const fetch = require('node-fetch');
+const { fetch } = require('./http-fixtures');
+const { parseCardPage, parseGenericPage, parseLinkPage, cleanWikitext } = require('./wikitext-parser');
 
+// Wiki categories that hold each data type's pages
+const DATA_TYPE_CATEGORIES = {
+  cards: 'Cards',
+  events: 'Events',
+  ezas: 'Extreme Z-Awakened',
+  dokkanEvents: 'Dokkan Events',
+  storyEvents: 'Story Events',
+  missions: 'Missions',
+  items: 'Items',
+  links: 'Link Skills',
+  categories: 'Categories'
+};
+
+const MAX_TITLES_PER_QUERY = 50; // MediaWiki limit for titles= on anonymous requests
+
+/**
+ * MediaWiki api.php client for the Dokkan Fandom wiki.
+ * All methods accept options.signal (AbortSignal) to cancel in-flight fetches.
+ */
 class FandomAPI {
   constructor(baseUrl) {
     this.baseUrl = baseUrl;
+    this.apiEndpoint = '/api.php';
     this.endpoint = '/wikia.php';
     this.format = 'json';
+    this.categories = { ...DATA_TYPE_CATEGORIES };
   }
 
-  async getData(controller, method, params = {}) {
+  /**
+   * Call api.php
+   * @param {Object} params - API parameters (action, list, prop, ...)
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async api(params, options = {}) {
     try {
       const queryParams = new URLSearchParams({
-        controller: controller.endsWith('Controller') ? controller : `${controller}Controller`,
-        method,
         format: this.format,
+        formatversion: '2',
         ...params
       });
 
-      const url = `${this.baseUrl}${this.endpoint}?${queryParams}`;
-      const response = await fetch(url);
+      const url = `${this.baseUrl}${this.apiEndpoint}?${queryParams}`;
+      const response = await fetch(url, {
+        signal: options.signal,
+        headers: { 'User-Agent': 'dokkan-mcp/1.0.0' }
+      });
 
       if (!response.ok) {
         throw new Error(`Fandom API error: ${response.status}`);
       }
 
-      return response.json();
+      const data = await response.json();
+      if (data.error) {
+        throw new Error(`Fandom API error: ${data.error.code}: ${data.error.info}`);
+      }
+      return data;
     } catch (error) {
-      console.error('Fandom API error:', error);
+      if (error.name !== 'AbortError') console.error('Fandom API error:', error);
       throw error;
     }
   }
 
-  async getCardDetails(cardId) {
-    return this.getData('Articles', 'asJson', { id: cardId });
+  /**
+   * action=query, following `continue` until done or the item limit is reached
+   * @param {Object} params - Query parameters (list, prop, generator, ...)
+   * @param {Object} options - Optional { signal, limit, listKey }; listKey names the
+   *   query result list to accumulate (e.g. 'categorymembers', 'search', 'pages')
+   * @returns {Promise<Array>} Accumulated list items
+   */
+  async query(params, options = {}) {
+    const { limit = Infinity, listKey } = options;
+    const items = [];
+    let continuation = {};
+
+    do {
+      const data = await this.api({ action: 'query', ...params, ...continuation }, options);
+      const list = (data.query && data.query[listKey]) || [];
+      items.push(...list);
+      continuation = data.continue || null;
+    } while (continuation && items.length < limit);
+
+    return items.slice(0, limit);
+  }
+
+  /**
+   * action=parse for a single page
+   * @param {String} page - Page title
+   * @param {Object} options - Optional { signal, prop }
+   * @returns {Promise<Object>} Parse result (wikitext, categories, revid)
+   */
+  async parse(page, options = {}) {
+    const data = await this.api({
+      action: 'parse',
+      page,
+      prop: options.prop || 'wikitext|categories|revid',
+      redirects: '1'
+    }, options);
+    return data.parse;
+  }
+
+  /**
+   * List pages in a category, newest additions first
+   * @param {String} category - Category name without the Category: prefix
+   * @param {Object} options - Optional { signal, limit }
+   * @returns {Promise<Array>} [{ pageid, title, timestamp }]
+   */
+  async getCategoryMembers(category, options = {}) {
+    const limit = options.limit || 50;
+    return this.query({
+      list: 'categorymembers',
+      cmtitle: `Category:${category}`,
+      cmtype: 'page',
+      cmprop: 'ids|title|timestamp',
+      cmsort: 'timestamp',
+      cmdir: 'desc',
+      cmlimit: String(Math.min(limit, 500))
+    }, { ...options, limit, listKey: 'categorymembers' });
+  }
+
+  /**
+   * Latest revision content for pages, batched per MAX_TITLES_PER_QUERY
+   * @param {Array} titles - Page titles
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Array>} [{ title, pageId, wikitext, lastModified }]
+   */
+  async getRevisions(titles, options = {}) {
+    const pages = [];
+    for (let i = 0; i < titles.length; i += MAX_TITLES_PER_QUERY) {
+      const batch = titles.slice(i, i + MAX_TITLES_PER_QUERY);
+      const result = await this.query({
+        prop: 'revisions',
+        titles: batch.join('|'),
+        rvprop: 'content|timestamp',
+        rvslots: 'main',
+        redirects: '1'
+      }, { ...options, listKey: 'pages' });
+
+      for (const page of result) {
+        if (page.missing || !page.revisions || page.revisions.length === 0) continue;
+        const revision = page.revisions[0];
+        pages.push({
+          title: page.title,
+          pageId: page.pageid,
+          wikitext: revision.slots ? revision.slots.main.content : revision.content,
+          lastModified: revision.timestamp
+        });
+      }
+    }
+    return pages;
+  }
+
+  async getPageWikitext(title, options = {}) {
+    const [page] = await this.getRevisions([title], options);
+    return page || null;
+  }
+
+  /**
+   * Parse pages of a data type's category into records
+   * @param {String} dataType - Data type (see DATA_TYPE_CATEGORIES)
+   * @param {Object} options - Optional { signal, limit }
+   * @returns {Promise<Array>} Parsed cards or generic records
+   */
+  async getCategoryRecords(dataType, options = {}) {
+    const category = this.categories[dataType] || dataType;
+    const members = await this.getCategoryMembers(category, options);
+    const pages = await this.getRevisions(members.map(member => member.title), options);
+
+    return pages
+      .map(page => this.parsePage(dataType, page))
+      .filter(Boolean);
+  }
+
+  parsePage(dataType, page) {
+    const meta = { title: page.title, pageId: page.pageId, lastModified: page.lastModified };
+    if (dataType === 'cards' || dataType === 'ezas') {
+      return parseCardPage(page.wikitext, meta);
+    }
+    if (dataType === 'links') {
+      return parseLinkPage(page.wikitext, meta);
+    }
+    return parseGenericPage(page.wikitext, meta);
+  }
+
+  async getLatestCards(options = {}) {
+    return this.getCategoryRecords('cards', { limit: 25, ...options });
+  }
+
+  async getEvents(options = {}) {
+    return this.getCategoryRecords('events', { limit: 25, ...options });
+  }
+
+  async getEZAs(options = {}) {
+    const cards = await this.getCategoryRecords('ezas', { limit: 25, ...options });
+    return cards
+      .filter(card => card.eza)
+      .map(card => ({
+        card_id: card.id,
+        name: card.name,
+        title: card.title,
+        type: card.type,
+        rarity: card.rarity,
+        stages: [
+          { stage: 'base', leaderSkill: card.leaderSkill, passiveSkill: card.passiveSkill, superAttack: card.superAttack, stats: card.stats },
+          { stage: 'eza', ...card.eza },
+          ...(card.superEza ? [{ stage: 'seza', ...card.superEza }] : [])
+        ],
+        lastModified: card.lastModified
+      }));
+  }
+
+  async getDokkanEvents(options = {}) {
+    return this.getCategoryRecords('dokkanEvents', { limit: 25, ...options });
+  }
+
+  async getStoryEvents(options = {}) {
+    return this.getCategoryRecords('storyEvents', { limit: 25, ...options });
+  }
+
+  async getMissions(options = {}) {
+    return this.getCategoryRecords('missions', { limit: 25, ...options });
+  }
+
+  async getItems(options = {}) {
+    return this.getCategoryRecords('items', { limit: 50, ...options });
+  }
+
+  // Every link skill page (a few hundred), not just the newest
+  async getLinkSkills(options = {}) {
+    return this.getCategoryRecords('links', { limit: 500, ...options });
+  }
+
+  async getCardCategories(options = {}) {
+    const pages = await this.getCategoryRecords('categories', { limit: 500, ...options });
+    return pages.map(page => ({
+      name: page.name.replace(/\s*\(Category\)$/i, ''),
+      description: page.description || '',
+      page: page.page,
+      lastModified: page.lastModified
+    }));
+  }
+
+  async getGenericData(dataType, options = {}) {
+    return this.getCategoryRecords(dataType, { limit: 25, ...options });
+  }
+
+  async getSample(dataType, count = 10, options = {}) {
+    return this.getCategoryRecords(dataType, { ...options, limit: count });
+  }
+
+  async getAvailableDataTypes() {
+    return Object.keys(this.categories);
+  }
+
+  /**
+   * Get a card by numeric card id or by page title
+   * @param {String} cardId - Card id (e.g. "1014411") or page title
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Object|null>} Structured card
+   */
+  async getCardData(cardId, options = {}) {
+    const id = String(cardId);
+
+    if (!/^\d+$/.test(id)) {
+      const page = await this.getPageWikitext(id, options);
+      return page ? this.parsePage('cards', page) : null;
+    }
+
+    // Card ids only appear inside the infobox, so search page sources for the id
+    const hits = await this.query({
+      list: 'search',
+      srsearch: `insource:"${id}"`,
+      srnamespace: '0',
+      srlimit: '10'
+    }, { ...options, limit: 10, listKey: 'search' });
+
+    const pages = await this.getRevisions(hits.map(hit => hit.title), options);
+    for (const page of pages) {
+      const card = this.parsePage('cards', page);
+      if (card && String(card.id) === id) return card;
+    }
+    return null;
+  }
+
+  async searchCards(query, options = {}) {
+    const hits = await this.query({
+      list: 'search',
+      srsearch: query,
+      srnamespace: '0',
+      srlimit: '25',
+      srprop: 'snippet|timestamp'
+    }, { ...options, limit: 25, listKey: 'search' });
+
+    return hits.map(hit => ({
+      name: hit.title,
+      pageId: hit.pageid,
+      snippet: cleanWikitext(hit.snippet),
+      lastModified: hit.timestamp
+    }));
   }
 
-  async searchCards(query) {
-    return this.getData('SearchApi', 'search', { 
-      query,
-      namespaces: '0',
-      limit: '25'
-    });
+  async getCategories(options = {}) {
+    return this.getCategoryMembers(this.categories.cards, { limit: 50, ...options });
   }
 
-  async getCategories() {
-    return this.getData('ArticlesApi', 'getList', {
-      category: 'Cards',
-      limit: '50'
-    });
+  // Legacy /wikia.php controller call, kept for getControllerHelp
+  async getData(controller, method, params = {}, options = {}) {
+    try {
+      const queryParams = new URLSearchParams({
+        controller: controller.endsWith('Controller') ? controller : `${controller}Controller`,
+        method,
+        format: this.format,
+        ...params
+      });
+
+      const url = `${this.baseUrl}${this.endpoint}?${queryParams}`;
+      const response = await fetch(url, { signal: options.signal });
+
+      if (!response.ok) {
+        throw new Error(`Fandom API error: ${response.status}`);
+      }
+
+      return response.json();
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('Fandom API error:', error);
+      throw error;
+    }
   }
 
-  async getControllerHelp(controller) {
-    return this.getData(controller, 'help');
+  async getControllerHelp(controller, options = {}) {
+    return this.getData(controller, 'help', {}, options);
   }
 }
 
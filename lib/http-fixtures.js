@@ -0,0 +1,109 @@
+// lib/http-fixtures.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const nodeFetch = require('node-fetch');
+const config = require('../config');
+
+const { Response, AbortError } = nodeFetch;
+
+const MODES = ['live', 'record', 'replay'];
+
+// Active settings; starts from config.fixtures and can be changed with configure()
+const settings = {};
+
+/**
+ * Change the fixture mode/directory at runtime
+ * @param {Object} options - { mode: 'live' | 'record' | 'replay', dir }
+ * @returns {Object} Active settings
+ */
+function configure(options = {}) {
+  if (options.mode && !MODES.includes(options.mode)) {
+    throw new Error(`Unknown fixture mode: ${options.mode} (expected ${MODES.join(', ')})`);
+  }
+  Object.assign(settings, options);
+  return { ...settings };
+}
+
+configure(config.fixtures);
+
+/**
+ * Fixture file for a request: <dir>/<host>/<readable path>-<hash>.json
+ * The hash covers method and full URL, so query strings get separate fixtures.
+ * @param {String} dir - Fixtures directory
+ * @param {String} url - Request URL
+ * @param {String} method - HTTP method
+ * @returns {String} File path
+ */
+function fixturePath(dir, url, method = 'GET') {
+  const parsed = new URL(url);
+  const hash = crypto.createHash('sha1').update(`${method.toUpperCase()} ${url}`).digest('hex').slice(0, 12);
+  const slug = parsed.pathname.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'index';
+  return path.join(dir, parsed.hostname, `${slug}-${hash}.json`);
+}
+
+async function record(url, init, file) {
+  const response = await nodeFetch(url, init);
+  const body = await response.text();
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({
+    url,
+    method: init.method || 'GET',
+    status: response.status,
+    statusText: response.statusText,
+    headers: { 'content-type': response.headers.get('content-type') || '' },
+    recordedAt: new Date().toISOString(),
+    body
+  }, null, 2));
+
+  return new Response(body, { url, status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+async function replay(url, init, file) {
+  if (init.signal && init.signal.aborted) {
+    throw new AbortError('The user aborted a request.');
+  }
+
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const missing = new Error(`No fixture recorded for ${init.method || 'GET'} ${url} (expected ${file})`);
+    missing.code = 'ENOFIXTURE';
+    throw missing;
+  }
+
+  return new Response(fixture.body, {
+    url,
+    status: fixture.status,
+    statusText: fixture.statusText,
+    headers: fixture.headers
+  });
+}
+
+/**
+ * Drop-in replacement for node-fetch. In 'record' mode responses are fetched
+ * live and written to the fixtures directory; in 'replay' mode they are served
+ * from it without touching the network; 'live' passes straight through.
+ * @param {String} url - Request URL
+ * @param {Object} init - node-fetch options (method, headers, signal)
+ * @returns {Promise<Response>} node-fetch Response
+ */
+async function fetch(url, init = {}) {
+  if (settings.mode === 'live') return nodeFetch(url, init);
+
+  const file = fixturePath(settings.dir, url, init.method);
+  return settings.mode === 'record'
+    ? record(url, init, file)
+    : replay(url, init, file);
+}
+
+module.exports = {
+  fetch,
+  configure,
+  fixturePath,
+  getSettings: () => ({ ...settings }),
+  MODES
+};
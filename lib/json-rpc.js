@@ -0,0 +1,93 @@
+// lib/json-rpc.js
+
+// Standard JSON-RPC 2.0 error codes plus the MCP-specific ones we use
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * Create an Error carrying a JSON-RPC error code
+ * @param {Number} code - JSON-RPC error code
+ * @param {String} message - Error message
+ * @param {*} data - Optional extra error data
+ * @returns {Error} Error with code (and data) attached
+ */
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.code = code;
+  if (data !== undefined) error.data = data;
+  return error;
+}
+
+/**
+ * Build a JSON-RPC success response
+ * @param {*} id - Request id
+ * @param {*} result - Handler result
+ * @returns {Object} Response message
+ */
+function resultResponse(id, result) {
+  return { jsonrpc: '2.0', result, id };
+}
+
+/**
+ * Build a JSON-RPC error response from an Error
+ * @param {*} id - Request id (null when unknown)
+ * @param {Error} error - Error, optionally carrying code/data
+ * @returns {Object} Response message
+ */
+function errorResponse(id, error) {
+  const response = {
+    jsonrpc: '2.0',
+    error: {
+      code: Number.isInteger(error.code) ? error.code : ErrorCodes.SERVER_ERROR,
+      message: error.message
+    },
+    id: id === undefined ? null : id
+  };
+  if (error.data !== undefined) response.error.data = error.data;
+  return response;
+}
+
+/**
+ * Whether a message is a notification (a request without an id, which gets no response)
+ * @param {Object} message - JSON-RPC message
+ * @returns {Boolean}
+ */
+function isNotification(message) {
+  return !!message && typeof message === 'object' && !Array.isArray(message) && message.id === undefined;
+}
+
+/**
+ * Process a JSON-RPC payload: a single message or a batch array
+ * @param {Object|Array} payload - Parsed request body
+ * @param {Function} dispatch - async (message) => response, or null for no response
+ * @returns {Promise<Object|Array|null>} Response, array of responses, or null when nothing is to be sent
+ */
+async function processPayload(payload, dispatch) {
+  if (!Array.isArray(payload)) {
+    return dispatch(payload);
+  }
+
+  if (payload.length === 0) {
+    return errorResponse(null, rpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request: empty batch'));
+  }
+
+  const responses = await Promise.all(payload.map(message => dispatch(message)));
+  const sent = responses.filter(response => response !== null && response !== undefined);
+  return sent.length > 0 ? sent : null;
+}
+
+module.exports = {
+  ErrorCodes,
+  rpcError,
+  resultResponse,
+  errorResponse,
+  isNotification,
+  processPayload
+};
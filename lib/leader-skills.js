@@ -0,0 +1,184 @@
+// lib/leader-skills.js
+const { normalize } = require('./text-utils');
+
+/**
+ * Leader skill text -> structured buffs.
+ *
+ *   "Pure Saiyans" Category Ki +3 and HP, ATK & DEF +130%, plus an additional
+ *   HP, ATK & DEF +40% for characters who also belong to the "Movie Heroes" Category
+ *
+ * parses into clauses of { conditions, ki, hp, atk, def, tiers }:
+ * - conditions: alternatives a unit must match one of ({ category } or
+ *   { type, class }); empty for "all allies"
+ * - tiers: "plus an additional ..." boosts on top, with their own conditions
+ * Clauses are separated by ";" (or ", or" after an effect). A clause starting with "or" is an alternative
+ * to the clause before it: a unit gets the best one it matches. Other clauses add up.
+ */
+
+const TYPES = ['AGL', 'TEQ', 'INT', 'STR', 'PHY'];
+const CLASSES = ['Super', 'Extreme'];
+
+const STAT_PATTERN = /((?:HP|ATK|DEF)(?:\s*(?:,|&|and)\s*(?:HP|ATK|DEF))*)\s*\+\s*(\d+(?:\.\d+)?)\s*%/gi;
+const KI_PATTERN = /\bKi\s*\+\s*(\d+)/i;
+const EFFECT_START = /\b(?:Ki|HP|ATK|DEF)\b/i;
+const QUOTED_PATTERN = /["“”]([^"“”]+)["“”]/g;
+const TYPE_PATTERN = new RegExp(`\\b(?:(${CLASSES.join('|')})\\s+)?(${TYPES.join('|')})\\b(?:\\s+Type)?`, 'gi');
+const CLASS_PATTERN = new RegExp(`\\b(${CLASSES.join('|')})\\s+Class\\b`, 'gi');
+
+function sameName(a, b) {
+  return normalize(a) === normalize(b);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+}
+
+/**
+ * Conditions a piece of leader skill text names
+ * @param {String} text - e.g. '"Pure Saiyans" or Super AGL Type'
+ * @returns {Array} Alternatives: [{ category } | { type, class }]
+ */
+function parseConditions(text) {
+  const conditions = [];
+  let match;
+
+  QUOTED_PATTERN.lastIndex = 0;
+  while ((match = QUOTED_PATTERN.exec(text)) !== null) {
+    conditions.push({ category: match[1].trim() });
+  }
+  // Type words inside category names ("Super Saiyans") are not type conditions
+  const unquoted = text.replace(QUOTED_PATTERN, ' ');
+
+  CLASS_PATTERN.lastIndex = 0;
+  while ((match = CLASS_PATTERN.exec(unquoted)) !== null) {
+    conditions.push({ class: capitalize(match[1]) });
+  }
+  TYPE_PATTERN.lastIndex = 0;
+  while ((match = TYPE_PATTERN.exec(unquoted)) !== null) {
+    conditions.push({ type: match[2].toUpperCase(), ...(match[1] ? { class: capitalize(match[1]) } : {}) });
+  }
+  return conditions;
+}
+
+// Ki and HP/ATK/DEF percentages in a piece of text
+function parseEffects(text) {
+  const effects = { ki: 0, hp: 0, atk: 0, def: 0 };
+  const ki = text.match(KI_PATTERN);
+  if (ki) effects.ki = Number(ki[1]);
+
+  let match;
+  STAT_PATTERN.lastIndex = 0;
+  while ((match = STAT_PATTERN.exec(text)) !== null) {
+    for (const stat of match[1].split(/\s*(?:,|&|and)\s*/i)) {
+      effects[stat.toLowerCase()] += Number(match[2]);
+    }
+  }
+  return effects;
+}
+
+function parseClause(text) {
+  const alternative = /^or\b/i.test(text);
+  const [base, ...tierTexts] = text.replace(/^or\b\s*/i, '').split(/,?\s*\bplus an additional\b\s*/i);
+
+  // Conditions come before the first effect ('"Pure Saiyans" Category Ki +3 ...')
+  // or after "for" ('Ki +3 and HP +100% for characters who belong to ...')
+  const start = base.search(EFFECT_START);
+  const prefix = start > 0 ? base.slice(0, start) : '';
+  const suffix = (base.slice(Math.max(start, 0)).match(/\bfor\b(.+)$/i) || [])[1] || '';
+  const conditions = /all (?:allies|types)/i.test(prefix) ? [] : parseConditions(prefix || suffix);
+
+  const tiers = tierTexts.map(tier => {
+    const [effectText, conditionText = ''] = tier.split(/\bfor\b/i);
+    return { conditions: parseConditions(conditionText), ...parseEffects(effectText), text: tier.trim() };
+  });
+
+  return { alternative, conditions, ...parseEffects(base), tiers, text: base.trim() };
+}
+
+/**
+ * Parse leader skill text
+ * @param {String} text - Leader skill as written on the card
+ * @returns {Object} { text, clauses: [{ alternative, conditions, ki, hp, atk, def, tiers, text }] }
+ */
+function parseLeaderSkill(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  const clauses = clean
+    // "..., or ..." after an effect starts an alternative; '"Pure Saiyans", or "Movie Heroes"' does not
+    .split(/\s*;\s*|\.\s+(?=or\b)|(?<=[\d%]),\s*(?=or\b)/i)
+    .map(part => part.replace(/\.$/, '').trim())
+    .filter(part => EFFECT_START.test(part))
+    .map(parseClause);
+  return { text: clean, clauses };
+}
+
+function matchesCondition(unit, condition) {
+  if (condition.category) return (unit.categories || []).some(category => sameName(category, condition.category));
+  if (condition.type && !sameName(unit.type, condition.type)) return false;
+  if (condition.class && !sameName(unit.class, condition.class)) return false;
+  return true;
+}
+
+// A unit matches when it meets any of the alternatives (or there are none)
+function matchesAny(unit, conditions) {
+  return conditions.length === 0 || conditions.some(condition => matchesCondition(unit, condition));
+}
+
+/**
+ * What one leader skill gives a unit
+ * @param {Object} unit - Card with type, class and categories
+ * @param {String|Object} leaderSkill - Leader skill text or parseLeaderSkill result
+ * @returns {Object} { ki, hp, atk, def (percentages), applied: [clause/tier texts] }
+ */
+function leaderSkillEffect(unit, leaderSkill) {
+  const parsed = typeof leaderSkill === 'string' ? parseLeaderSkill(leaderSkill) : leaderSkill;
+
+  // Group "or" alternatives with the clause they follow
+  const groups = [];
+  for (const clause of parsed.clauses) {
+    if (clause.alternative && groups.length > 0) groups[groups.length - 1].push(clause);
+    else groups.push([clause]);
+  }
+
+  const total = { ki: 0, hp: 0, atk: 0, def: 0, applied: [] };
+  for (const group of groups) {
+    let best = null;
+    for (const clause of group.filter(candidate => matchesAny(unit, candidate.conditions))) {
+      const effect = { ki: clause.ki, hp: clause.hp, atk: clause.atk, def: clause.def, applied: [clause.text] };
+      for (const tier of clause.tiers.filter(candidate => matchesAny(unit, candidate.conditions))) {
+        for (const stat of ['ki', 'hp', 'atk', 'def']) effect[stat] += tier[stat];
+        effect.applied.push(tier.text);
+      }
+      if (!best || effect.atk + effect.def > best.atk + best.def) best = effect;
+    }
+    if (!best) continue;
+    for (const stat of ['ki', 'hp', 'atk', 'def']) total[stat] += best[stat];
+    total.applied.push(...best.applied);
+  }
+  return total;
+}
+
+/**
+ * leaderSkill1/leaderSkill2 buffs for a unit under a pair of leaders
+ * @param {Object} unit - Card with type, class and categories
+ * @param {String} leaderSkill1 - Leader skill text of the leader (or null)
+ * @param {String} leaderSkill2 - Leader skill text of the friend leader (or null)
+ * @returns {Object} { buffs: { leaderSkill1: { atk, def }, leaderSkill2: { atk, def } }, ki, hp, leaders: [effect, effect] }
+ *   (buff fractions, 1.7 = +170%; ki and hp add both leaders up)
+ */
+function leaderSkillBuffs(unit, leaderSkill1, leaderSkill2) {
+  const leaders = [leaderSkill1, leaderSkill2].map(skill => (skill ? leaderSkillEffect(unit, skill) : null));
+  const asBuff = effect => (effect ? { atk: effect.atk / 100, def: effect.def / 100 } : { atk: 0, def: 0 });
+  return {
+    buffs: { leaderSkill1: asBuff(leaders[0]), leaderSkill2: asBuff(leaders[1]) },
+    ki: leaders.reduce((sum, effect) => sum + (effect ? effect.ki : 0), 0),
+    hp: leaders.reduce((sum, effect) => sum + (effect ? effect.hp : 0), 0),
+    leaders
+  };
+}
+
+module.exports = {
+  parseLeaderSkill,
+  parseConditions,
+  leaderSkillEffect,
+  leaderSkillBuffs
+};
@@ -0,0 +1,321 @@
+// lib/link-skills.js
+
+/**
+ * Link skill database and the shared-link calculation.
+ *
+ * Link records come from the sources as the `links` data type (Fandom link
+ * skill pages, the game database dump): { name, description, levels: { level: text } }.
+ * normalizeLink parses each level's text into structured effects:
+ *   { stat: 'atk' | 'def' | 'ki' | 'damageReduction' | 'critChance' | 'dodgeChance' | 'heal',
+ *     value, unit: '%' | 'flat', target: 'self' | 'allies' | 'enemies', condition }
+ * where condition is what that effect needs ("when performing a Super Attack",
+ * "when with Super Saiyan allies"), or null.
+ *
+ * Two adjacent cards activate the links they both have. Each card's effect
+ * uses its own link level; effects on allies reach both cards.
+ */
+
+const MIN_LINK_LEVEL = 1;
+const MAX_LINK_LEVEL = 10;
+
+const STAT_TOTALS = ['atk', 'def', 'ki', 'damageReduction', 'critChance', 'dodgeChance', 'heal'];
+
+// Effects besides ATK/DEF/Ki, by the wording the wikis use
+const EFFECT_PATTERNS = [
+  { stat: 'damageReduction', pattern: /(?:reduces? damage received by|damage received\s*-|damage reduction(?: rate)?\s*\+)\s*(\d+(?:\.\d+)?)\s*%/gi },
+  { stat: 'critChance', pattern: /(?:chance of performing a critical hit|critical hit chance|crit(?:ical)? chance)\s*\+\s*(\d+(?:\.\d+)?)\s*%/gi },
+  { stat: 'dodgeChance', pattern: /(?:chance of evading (?:the )?enemy'?s? attacks?(?:\s*\([^)]*\))?|dodge chance|evasion chance)\s*\+\s*(\d+(?:\.\d+)?)\s*%/gi },
+  { stat: 'heal', pattern: /recovers?\s+(\d+(?:\.\d+)?)\s*%\s*(?:of max\s*)?HP/gi }
+];
+
+const STAT_PATTERN = /\b((?:ATK|DEF|Ki)(?:\s*(?:&|and)\s*(?:ATK|DEF))?)\s*([+-])\s*(\d+(?:\.\d+)?)\s*(%?)/gi;
+const TARGET_PATTERN = /(?<!evading (?:the )?)\b(all allies'?|allies'|all enemies'?|enemies'|(?:the )?enemy's)/gi;
+const CONDITION_PATTERN = /\b(when|while|if|upon)\b\s+(.+?)\.?$/i;
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/\s*\(link skill\)$/, '').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Parts of an effect text, each with its own condition:
+// "ATK +10%; plus an additional ATK +5% when performing a Super Attack"
+const PART_SEPARATOR = /(\s*;\s*|,?\s*\bplus an additional\b\s*)/i;
+
+/**
+ * Parse one link effect text
+ * @param {String} text - e.g. "Ki +1 and ATK & DEF +5% when performing a Super Attack"
+ * @returns {Object} { effects: [{ stat, value, unit, target, condition }], condition }
+ *   where each condition is { type, text, name? } or null; the top-level condition is
+ *   set when every effect needs the same one
+ */
+function parseLinkEffect(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  const pieces = clean.split(PART_SEPARATOR);
+
+  const effects = [];
+  const conditions = [];
+  let target = 'self';
+  for (let i = 0; i < pieces.length; i += 2) {
+    // "plus an additional ..." boosts the same target; a new ";" clause starts over
+    if (i > 0 && !/plus/i.test(pieces[i - 1])) target = 'self';
+    const part = parseLinkPart(pieces[i], target);
+    effects.push(...part.effects);
+    if (part.condition) conditions.push(part.condition);
+    target = part.target;
+  }
+
+  const shared = effects.length > 0 && effects.every(effect => sameCondition(effect.condition, effects[0].condition))
+    ? effects[0].condition
+    : null;
+  return { effects, condition: effects.length > 0 ? shared : conditions[0] || null };
+}
+
+// Effects of one part of an effect text, all under that part's condition
+function parseLinkPart(text, initialTarget) {
+  const conditionMatch = text.match(CONDITION_PATTERN);
+  const body = conditionMatch ? text.slice(0, conditionMatch.index) : text;
+  const condition = conditionMatch ? parseCondition(conditionMatch[0]) : null;
+
+  // Target words switch who the following effects apply to
+  const targets = [];
+  let match;
+  TARGET_PATTERN.lastIndex = 0;
+  while ((match = TARGET_PATTERN.exec(body)) !== null) {
+    targets.push({ index: match.index, target: /all(?:y|ies)/i.test(match[1]) ? 'allies' : 'enemies' });
+  }
+  const targetAt = index => {
+    const preceding = targets.filter(entry => entry.index < index);
+    return preceding.length > 0 ? preceding[preceding.length - 1].target : initialTarget;
+  };
+
+  const found = [];
+  STAT_PATTERN.lastIndex = 0;
+  while ((match = STAT_PATTERN.exec(body)) !== null) {
+    const sign = match[2] === '-' ? -1 : 1;
+    for (const stat of match[1].split(/\s*(?:&|and)\s*/i)) {
+      const isKi = /^ki$/i.test(stat);
+      found.push({
+        index: match.index,
+        stat: stat.toLowerCase(),
+        value: sign * Number(match[3]),
+        unit: isKi || !match[4] ? 'flat' : '%'
+      });
+    }
+  }
+  for (const { stat, pattern } of EFFECT_PATTERNS) {
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(body)) !== null) {
+      found.push({ index: match.index, stat, value: Number(match[1]), unit: '%' });
+    }
+  }
+
+  const effects = found
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, ...effect }) => ({ ...effect, target: targetAt(index), condition }));
+
+  return { effects, condition, target: targets.length > 0 ? targets[targets.length - 1].target : initialTarget };
+}
+
+function sameCondition(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function parseCondition(text) {
+  const condition = text.replace(/\.$/, '').trim();
+  if (/super attack/i.test(condition)) return { type: 'superAttack', text: condition };
+  const allies = condition.match(/with (?:an? |another )?(.+?) all(?:y|ies)/i);
+  if (allies) return { type: 'ally', text: condition, name: allies[1].trim() };
+  return { type: 'other', text: condition };
+}
+
+/**
+ * Canonical link record with parsed effects per level
+ * @param {Object} record - Source record { id, name, description, levels: { level: text } }
+ * @returns {Object} { id, name, description, levels: { level: { text, effects, condition } }, ... }
+ */
+function normalizeLink(record) {
+  const levels = {};
+  for (const [level, value] of Object.entries(record.levels || {})) {
+    const text = typeof value === 'string' ? value : (value && value.text) || '';
+    if (text) levels[level] = { text, ...parseLinkEffect(text) };
+  }
+  if (Object.keys(levels).length === 0 && record.description) {
+    levels[MIN_LINK_LEVEL] = { text: record.description, ...parseLinkEffect(record.description) };
+  }
+
+  return {
+    ...record,
+    id: record.id !== undefined && record.id !== null ? String(record.id) : '',
+    name: String(record.name || '').replace(/\s*\(Link Skill\)$/i, '').trim(),
+    description: record.description || (levels[MIN_LINK_LEVEL] ? levels[MIN_LINK_LEVEL].text : ''),
+    levels
+  };
+}
+
+/**
+ * A link's effect at a link level: that level when known, else the highest known level below it
+ * @param {Object} link - Normalized link
+ * @param {Number} level - Link level (1-10)
+ * @returns {Object|null} { level, requestedLevel, exact, text, effects, condition }
+ */
+function effectsAt(link, level = MAX_LINK_LEVEL) {
+  const requested = Math.min(Math.max(parseInt(level, 10) || MAX_LINK_LEVEL, MIN_LINK_LEVEL), MAX_LINK_LEVEL);
+  const known = Object.keys(link.levels || {}).map(Number).sort((a, b) => a - b);
+  if (known.length === 0) return null;
+
+  const used = known.filter(value => value <= requested).pop() || known[0];
+  return { level: used, requestedLevel: requested, exact: used === requested, ...link.levels[used] };
+}
+
+// Link names of a card ({ links: ['Super Saiyan', ...] } or [{ name }])
+function linkNamesOf(card) {
+  return (card.links || []).map(link => (typeof link === 'string' ? link : link && link.name)).filter(Boolean);
+}
+
+function levelFor(levels, linkName) {
+  if (levels === undefined || levels === null) return MAX_LINK_LEVEL;
+  if (typeof levels !== 'object') return levels;
+  const key = Object.keys(levels).find(name => normalizeName(name) === normalizeName(linkName));
+  return key ? levels[key] : (levels.default || MAX_LINK_LEVEL);
+}
+
+// Whether the partner satisfies a link condition; undefined when it cannot be told
+function conditionMet(condition, partner, conditions = {}) {
+  if (!condition) return true;
+  if (conditions.assumeAll) return true;
+  if (condition.type === 'superAttack') return !!conditions.superAttack;
+  if (condition.type === 'ally') {
+    const wanted = normalizeName(condition.name);
+    const names = [partner.name, ...(partner.categories || [])].map(normalizeName);
+    return names.some(name => name.includes(wanted));
+  }
+  return undefined;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(STAT_TOTALS.map(stat => [stat, 0]));
+}
+
+class LinkSkills {
+  /**
+   * @param {Function} loadLinks - async ({ signal }) => [link records] (the cached `links` dataset)
+   */
+  constructor(loadLinks) {
+    this.loadLinks = loadLinks;
+  }
+
+  async list(options = {}) {
+    return ((await this.loadLinks(options)) || []).map(normalizeLink);
+  }
+
+  async index(options = {}) {
+    return new Map((await this.list(options)).map(link => [normalizeName(link.name), link]));
+  }
+
+  /**
+   * Look up a link skill by name
+   * @param {String} name - Link name (case-insensitive)
+   * @param {Object} options - Optional { level, signal }; with level, adds `atLevel`
+   * @returns {Promise<Object|null>} Normalized link
+   */
+  async get(name, options = {}) {
+    const link = (await this.index(options)).get(normalizeName(name));
+    if (!link) return null;
+    return options.level ? { ...link, atLevel: effectsAt(link, options.level) } : link;
+  }
+
+  /**
+   * Buffs two adjacent cards give each other through the links they share
+   * @param {Object} cardA - Card with links (and name/categories for ally conditions)
+   * @param {Object} cardB - Its neighbour
+   * @param {Object} options - {
+   *   levelA, levelB,  // link level 1-10 for every link, or { linkName: level, default }; default 10
+   *   conditions,      // { superAttack: true } when the card attacks with a Super Attack, { assumeAll: true } to count every conditional effect
+   *   signal
+   * }
+   * @returns {Promise<Object>} { sharedLinks, unknownLinks, links: [...], cardA: result, cardB: result }
+   *   where result = { name, totals, enemyDebuffs, conditional, buffs: { links: { atk, def } } }
+   */
+  async sharedLinkBuffs(cardA, cardB, options = {}) {
+    const index = await this.index(options);
+    return sharedLinkBuffs(cardA, cardB, index, options);
+  }
+}
+
+/**
+ * Shared-link buffs against a link index (see LinkSkills#sharedLinkBuffs)
+ * @param {Object} cardA - Card
+ * @param {Object} cardB - Adjacent card
+ * @param {Map} index - normalized link name -> normalized link
+ * @param {Object} options - { levelA, levelB, conditions }
+ * @returns {Object} Shared links and each card's totals
+ */
+function sharedLinkBuffs(cardA, cardB, index, options = {}) {
+  const namesB = new Map(linkNamesOf(cardB).map(name => [normalizeName(name), name]));
+  const shared = linkNamesOf(cardA).filter(name => namesB.has(normalizeName(name)));
+
+  const sides = [
+    { card: cardA, partner: cardB, levels: options.levelA },
+    { card: cardB, partner: cardA, levels: options.levelB }
+  ].map(side => ({ ...side, totals: emptyTotals(), enemyDebuffs: emptyTotals(), conditional: [] }));
+
+  const links = [];
+  const unknownLinks = [];
+  for (const name of shared) {
+    const link = index.get(normalizeName(name));
+    if (!link) {
+      unknownLinks.push(name);
+      continue;
+    }
+
+    const entry = { name: link.name };
+    sides.forEach((side, i) => {
+      const atLevel = effectsAt(link, levelFor(side.levels, link.name));
+      entry[i === 0 ? 'cardA' : 'cardB'] = atLevel;
+      if (!atLevel) return;
+
+      // Each effect counts when its own condition holds; the rest are listed per condition
+      const unmet = new Map();
+      for (const effect of atLevel.effects) {
+        const met = conditionMet(effect.condition, side.partner, options.conditions);
+        if (met !== true) {
+          const key = JSON.stringify(effect.condition);
+          if (!unmet.has(key)) {
+            unmet.set(key, { link: link.name, level: atLevel.level, text: atLevel.text, condition: effect.condition, met: met === false ? false : null, effects: [] });
+          }
+          unmet.get(key).effects.push(effect);
+          continue;
+        }
+        // Effects on allies reach the card itself and its neighbour
+        const receivers = effect.target === 'self' ? [side] : effect.target === 'allies' ? sides : [];
+        for (const receiver of receivers) receiver.totals[effect.stat] += effect.value;
+        if (effect.target === 'enemies') side.enemyDebuffs[effect.stat] += effect.value;
+      }
+      side.conditional.push(...unmet.values());
+    });
+    links.push(entry);
+  }
+
+  const result = side => ({
+    name: side.card.name || null,
+    totals: side.totals,
+    enemyDebuffs: side.enemyDebuffs,
+    conditional: side.conditional,
+    // Ready for calculateATK/calculateDEF's links bucket
+    buffs: { links: { atk: side.totals.atk / 100, def: side.totals.def / 100 } }
+  });
+
+  return {
+    sharedLinks: shared,
+    unknownLinks,
+    links,
+    cardA: result(sides[0]),
+    cardB: result(sides[1])
+  };
+}
+
+module.exports = LinkSkills;
+module.exports.MAX_LINK_LEVEL = MAX_LINK_LEVEL;
+module.exports.parseLinkEffect = parseLinkEffect;
+module.exports.normalizeLink = normalizeLink;
+module.exports.effectsAt = effectsAt;
+module.exports.sharedLinkBuffs = sharedLinkBuffs;
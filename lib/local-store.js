@@ -0,0 +1,302 @@
+// lib/local-store.js
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Append-only key/value store with in-memory secondary indexes.
+ *
+ * Every write is one JSON line in `store.log` holding a batch of operations
+ * ({ op: 'put', key, value, tags? } | { op: 'delete', key } | { op: 'clear' } |
+ * { op: 'schema', version }). A batch is applied all-or-nothing: a line cut
+ * short by a crash fails to parse and is dropped when the log is replayed.
+ * The log is rewritten (to a temp file, then renamed) once superseded lines
+ * outnumber live keys.
+ *
+ * Indexes are derived from `documents(key, value)`, which returns the records
+ * a stored value contributes (e.g. the cards in a dataset), and `indexes`,
+ * a map of index name to a function returning a record's term(s). Keys also
+ * carry tags: the ones written with them plus `tags(key, value)`.
+ */
+
+const LOG_FILE = 'store.log';
+const COMPACT_MIN_LINES = 200;
+
+function normalizeTerm(term) {
+  return String(term).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+class LocalStore {
+  /**
+   * @param {String} dir - Directory holding the log
+   * @param {Object} options - { documents(key, value) => [records], indexes: { name: record => term(s) },
+   *   tags(key, value) => [tag] }
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.file = path.join(dir, LOG_FILE);
+    this.documents = options.documents || (() => []);
+    this.indexDefinitions = options.indexes || {};
+    this.derivedTags = options.tags || (() => []);
+
+    this.entries = new Map(); // key -> { raw, updatedAt, tags, explicitTags }
+    this.tagIndex = new Map(); // tag -> Set(key)
+    this.docs = new Map(); // key -> [record]
+    this.indexes = new Map(); // index -> Map(term -> Set(key))
+    this.schemaVersion = 0;
+    this.lines = 0;
+    this.writeQueue = Promise.resolve();
+
+    for (const name of Object.keys(this.indexDefinitions)) this.indexes.set(name, new Map());
+  }
+
+  async open() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let offset = 0;
+    let validLength = 0;
+    let tornTail = false;
+    for (const line of content.split('\n')) {
+      const end = offset + line.length + 1;
+      if (line.trim()) {
+        try {
+          this.applyBatch(JSON.parse(line));
+          this.lines++;
+          validLength = Math.min(end, content.length);
+          tornTail = false;
+        } catch (error) {
+          console.warn(`[WARN] Skipping unreadable line in ${this.file} at offset ${offset}`);
+          tornTail = true;
+        }
+      }
+      offset = end;
+    }
+
+    // Cut an incomplete last write so the next append starts on a fresh line
+    if (tornTail) {
+      await fs.truncate(this.file, Buffer.byteLength(content.slice(0, validLength)));
+    }
+
+    await this.maybeCompact();
+  }
+
+  // Apply a logged batch to the in-memory state
+  applyBatch(batch) {
+    for (const operation of batch.ops) {
+      switch (operation.op) {
+        case 'put':
+          this.setEntry(operation.key, JSON.stringify(operation.value), batch.t, operation.tags);
+          break;
+        case 'delete':
+          this.deleteEntry(operation.key);
+          break;
+        case 'clear':
+          for (const key of Array.from(this.entries.keys())) this.deleteEntry(key);
+          break;
+        case 'schema':
+          this.schemaVersion = operation.version;
+          break;
+        default:
+          throw new Error(`Unknown store operation: ${operation.op}`);
+      }
+    }
+  }
+
+  setEntry(key, raw, updatedAt, explicitTags = []) {
+    this.deleteEntry(key);
+    const value = JSON.parse(raw);
+    const tags = [...new Set([...explicitTags, ...(this.derivedTags(key, value) || [])].map(normalizeTerm))];
+    this.entries.set(key, { raw, updatedAt, tags, explicitTags });
+    for (const tag of tags) {
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
+    }
+
+    const records = this.documents(key, value) || [];
+    if (records.length === 0) return;
+    this.docs.set(key, records);
+    for (const [name, termsOf] of Object.entries(this.indexDefinitions)) {
+      const index = this.indexes.get(name);
+      for (const record of records) {
+        for (const term of [].concat(termsOf(record) ?? [])) {
+          if (term === null || term === undefined || term === '') continue;
+          const normalized = normalizeTerm(term);
+          if (!index.has(normalized)) index.set(normalized, new Set());
+          index.get(normalized).add(key);
+        }
+      }
+    }
+  }
+
+  deleteEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tagIndex.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) this.tagIndex.delete(tag);
+    }
+
+    if (!this.docs.delete(key)) return;
+    for (const index of this.indexes.values()) {
+      for (const [term, keys] of index) {
+        keys.delete(key);
+        if (keys.size === 0) index.delete(term);
+      }
+    }
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  // Parsed copy of a value, so callers can't mutate what's stored
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? JSON.parse(entry.raw) : null;
+  }
+
+  updatedAt(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.updatedAt : null;
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  tagsOf(key) {
+    const entry = this.entries.get(key);
+    return entry ? [...entry.tags] : [];
+  }
+
+  // Keys carrying a tag (matched case- and whitespace-insensitively)
+  keysWithTag(tag) {
+    return Array.from(this.tagIndex.get(normalizeTerm(tag)) || []);
+  }
+
+  // Serialized size of a value in bytes (0 when missing)
+  sizeOf(key) {
+    const entry = this.entries.get(key);
+    return entry ? Buffer.byteLength(entry.raw) : 0;
+  }
+
+  /**
+   * Append a batch of operations and apply it once it is on disk
+   * @param {Array} ops - Store operations
+   * @returns {Promise<void>}
+   */
+  write(ops) {
+    const batch = { t: Date.now(), ops };
+    const line = `${JSON.stringify(batch)}\n`;
+
+    const result = this.writeQueue.then(async () => {
+      await fs.appendFile(this.file, line);
+      this.lines++;
+      this.applyBatch(batch);
+      await this.maybeCompact();
+    });
+    // Keep the queue going after a failed write
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Records matching every given index term. Terms match exactly after
+   * normalizing case and whitespace; `partial` index names also match substrings.
+   * @param {Object} criteria - { indexName: term }
+   * @param {Object} options - Optional { partial: [indexName] }
+   * @returns {Array} [{ key, record, updatedAt }]
+   */
+  query(criteria, options = {}) {
+    const partial = new Set(options.partial || []);
+    let keys = null;
+
+    for (const [name, term] of Object.entries(criteria)) {
+      if (term === undefined || term === null || term === '') continue;
+      const index = this.indexes.get(name);
+      if (!index) throw new Error(`Unknown index: ${name}`);
+
+      const wanted = normalizeTerm(term);
+      const matches = new Set();
+      for (const [indexed, indexedKeys] of index) {
+        if (indexed === wanted || (partial.has(name) && indexed.includes(wanted))) {
+          indexedKeys.forEach(key => matches.add(key));
+        }
+      }
+      keys = keys ? new Set([...keys].filter(key => matches.has(key))) : matches;
+    }
+
+    const candidates = keys ? [...keys] : [...this.docs.keys()];
+    const results = [];
+    for (const key of candidates) {
+      for (const record of this.docs.get(key) || []) {
+        const fits = Object.entries(criteria).every(([name, term]) => {
+          if (term === undefined || term === null || term === '') return true;
+          const wanted = normalizeTerm(term);
+          return [].concat(this.indexDefinitions[name](record) ?? [])
+            .filter(value => value !== null && value !== undefined)
+            .some(value => {
+              const normalized = normalizeTerm(value);
+              return normalized === wanted || (partial.has(name) && normalized.includes(wanted));
+            });
+        });
+        if (fits) results.push({ key, record, updatedAt: this.entries.get(key).updatedAt });
+      }
+    }
+    return results;
+  }
+
+  // Rewrite the log with one line per live key when most lines are superseded
+  async maybeCompact() {
+    if (this.lines < COMPACT_MIN_LINES || this.lines <= this.entries.size * 2) return;
+    await this.rewriteLog();
+  }
+
+  // Compact the log now, after pending writes
+  compact() {
+    const result = this.writeQueue.then(() => this.rewriteLog());
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async rewriteLog() {
+    const temp = `${this.file}.tmp`;
+    const lines = [JSON.stringify({ t: Date.now(), ops: [{ op: 'schema', version: this.schemaVersion }] })];
+    for (const [key, entry] of this.entries) {
+      const tags = entry.explicitTags.length > 0 ? `,"tags":${JSON.stringify(entry.explicitTags)}` : '';
+      lines.push(`{"t":${entry.updatedAt},"ops":[{"op":"put","key":${JSON.stringify(key)},"value":${entry.raw}${tags}}]}`);
+    }
+
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(`${lines.join('\n')}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, this.file);
+    this.lines = lines.length;
+  }
+
+  // Size of the log, for diagnostics
+  stats() {
+    let size = 0;
+    try {
+      size = fsSync.statSync(this.file).size;
+    } catch {
+      // Not written yet
+    }
+    return { keys: this.entries.size, logLines: this.lines, logBytes: size, schemaVersion: this.schemaVersion };
+  }
+}
+
+module.exports = LocalStore;
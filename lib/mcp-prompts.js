@@ -0,0 +1,178 @@
+// lib/mcp-prompts.js
+const cardAnalysis = require('./cardAnalysis');
+const { ErrorCodes, rpcError } = require('./json-rpc');
+const { cacheKey } = require('./data-manager');
+
+/**
+ * Parameterised prompt templates for common Dokkan analysis workflows.
+ * Each prompt pre-fills the cached data it needs (card records, events,
+ * meta cards and trends) so the client does not have to fetch it first.
+ * MCP prompt arguments are always strings.
+ */
+
+const PROMPTS = [
+  {
+    name: 'evaluate-custom-card',
+    description: 'Evaluate a custom card against the current meta using compareCardToMeta',
+    arguments: [
+      { name: 'cardText', description: 'Card in the custom card text format (name:, type:, rarity:, ...)', required: true },
+      { name: 'category', description: 'Only compare against meta cards in this category', required: false },
+      { name: 'ki', description: 'Ki used for the ATK calculation (default 12, 24 for LR max)', required: false }
+    ]
+  },
+  {
+    name: 'build-team-for-event',
+    description: 'Build a team around a leader card for an event',
+    arguments: [
+      { name: 'leaderCardId', description: 'Card id, name or alias of the leader', required: true },
+      { name: 'event', description: 'Event name (matched against cached events)', required: false }
+    ]
+  },
+  {
+    name: 'explain-eza-changes',
+    description: 'Explain what an Extreme Z-Awakening changes for a card',
+    arguments: [
+      { name: 'cardId', description: 'Card id, name or alias of the EZA card', required: true }
+    ]
+  }
+];
+
+class DokkanPrompts {
+  /**
+   * @param {Object} dataManager - DataManager with the cached data
+   * @param {Object} options - Optional { aliases: CardAliases } to accept card names and aliases
+   */
+  constructor(dataManager, options = {}) {
+    this.dataManager = dataManager;
+    this.aliases = options.aliases || null;
+  }
+
+  list() {
+    return PROMPTS;
+  }
+
+  /**
+   * Render a prompt with its arguments
+   * @param {String} name - Prompt name
+   * @param {Object} args - Prompt arguments (strings)
+   * @returns {Promise<Object>} GetPromptResult ({ description, messages })
+   */
+  async get(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+      throw rpcError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && !args[arg.name])
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw rpcError(ErrorCodes.INVALID_PARAMS, `Missing required arguments for ${name}: ${missing.join(', ')}`);
+    }
+
+    let text;
+    switch (name) {
+      case 'evaluate-custom-card':
+        text = await this.evaluateCustomCard(args);
+        break;
+      case 'build-team-for-event':
+        text = await this.buildTeamForEvent(args);
+        break;
+      case 'explain-eza-changes':
+        text = await this.explainEZAChanges(args);
+        break;
+    }
+
+    return {
+      description: prompt.description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  }
+
+  async evaluateCustomCard({ cardText, category, ki }) {
+    const card = cardAnalysis.parseCustomCard(cardText);
+    // Ki 0 is a valid ki; only a missing or unreadable value means the default
+    const parsedKi = parseInt(ki, 10);
+    const comparison = await cardAnalysis.compareCardToMeta(card, {
+      category: category || 'all',
+      ki: Number.isNaN(parsedKi) ? 12 : parsedKi,
+      buffs: {}
+    });
+    const trends = await cardAnalysis.getMetaTrends();
+
+    return [
+      'Evaluate this custom Dokkan Battle card against the current meta.',
+      'Cover its stat ranking, which game year it fits, which current meta features it has or lacks, and how it would fare in the hardest content.',
+      '',
+      section('Card (as written)', cardText.trim()),
+      section('Parsed card', json(card)),
+      section('compareCardToMeta result', json(comparison)),
+      section('Meta trends', json(trends))
+    ].join('\n');
+  }
+
+  async buildTeamForEvent({ leaderCardId: leaderInput, event }) {
+    const leaderCardId = await this.resolveCardId(leaderInput);
+    const leader = await this.dataManager.getCachedData(cacheKey('card', leaderCardId));
+    const events = await this.getDataset('events');
+    const matchingEvents = event
+      ? events.filter(e => String(e.title || e.name || '').toLowerCase().includes(event.toLowerCase()))
+      : [];
+
+    const categories = (leader && leader.categories) || [];
+    const metaCards = await cardAnalysis.getMetaCards();
+    const candidates = metaCards.filter(card =>
+      (card.categories || []).some(cat => categories.some(c => c.toLowerCase() === cat.toLowerCase()))
+    );
+
+    return [
+      `Build a 7-card team (leader, friend leader and 5 sub units) around card ${leaderCardId} as leader${event ? ` for the event "${event}"` : ''}.`,
+      'Prefer units that fit the leader skill categories, share links with each other and cover the event\'s stage requirements. Explain the rotation and item choices.',
+      '',
+      section('Leader card', leader ? json(leader) : `Card ${leaderCardId} is not cached yet; call the getCardData tool with cardId "${leaderCardId}" first.`),
+      event ? section('Event', matchingEvents.length > 0 ? json(matchingEvents) : `No cached event matches "${event}".`) : '',
+      section('Meta cards sharing the leader\'s categories', candidates.length > 0 ? json(candidates) : 'None cached.'),
+      section('Meta trends', json(await cardAnalysis.getMetaTrends()))
+    ].filter(Boolean).join('\n');
+  }
+
+  async explainEZAChanges({ cardId: cardInput }) {
+    const cardId = await this.resolveCardId(cardInput);
+    const card = await this.dataManager.getCachedData(cacheKey('card', cardId));
+    const ezas = await this.getDataset('ezas');
+    const eza = ezas.find(e => String(e.card_id) === String(cardId));
+
+    return [
+      `Explain what the Extreme Z-Awakening changes for card ${cardId}.`,
+      'Compare the pre-EZA and post-EZA leader skill, passive, super attack and stats, and say whether the EZA makes the card relevant in the current meta.',
+      '',
+      section('Card', card ? json(card) : `Card ${cardId} is not cached yet; call the getCardData tool with cardId "${cardId}" first.`),
+      section('EZA', eza ? json(eza) : `No cached EZA entry for card ${cardId}; call the getEZAs tool to refresh.`),
+      section('Meta trends', json(await cardAnalysis.getMetaTrends()))
+    ].join('\n');
+  }
+
+  async resolveCardId(input) {
+    if (!this.aliases) return input;
+    try {
+      return await this.aliases.resolveId(input);
+    } catch (error) {
+      throw rpcError(ErrorCodes.INVALID_PARAMS, error.message);
+    }
+  }
+
+  async getDataset(key) {
+    const cached = await this.dataManager.getCachedData(key);
+    return (cached && Array.isArray(cached.data)) ? cached.data : [];
+  }
+}
+
+function section(title, body) {
+  return `## ${title}\n${body}\n`;
+}
+
+function json(value) {
+  return '```json\n' + JSON.stringify(value, null, 2) + '\n```';
+}
+
+module.exports = DokkanPrompts;
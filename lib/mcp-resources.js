@@ -0,0 +1,161 @@
+// lib/mcp-resources.js
+const fs = require('fs').promises;
+const path = require('path');
+const { ErrorCodes, rpcError } = require('./json-rpc');
+const { cacheKey, keyName } = require('./data-manager');
+
+/**
+ * Maps cached Dokkan datasets onto stable MCP resource URIs.
+ * Cache datasets live in DataManager (the data/store log); the meta
+ * analysis files written by cardAnalysis live directly under data/.
+ */
+
+const CARD_URI_PREFIX = 'dokkan://cards/';
+const CARD_KEY_PREFIX = 'card:';
+
+// Fixed datasets: URI <-> cache key (or data/ file for meta analysis)
+const DATASETS = [
+  { uri: 'dokkan://cards/latest', key: 'cards', name: 'Latest cards', description: 'Most recently released cards' },
+  { uri: 'dokkan://events/current', key: 'events', name: 'Current events', description: 'Current and upcoming events' },
+  { uri: 'dokkan://events/dokkan', key: 'dokkanEvents', name: 'Dokkan events', description: 'Dokkan events' },
+  { uri: 'dokkan://events/story', key: 'storyEvents', name: 'Story events', description: 'Story events' },
+  { uri: 'dokkan://ezas', key: 'ezas', name: 'EZAs', description: 'Extreme Z-Awakenings and their stages' },
+  { uri: 'dokkan://missions', key: 'missions', name: 'Missions', description: 'Missions' },
+  { uri: 'dokkan://items', key: 'items', name: 'Items', description: 'Items' },
+  { uri: 'dokkan://meta/cards', file: 'meta-cards.json', name: 'Meta cards', description: 'Cards used as the meta benchmark by compareCardToMeta' },
+  { uri: 'dokkan://meta/trends', file: 'meta-trends.json', name: 'Meta trends', description: 'Average stats and features per game year' }
+];
+
+const TEMPLATES = [
+  {
+    uriTemplate: 'dokkan://cards/{id}',
+    name: 'Card',
+    description: 'Cached record for a single card, by card id',
+    mimeType: 'application/json'
+  }
+];
+
+class DokkanResources {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    this.dataPath = path.join(dataManager.basePath, 'data');
+  }
+
+  /**
+   * List resources that currently have cached data
+   * @returns {Promise<Array>} MCP Resource descriptors
+   */
+  async list() {
+    const keys = new Set(await this.dataManager.listCachedKeys());
+    const resources = [];
+
+    for (const dataset of DATASETS) {
+      const exists = dataset.key
+        ? keys.has(dataset.key)
+        : await this.fileExists(dataset.file);
+      if (exists) resources.push(this.describe(dataset));
+    }
+
+    for (const key of keys) {
+      if (key.startsWith(CARD_KEY_PREFIX)) {
+        const cardId = keyName(key);
+        resources.push({
+          uri: `${CARD_URI_PREFIX}${encodeURIComponent(cardId)}`,
+          name: `Card ${cardId}`,
+          mimeType: 'application/json'
+        });
+      }
+    }
+
+    return resources;
+  }
+
+  listTemplates() {
+    return TEMPLATES;
+  }
+
+  /**
+   * Read a resource by URI
+   * @param {String} uri - Resource URI
+   * @returns {Promise<Object>} ReadResourceResult ({ contents })
+   */
+  async read(uri) {
+    const target = this.resolve(uri);
+    if (!target) {
+      throw rpcError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+
+    const data = target.key
+      ? await this.dataManager.getCachedData(target.key)
+      : await this.readDataFile(target.file);
+
+    if (data === null) {
+      throw rpcError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2)
+      }]
+    };
+  }
+
+  /**
+   * Resolve a URI to its backing cache key or data file
+   * @param {String} uri - Resource URI
+   * @returns {Object|null} { key } or { file }, null when the URI is unknown
+   */
+  resolve(uri) {
+    const dataset = DATASETS.find(d => d.uri === uri);
+    if (dataset) return dataset.key ? { key: dataset.key } : { file: dataset.file };
+
+    if (typeof uri === 'string' && uri.startsWith(CARD_URI_PREFIX)) {
+      const cardId = uri.slice(CARD_URI_PREFIX.length);
+      if (/^[\w-]+$/.test(cardId)) return { key: cacheKey('card', cardId) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map a cache key back to its resource URI
+   * @param {String} key - DataManager cache key
+   * @returns {String|null} Resource URI, null when the key is not exposed
+   */
+  uriForKey(key) {
+    const dataset = DATASETS.find(d => d.key === key);
+    if (dataset) return dataset.uri;
+    if (key.startsWith(CARD_KEY_PREFIX)) return `${CARD_URI_PREFIX}${encodeURIComponent(keyName(key))}`;
+    return null;
+  }
+
+  describe(dataset) {
+    return {
+      uri: dataset.uri,
+      name: dataset.name,
+      description: dataset.description,
+      mimeType: 'application/json'
+    };
+  }
+
+  async fileExists(file) {
+    try {
+      await fs.access(path.join(this.dataPath, file));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async readDataFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dataPath, file), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = DokkanResources;
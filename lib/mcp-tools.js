@@ -0,0 +1,609 @@
+// lib/mcp-tools.js
+
+/**
+ * MCP tool definitions exposed through tools/list and tools/call.
+ * Each tool name matches a handler of the same name in server.js;
+ * inputSchema describes the `arguments` object that handler receives.
+ */
+
+const DATA_TYPES = ['cards', 'events', 'ezas', 'dokkanEvents', 'storyEvents', 'missions', 'items', 'links', 'categories'];
+
+const noArguments = { type: 'object', properties: {} };
+
+// Card given as custom card text, as a structured card object or by id, name or alias
+const cardInput = {
+  cardText: {
+    type: 'string',
+    description: 'Card in the custom card text format (name:, type:, rarity:, leader skill:, links:, categories:, hp:, atk:, def:)'
+  },
+  card: {
+    type: 'object',
+    description: 'Structured card ({ name, type, rarity, isLR, isEZA, hp, atk, def, links, categories, passiveSkill, superAttack })',
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string' },
+      rarity: { type: 'string' },
+      isLR: { type: 'boolean' },
+      isEZA: { type: 'boolean' },
+      hp: { type: 'number', minimum: 0 },
+      atk: { type: 'number', minimum: 0 },
+      def: { type: 'number', minimum: 0 },
+      links: { type: 'array', items: { type: 'string' } },
+      categories: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  cardId: {
+    type: 'string',
+    description: 'Card id, name or alias (e.g. "1014411", "TEQ Gods") of a known card to fetch'
+  }
+};
+
+// Paging for category member lists (same as searchCards)
+const cardPageProperties = {
+  sortBy: { type: 'string', enum: ['name', 'hp', 'atk', 'def', 'cost', 'releaseDate'], description: 'Sort order (default name)' },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  page: { type: 'integer', minimum: 1 },
+  pageSize: { type: 'integer', minimum: 1, maximum: 100, description: 'Cards per page (default 20)' }
+};
+
+const linkLevelSchema = { type: 'integer', minimum: 1, maximum: 10, description: 'Link level (1-10)' };
+
+const cardReference = { type: 'string', description: 'Card id, name or alias (e.g. "1014411", "LR Trio", "PHY SSJ Goku")' };
+
+// Buffs accepted by calculateATK/calculateDEF (multipliers as fractions, e.g. 1.7 for +170%)
+const buffsSchema = {
+  type: 'object',
+  description: 'Buffs in order-of-operations buckets; percentages as fractions (1.7 = +170%)',
+  properties: {
+    leaderSkill1: { type: ['number', 'object'], description: 'One fraction for ATK and DEF, or { atk, def }; derived from leader/leaderSkill when omitted' },
+    leaderSkill2: { type: ['number', 'object'], description: 'Friend leader\'s buff, like leaderSkill1' },
+    startOfTurn: { type: 'number' },
+    support: { type: 'number' },
+    links: { type: ['number', 'object'], description: 'One fraction for ATK and DEF, or { atk, def } as in getSharedLinkBuffs\' buffs.links' },
+    supportMemory: { type: 'number' },
+    items: { type: 'number' },
+    activeSkill: { type: 'number' },
+    midTurn: { type: 'number' },
+    saEffect: { type: 'number' },
+    stacks: { type: 'integer', minimum: 0 },
+    stackValue: { type: 'number' },
+    saLevel: { type: 'integer', minimum: 1, maximum: 25 },
+    saBoost: { type: 'number', minimum: 0 },
+    isLR: { type: 'boolean' },
+    isEZA: { type: 'boolean' }
+  }
+};
+
+// Leaders whose leader skills give leaderSkill1/leaderSkill2 (explicit buffs win)
+const leaderProperties = {
+  leader: { type: 'string', description: 'Leader card id, name or alias' },
+  friendLeader: { type: 'string', description: 'Friend leader card id, name or alias' },
+  leaderSkill: { type: 'string', description: 'Leader skill text, instead of a leader card' },
+  friendLeaderSkill: { type: 'string', description: 'Friend leader skill text, instead of a friend leader card' }
+};
+
+const kiSchema = { type: 'integer', minimum: 0, maximum: 24, description: 'Ki at attack time (default 12)' };
+
+// searchCards filters
+const statRange = {
+  type: 'object',
+  properties: { min: { type: 'number' }, max: { type: 'number' } },
+  description: 'Inclusive range, e.g. { "min": 15000 }'
+};
+
+function stringOrList(description) {
+  return { type: ['string', 'array'], items: { type: 'string' }, description };
+}
+
+// Target of the snapshot tools: one card record or a cached dataset
+const snapshotTargetProperties = {
+  cardId: { ...cardReference, description: 'Card id, name or alias (for a card record)' },
+  dataset: { type: 'string', description: 'Dataset name: cards, events, ezas, dokkanEvents, storyEvents, missions or items' }
+};
+
+const tools = [
+  {
+    name: 'getCardData',
+    description: 'Get the full record for a single Dokkan Battle card by its card id, name or alias.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: cardReference
+      },
+      required: ['cardId']
+    }
+  },
+  {
+    name: 'getLatestCards',
+    description: 'List the most recently released cards.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'searchCards',
+    description: 'Search cached cards by fuzzy name (nicknames like "TEQ Gods" or "LR Trio" work) and/or filters, with relevance scores and pagination. Falls back to the wikis when a text query matches nothing cached.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search text: name, title, nickname or abbreviation (SSJ, UI, LR, TEQ...)' },
+        type: stringOrList('Type(s): AGL, TEQ, INT, STR, PHY'),
+        class: stringOrList('Class(es): Super, Extreme'),
+        rarity: stringOrList('Rarity(ies): N, R, SR, SSR, UR, LR'),
+        category: stringOrList('Category the card must have (all of them when a list)'),
+        link: stringOrList('Link skill the card must have (all of them when a list)'),
+        isEZA: { type: 'boolean', description: 'Only cards with (true) or without (false) an EZA' },
+        releasedAfter: { type: 'string', description: 'Released on or after this ISO date' },
+        releasedBefore: { type: 'string', description: 'Released on or before this ISO date' },
+        region: { type: 'string', enum: ['jp', 'global'], description: 'Release dates to use (default: either)' },
+        hp: statRange,
+        atk: statRange,
+        def: statRange,
+        cost: statRange,
+        sortBy: { type: 'string', enum: ['relevance', 'name', 'hp', 'atk', 'def', 'cost', 'releaseDate'], description: 'Sort order (default relevance with a query, else name)' },
+        order: { type: 'string', enum: ['asc', 'desc'] },
+        page: { type: 'integer', minimum: 1 },
+        pageSize: { type: 'integer', minimum: 1, maximum: 100, description: 'Results per page (default 20)' },
+        remote: { type: 'boolean', description: 'Set false to never fall back to the wikis' }
+      }
+    }
+  },
+  {
+    name: 'getEvents',
+    description: 'List current and upcoming in-game events.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getEZAs',
+    description: 'List Extreme Z-Awakenings (EZA) and their stages.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getDokkanEvents',
+    description: 'List Dokkan events.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getStoryEvents',
+    description: 'List story events.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getMissions',
+    description: 'List missions.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getItems',
+    description: 'List items.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getAnniversaryStatus',
+    description: 'Check whether an anniversary campaign is active or upcoming for a game version.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        version: { type: 'string', enum: ['jp', 'global'], description: 'Game version (default jp)' }
+      }
+    }
+  },
+  {
+    name: 'calculateStats',
+    description: 'Calculate a card\'s final ATK and DEF using the in-game order of operations.',
+    inputSchema: {
+      type: 'object',
+      properties: { ...cardInput, ...leaderProperties, buffs: buffsSchema, ki: kiSchema }
+    }
+  },
+  {
+    name: 'calculateATK',
+    description: 'Calculate a card\'s final ATK (leader skill, SoT, links, items, actives, ki and SA multipliers).',
+    inputSchema: {
+      type: 'object',
+      properties: { ...cardInput, ...leaderProperties, buffs: buffsSchema, ki: kiSchema }
+    }
+  },
+  {
+    name: 'calculateDEF',
+    description: 'Calculate a card\'s final DEF (leader skill, SoT, links, items, actives and SA effects).',
+    inputSchema: {
+      type: 'object',
+      properties: { ...cardInput, ...leaderProperties, buffs: buffsSchema }
+    }
+  },
+  {
+    name: 'parseLeaderSkill',
+    description: 'Parse leader skill text into its clauses: category/type/class conditions, Ki and HP/ATK/DEF percentages, "or" alternatives and "plus an additional" tiers.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        leaderSkill: { type: 'string', description: 'e.g. "Pure Saiyans" Category Ki +3 and HP, ATK & DEF +170%' }
+      },
+      required: ['leaderSkill']
+    }
+  },
+  {
+    name: 'getLeaderSkillBuffs',
+    description: 'Work out what a leader and friend leader give a unit: leaderSkill1/leaderSkill2 ({ atk, def } fractions for the calculators), total Ki and HP, and which clauses applied.',
+    inputSchema: {
+      type: 'object',
+      properties: { ...cardInput, ...leaderProperties }
+    }
+  },
+  {
+    name: 'parseCustomCard',
+    description: 'Parse a card written in the custom card text format into a structured card.',
+    inputSchema: {
+      type: 'object',
+      properties: { cardText: cardInput.cardText },
+      required: ['cardText']
+    }
+  },
+  {
+    name: 'compareCardToMeta',
+    description: 'Compare a custom card\'s ATK/DEF to the meta cards under the same buffs, with rankings and an estimated game year.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...cardInput,
+        buffs: buffsSchema,
+        ki: kiSchema,
+        category: { type: 'string', description: 'Only compare against meta cards in this category (default all)' }
+      }
+    }
+  },
+  {
+    name: 'analyzeCard',
+    description: 'Analyze a card against the current meta averages and meta features.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...cardInput,
+        ...leaderProperties,
+        buffs: buffsSchema,
+        ki: kiSchema,
+        stats: {
+          type: 'object',
+          description: 'Pre-calculated { atk, def }; calculated from card, buffs and ki when omitted',
+          properties: {
+            atk: { type: 'number', minimum: 0 },
+            def: { type: 'number', minimum: 0 }
+          },
+          required: ['atk', 'def']
+        }
+      }
+    }
+  },
+  {
+    name: 'updateMetaData',
+    description: 'Rebuild the meta card list used for comparisons from the latest wiki cards.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'updateFromWiki',
+    description: 'Refresh cached data from the wiki sources.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dataTypes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: `Data types to refresh (default all: ${DATA_TYPES.join(', ')})`
+        }
+      }
+    }
+  },
+  {
+    name: 'getConflictReport',
+    description: 'Show where the wiki sources disagree about cards: field, each source\'s value and timestamp, and which value the trust rules kept. With cardId, fetches that card from every source now; without, returns conflicts found by earlier lookups and updates.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: { ...cardReference, description: 'Card id, name or alias to reconcile now' }
+      }
+    }
+  },
+  {
+    name: 'getSourcePriorities',
+    description: 'Show the wiki source order per data type, which data types are pinned by config, the score breakdown from the last ranking and recent source health (error rate, latency).',
+    inputSchema: noArguments
+  },
+  {
+    name: 'updateSourcePriorities',
+    description: 'Re-rank wiki sources per data type from fresh samples (timestamps, version, completeness, error rate, latency) and save the result. Returns the new order with the score breakdown behind it.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getLinkSkills',
+    description: 'List every link skill with its effect per link level (ATK/DEF/Ki, damage reduction, crit, dodge, healing) and activation condition.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getLinkSkill',
+    description: 'Get one link skill by name, optionally with its effect at a link level.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Link skill name, e.g. "Super Saiyan"' },
+        level: linkLevelSchema
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'getSharedLinkBuffs',
+    description: 'Compute the buffs two adjacent cards give each other through the links they share, at their link levels. Returns each card\'s ATK/DEF/Ki, damage reduction, crit and dodge totals, links whose condition is not met, and a buffs.links value for calculateATK/calculateDEF.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardA: cardReference,
+        cardB: { ...cardReference, description: 'The adjacent card: id, name or alias' },
+        levelA: { ...linkLevelSchema, description: 'Link level of cardA\'s links (default 10)' },
+        levelB: { ...linkLevelSchema, description: 'Link level of cardB\'s links (default 10)' },
+        superAttack: { type: 'boolean', description: 'Count link effects that need a Super Attack (default false)' }
+      },
+      required: ['cardA', 'cardB']
+    }
+  },
+  {
+    name: 'listCategories',
+    description: 'List every card category with its description and how many known cards (cached and meta) are in it.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'getCategoryMembers',
+    description: 'List the known cards in a category. Category names are matched loosely ("pure saiyan" finds Pure Saiyans).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', description: 'Category name' },
+        ...cardPageProperties
+      },
+      required: ['category']
+    }
+  },
+  {
+    name: 'findCardsInCategories',
+    description: 'List the known cards that are in every given category, e.g. both Pure Saiyans and Movie Heroes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        categories: { type: 'array', items: { type: 'string' }, description: 'Category names' },
+        ...cardPageProperties
+      },
+      required: ['categories']
+    }
+  },
+  {
+    name: 'getCardCategories',
+    description: 'List the categories of a card.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: cardReference
+      },
+      required: ['cardId']
+    }
+  },
+  {
+    name: 'getLeaderSkillCoverage',
+    description: 'Show which known cards a leader skill boosts through the categories, types and classes it names ("Super AGL Type", "Extreme Class"), with counts per condition. Cards meeting several of its conditions come first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: { ...cardReference, description: 'Leader card id, name or alias' },
+        leaderSkill: { type: 'string', description: 'Leader skill text, instead of a card' }
+      }
+    }
+  },
+  {
+    name: 'resolveCard',
+    description: 'Resolve a card id, name, JP/Global title, nickname or abbreviation (PHY, AGL, SSJ, UI, LR, ...) to the card it refers to. Fails with the candidates when the name is ambiguous.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: cardReference
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'addCardAlias',
+    description: 'Save a nickname for a card; every tool that takes a card then accepts it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        alias: { type: 'string', description: 'Nickname, e.g. "Beast Gohan"' },
+        cardId: cardReference
+      },
+      required: ['alias', 'cardId']
+    }
+  },
+  {
+    name: 'removeCardAlias',
+    description: 'Remove a saved card nickname.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        alias: { type: 'string', description: 'Nickname to remove' }
+      },
+      required: ['alias']
+    }
+  },
+  {
+    name: 'listCardAliases',
+    description: 'List saved card nicknames. With cardId, lists that card\'s saved nicknames and the names it is recognised by.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: cardReference
+      }
+    }
+  },
+  {
+    name: 'getCacheStats',
+    description: 'Show cache hits, stale hits, misses and refreshes since startup, plus the age, size and freshness of every cached entry.',
+    inputSchema: noArguments
+  },
+  {
+    name: 'listSnapshots',
+    description: 'List the timestamped snapshots kept for a dataset or a card record.',
+    inputSchema: {
+      type: 'object',
+      properties: snapshotTargetProperties
+    }
+  },
+  {
+    name: 'getDataAsOf',
+    description: 'Get a dataset or card record as it was cached at a point in time, e.g. a card before its EZA.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...snapshotTargetProperties,
+        date: { type: 'string', description: 'Point in time (ISO date or date-time)' }
+      },
+      required: ['date']
+    }
+  },
+  {
+    name: 'diffSnapshots',
+    description: 'Show what changed in a dataset or card record between two points in time: added and removed records, and field-level changes for the rest.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...snapshotTargetProperties,
+        from: { type: 'string', description: 'Earlier point in time (ISO date or date-time)' },
+        to: { type: 'string', description: 'Later point in time (default now)' }
+      },
+      required: ['from']
+    }
+  },
+  {
+    name: 'clearCache',
+    description: 'Delete cached data: everything, or only the entries matching every given filter (e.g. tag "category:Pure Saiyans" drops every cached card in that category). Snapshot history is kept unless snapshots is true or namespace is "snapshot".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        namespace: { type: 'string', description: 'Key namespace: "card" (card records), "state" (source rankings, conflict report) or "data" (datasets such as events)' },
+        prefix: { type: 'string', description: 'Key prefix, e.g. "card:10144"' },
+        tag: { type: 'string', description: 'Tag on card records: "category:<name>", "link:<name>", "type:<type>" or "rarity:<rarity>"' },
+        keys: { type: 'array', items: { type: 'string' }, description: 'Exact keys' },
+        snapshots: { type: 'boolean', description: 'With no filters, also delete the snapshot history (default false)' }
+      }
+    }
+  }
+];
+
+/**
+ * Find a tool definition by name
+ * @param {String} name - Tool name
+ * @returns {Object|undefined} Tool definition
+ */
+function getTool(name) {
+  return tools.find(tool => tool.name === name);
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by our tool definitions
+ * (type, properties, required, items, enum, minimum, maximum)
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {String} at - Path used in error messages
+ * @returns {Array} List of validation error messages (empty when valid)
+ */
+function validateArguments(schema, value, at = 'arguments') {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${at} must be of type ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateArguments(schema.items, item, `${at}[${index}]`));
+    });
+  }
+
+  if (isPlainObject(value)) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${at}.${field} is required`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        errors.push(...validateArguments(fieldSchema, value[field], `${at}.${field}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'object': return isPlainObject(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && !isNaN(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Wrap a handler result in an MCP tools/call result
+ * @param {*} result - Handler result
+ * @returns {Object} CallToolResult with text content (and structuredContent for objects)
+ */
+function toToolResult(result) {
+  const toolResult = {
+    content: [{ type: 'text', text: JSON.stringify(result === undefined ? null : result, null, 2) }],
+    isError: false
+  };
+  if (isPlainObject(result)) {
+    toolResult.structuredContent = result;
+  }
+  return toolResult;
+}
+
+/**
+ * Wrap a handler failure in an MCP tools/call result
+ * @param {Error|String} error - Error or message
+ * @returns {Object} CallToolResult flagged with isError
+ */
+function toToolError(error) {
+  const message = typeof error === 'string' ? error : error.message;
+  return {
+    content: [{ type: 'text', text: message }],
+    isError: true
+  };
+}
+
+module.exports = {
+  tools,
+  getTool,
+  validateArguments,
+  toToolResult,
+  toToolError
+};
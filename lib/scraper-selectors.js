@@ -0,0 +1,149 @@
+// lib/scraper-selectors.js
+
+/**
+ * Every dokkaninfo.com URL and CSS selector DokkanScraper relies on, in one
+ * place. When the site changes, this is the only file to update.
+ * test/dokkan-scraper.test.js runs the scraper over the pages in
+ * test/fixtures/dokkaninfo; save fresh copies of the live pages there and the
+ * tests show which selectors no longer match.
+ *
+ * Per page:
+ * - path: URL path, `{param}` placeholders filled by the scraper
+ * - item: selector for repeated entries on list pages (omitted on detail pages)
+ * - required: field names that must match on a healthy page; if none of them
+ *   match, the page is reported as broken (see DokkanScraper.getSelectorHealth)
+ * - fields: field name -> selector (text), { selector, attr } (attribute),
+ *   { selector, list: true } (array of texts) or { selector, attr, list: true }
+ */
+
+const cardFields = {
+  id: { selector: '[data-card-id]', attr: 'data-card-id' },
+  name: '.card-name',
+  title: '.card-title',
+  type: '.card-type',
+  rarity: '.card-rarity',
+  cost: '.card-cost',
+  max_level: '.card-max-level',
+  release_date: '.card-release-date',
+  leader_skill_name: '.leader-skill .skill-name',
+  leader_skill: '.leader-skill .skill-desc',
+  passive_skill_name: '.passive-skill .skill-name',
+  passive_skill: '.passive-skill .skill-desc',
+  super_attack_name: '.super-attack .skill-name',
+  super_attack: '.super-attack .skill-desc',
+  ultra_super_attack_name: '.ultra-super-attack .skill-name',
+  ultra_super_attack: '.ultra-super-attack .skill-desc',
+  active_skill_name: '.active-skill .skill-name',
+  active_skill: '.active-skill .skill-desc',
+  active_skill_condition: '.active-skill .skill-condition',
+  standby_skill_name: '.standby-skill .skill-name',
+  standby_skill: '.standby-skill .skill-desc',
+  standby_skill_condition: '.standby-skill .skill-condition',
+  links: { selector: '.link-skill', list: true },
+  categories: { selector: '.category', list: true },
+  transformation_ids: { selector: '.transformation a[href*="/cards/"]', attr: 'href', list: true },
+  transformation_condition: '.transformation .transform-condition',
+  exchange_ids: { selector: '.exchange a[href*="/cards/"]', attr: 'href', list: true },
+  exchange_condition: '.exchange .exchange-condition',
+  eza_leader_skill: '.eza .leader-skill .skill-desc',
+  eza_passive_skill: '.eza .passive-skill .skill-desc',
+  eza_super_attack: '.eza .super-attack .skill-desc'
+};
+
+const listCardFields = {
+  id: { selector: 'a[href*="/cards/"]', attr: 'href' },
+  name: '.card-name',
+  title: '.card-title',
+  type: '.card-type',
+  rarity: '.card-rarity',
+  release_date: '.card-release-date'
+};
+
+const eventFields = {
+  id: { selector: 'a[href*="/events/"]', attr: 'href' },
+  title: '.event-name',
+  description: '.event-desc',
+  startDate: '.event-start',
+  endDate: '.event-end',
+  date: '.event-date',
+  type: '.event-type'
+};
+
+const selectors = {
+  card: {
+    path: '/cards/{id}',
+    required: ['name', 'type', 'rarity'],
+    fields: cardFields,
+    // Stats table: one row per stat, one column per awakening stage
+    stats: {
+      row: '.card-stats tr',
+      label: 'th',
+      cell: 'td',
+      stages: ['base', 'max', '55%', '100%']
+    }
+  },
+  latestCards: {
+    path: '/cards',
+    item: '.card-preview',
+    required: ['id', 'name'],
+    fields: listCardFields
+  },
+  search: {
+    path: '/cards?search={query}',
+    item: '.card-preview',
+    required: ['id', 'name'],
+    fields: listCardFields
+  },
+  ezas: {
+    path: '/cards?eza=1',
+    item: '.card-preview',
+    required: ['id', 'name'],
+    fields: {
+      ...listCardFields,
+      eza_date: '.eza-date',
+      seza: { selector: '.seza-badge', list: true }
+    }
+  },
+  events: {
+    path: '/events',
+    item: '.event-item',
+    required: ['title'],
+    fields: eventFields
+  },
+  dokkanEvents: {
+    path: '/events?type=dokkan',
+    item: '.event-item',
+    required: ['title'],
+    fields: eventFields
+  },
+  storyEvents: {
+    path: '/events?type=story',
+    item: '.event-item',
+    required: ['title'],
+    fields: eventFields
+  },
+  missions: {
+    path: '/missions',
+    item: '.mission-item',
+    required: ['name'],
+    fields: {
+      name: '.mission-name',
+      description: '.mission-desc',
+      reward: '.mission-reward',
+      event: '.mission-event'
+    }
+  },
+  items: {
+    path: '/items',
+    item: '.item-entry',
+    required: ['name'],
+    fields: {
+      id: { selector: 'a[href*="/items/"]', attr: 'href' },
+      name: '.item-name',
+      type: '.item-type',
+      description: '.item-desc'
+    }
+  }
+};
+
+module.exports = selectors;
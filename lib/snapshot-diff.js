@@ -0,0 +1,98 @@
+// lib/snapshot-diff.js
+
+/**
+ * Record-level and field-level differences between two snapshots of a dataset.
+ *
+ * Records are matched across snapshots by identity: card id, EZA card_id,
+ * or title/name (with start date for events). A snapshot of a single record
+ * (e.g. one card) is compared as that record.
+ */
+
+// Records a cached value holds: a { data: [...] } dataset, a bare list or a single record
+function recordsOf(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object' && Array.isArray(value.data)) return value.data;
+  return value === null || value === undefined ? [] : [value];
+}
+
+function isSingleRecord(value) {
+  return value !== null && value !== undefined && recordsOf(value).length === 1 &&
+    !Array.isArray(value) && !(typeof value === 'object' && Array.isArray(value.data));
+}
+
+function recordId(record) {
+  if (!record || typeof record !== 'object') return JSON.stringify(record);
+  if (record.id !== undefined && record.id !== null && record.id !== '') return `id:${record.id}`;
+  if (record.card_id !== undefined && record.card_id !== null) return `card:${record.card_id}`;
+  const label = record.title || record.name;
+  if (label) return `${label}|${record.startDate || record.start_date || ''}`;
+  return JSON.stringify(record);
+}
+
+// Leaf values by dotted path; arrays count as one value
+function flatten(value, prefix = '', result = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) result[prefix] = value;
+    for (const key of keys) flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  return result;
+}
+
+/**
+ * Field-level changes between two versions of a record
+ * @param {Object} before - Earlier record
+ * @param {Object} after - Later record
+ * @returns {Array} [{ field, from, to }] (from/to undefined when the field was added/removed)
+ */
+function fieldDeltas(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return fields
+    .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+    .map(field => ({ field, from: a[field], to: b[field] }));
+}
+
+/**
+ * Compare two snapshot values
+ * @param {*} before - Earlier value (null when there was none)
+ * @param {*} after - Later value
+ * @returns {Object} { added, removed, changed: [{ id, record, changes }], unchanged }
+ */
+function diffValues(before, after) {
+  const earlier = new Map(recordsOf(before).map(record => [recordId(record), record]));
+  const later = new Map(recordsOf(after).map(record => [recordId(record), record]));
+
+  // Single records are the same record even when their identity fields changed
+  if (isSingleRecord(before) && isSingleRecord(after)) {
+    const [[id, record]] = later;
+    const changes = fieldDeltas([...earlier.values()][0], record);
+    return { added: [], removed: [], changed: changes.length > 0 ? [{ id, record, changes }] : [], unchanged: changes.length > 0 ? 0 : 1 };
+  }
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [id, record] of later) {
+    if (!earlier.has(id)) {
+      added.push(record);
+      continue;
+    }
+    const changes = fieldDeltas(earlier.get(id), record);
+    if (changes.length > 0) changed.push({ id, record, changes });
+    else unchanged++;
+  }
+  const removed = [...earlier].filter(([id]) => !later.has(id)).map(([, record]) => record);
+
+  return { added, removed, changed, unchanged };
+}
+
+module.exports = {
+  recordsOf,
+  recordId,
+  fieldDeltas,
+  diffValues
+};
@@ -0,0 +1,46 @@
+// lib/sources/dokkaninfo-source.js
+const SourceAdapter = require('./source-adapter');
+
+// dokkaninfo.com through DokkanScraper (lib/dokkan-scraper.js)
+class DokkanInfoSource extends SourceAdapter {
+  constructor(dokkanScraper) {
+    super({
+      name: 'dokkanInfo',
+      rateLimitMs: 1500,
+      dataTypes: { cards: 2, events: 1, ezas: 2, dokkanEvents: 1, storyEvents: 2, missions: 1, items: 2, search: 2 }
+    });
+    this.scraper = dokkanScraper;
+  }
+
+  async fetch(dataType, options = {}) {
+    switch (dataType) {
+      case 'cards': return this.scraper.getLatestCards(options);
+      case 'events': return this.scraper.getEvents(options);
+      case 'ezas': return this.scraper.getEZAs(options);
+      case 'dokkanEvents': return this.scraper.getDokkanEvents(options);
+      case 'storyEvents': return this.scraper.getStoryEvents(options);
+      case 'missions': return this.scraper.getMissions(options);
+      case 'items': return this.scraper.getItems(options);
+      default: return this.scraper.getGenericData(dataType, options);
+    }
+  }
+
+  async getCard(cardId, options = {}) {
+    return this.scraper.scrapeCardData(cardId, options);
+  }
+
+  async search(query, options = {}) {
+    return this.scraper.searchCards(query, options);
+  }
+
+  async getSample(dataType, count = 10, options = {}) {
+    return this.scraper.getSample(dataType, count, options);
+  }
+
+  async getAvailableDataTypes() {
+    return this.scraper.getAvailableDataTypes();
+  }
+}
+
+module.exports = DokkanInfoSource;
+module.exports.createSource = ({ dokkanScraper }) => (dokkanScraper ? new DokkanInfoSource(dokkanScraper) : null);
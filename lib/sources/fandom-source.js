@@ -0,0 +1,48 @@
+// lib/sources/fandom-source.js
+const SourceAdapter = require('./source-adapter');
+
+// Fandom wiki through FandomAPI (lib/fandom-api.js)
+class FandomSource extends SourceAdapter {
+  constructor(fandomAPI) {
+    super({
+      name: 'fandom',
+      rateLimitMs: 1000,
+      dataTypes: { cards: 1, events: 2, ezas: 1, dokkanEvents: 2, storyEvents: 1, missions: 2, items: 1, links: 1, categories: 1, search: 1 }
+    });
+    this.api = fandomAPI;
+  }
+
+  async fetch(dataType, options = {}) {
+    switch (dataType) {
+      case 'cards': return this.api.getLatestCards(options);
+      case 'events': return this.api.getEvents(options);
+      case 'ezas': return this.api.getEZAs(options);
+      case 'dokkanEvents': return this.api.getDokkanEvents(options);
+      case 'storyEvents': return this.api.getStoryEvents(options);
+      case 'missions': return this.api.getMissions(options);
+      case 'items': return this.api.getItems(options);
+      case 'links': return this.api.getLinkSkills(options);
+      case 'categories': return this.api.getCardCategories(options);
+      default: return this.api.getGenericData(dataType, options);
+    }
+  }
+
+  async getCard(cardId, options = {}) {
+    return this.api.getCardData(cardId, options);
+  }
+
+  async search(query, options = {}) {
+    return this.api.searchCards(query, options);
+  }
+
+  async getSample(dataType, count = 10, options = {}) {
+    return this.api.getSample(dataType, count, options);
+  }
+
+  async getAvailableDataTypes() {
+    return this.api.getAvailableDataTypes();
+  }
+}
+
+module.exports = FandomSource;
+module.exports.createSource = ({ fandomAPI }) => (fandomAPI ? new FandomSource(fandomAPI) : null);
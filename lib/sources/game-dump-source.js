@@ -0,0 +1,274 @@
+// lib/sources/game-dump-source.js
+const fs = require('fs');
+const path = require('path');
+const SourceAdapter = require('./source-adapter');
+const cardModel = require('../card-model');
+
+/**
+ * Exported Dokkan master data read from disk, so the server works offline.
+ *
+ * The dump can be:
+ * - a JSON file holding { tableName: [rows] }
+ * - a directory of <tableName>.json files, each an array of rows
+ * - a SQLite database (.db/.sqlite/.sqlite3), read with node:sqlite
+ *   (Node 22.5+) or the better-sqlite3 package when installed
+ *
+ * Tables used (missing ones are skipped): cards, card_categories,
+ * card_card_categories, link_skills, link_skill_lvs (per-level effect text),
+ * leader_skill_sets, passive_skill_sets, special_sets, card_specials,
+ * active_skill_sets, card_active_skills.
+ */
+
+const TABLES = [
+  'cards',
+  'card_categories',
+  'card_card_categories',
+  'link_skills',
+  'link_skill_lvs',
+  'leader_skill_sets',
+  'passive_skill_sets',
+  'special_sets',
+  'card_specials',
+  'active_skill_sets',
+  'card_active_skills'
+];
+
+const RARITIES = ['N', 'R', 'SR', 'SSR', 'UR', 'LR'];
+const TYPES = ['AGL', 'TEQ', 'INT', 'STR', 'PHY'];
+const LINK_COLUMNS = ['link_skill1_id', 'link_skill2_id', 'link_skill3_id', 'link_skill4_id', 'link_skill5_id', 'link_skill6_id', 'link_skill7_id'];
+
+// element: 0-4 type, +10 Super, +20 Extreme
+function elementToType(element) {
+  const value = Number(element);
+  if (isNaN(value)) return { type: String(element || ''), class: '' };
+  return {
+    type: TYPES[value % 10] || '',
+    class: value >= 20 ? 'Extreme' : value >= 10 ? 'Super' : ''
+  };
+}
+
+function rarityName(rarity) {
+  return typeof rarity === 'number' || /^\d+$/.test(String(rarity))
+    ? RARITIES[Number(rarity)] || ''
+    : String(rarity || '').toUpperCase();
+}
+
+function numberOrNull(value) {
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+function indexBy(rows, key) {
+  const index = new Map();
+  for (const row of rows) index.set(String(row[key]), row);
+  return index;
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const value = String(row[key]);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  }
+  return groups;
+}
+
+function skillFrom(row, descriptionKey = 'description') {
+  if (!row) return null;
+  return { name: row.name || '', description: row[descriptionKey] || row.description || '' };
+}
+
+function loadJsonTables(dumpPath) {
+  if (fs.statSync(dumpPath).isDirectory()) {
+    const tables = {};
+    for (const table of TABLES) {
+      const file = path.join(dumpPath, `${table}.json`);
+      if (fs.existsSync(file)) tables[table] = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return tables;
+  }
+  return JSON.parse(fs.readFileSync(dumpPath, 'utf8'));
+}
+
+function openSqlite(dumpPath) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(dumpPath, { readOnly: true });
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE' && error.code !== 'MODULE_NOT_FOUND') throw error;
+  }
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(dumpPath, { readonly: true });
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('Reading SQLite dumps needs Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+  }
+}
+
+function loadSqliteTables(dumpPath) {
+  const db = openSqlite(dumpPath);
+  try {
+    const existing = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name));
+    const tables = {};
+    for (const table of TABLES.filter(name => existing.has(name))) {
+      tables[table] = db.prepare(`SELECT * FROM "${table}"`).all();
+    }
+    return tables;
+  } finally {
+    db.close();
+  }
+}
+
+class GameDumpSource extends SourceAdapter {
+  /**
+   * @param {Object} options - { path, region ('jp' or 'global', for release dates), dataTypes }
+   */
+  constructor(options = {}) {
+    super({
+      name: 'gameDump',
+      rateLimitMs: 0,
+      // Ranked after the wikis by default; set ranks in config to prefer the dump
+      dataTypes: { cards: 3, search: 3, links: 3, categories: 3, ...options.dataTypes }
+    });
+    this.path = options.path;
+    this.region = options.region || 'jp';
+    this.tables = null;
+    this.cards = null;
+  }
+
+  // Read the dump once; reload() picks up a new export
+  load() {
+    if (this.tables) return this.tables;
+
+    const tables = /\.(db|sqlite3?)$/i.test(this.path)
+      ? loadSqliteTables(this.path)
+      : loadJsonTables(this.path);
+
+    this.tables = {};
+    for (const table of TABLES) this.tables[table] = Array.isArray(tables[table]) ? tables[table] : [];
+    this.cards = this.buildCards();
+    console.log(`Loaded game dump ${this.path}: ${this.cards.length} cards`);
+    return this.tables;
+  }
+
+  reload() {
+    this.tables = null;
+    this.cards = null;
+    return this.load();
+  }
+
+  // Join the master tables into card records (canonical fields, read by the 'gameDump' card format)
+  buildCards() {
+    const t = this.tables;
+    const categories = indexBy(t.card_categories, 'id');
+    const links = indexBy(t.link_skills, 'id');
+    const leaders = indexBy(t.leader_skill_sets, 'id');
+    const passives = indexBy(t.passive_skill_sets, 'id');
+    const specials = indexBy(t.special_sets, 'id');
+    const actives = indexBy(t.active_skill_sets, 'id');
+    const categoriesByCard = groupBy(t.card_card_categories, 'card_id');
+    const specialsByCard = groupBy(t.card_specials, 'card_id');
+    const activesByCard = groupBy(t.card_active_skills, 'card_id');
+
+    return t.cards.map(row => {
+      const id = String(row.id);
+      const { type, class: cardClass } = elementToType(row.element);
+      const cardSpecials = (specialsByCard.get(id) || [])
+        .map(special => ({ ...special, set: specials.get(String(special.special_set_id)) }))
+        .filter(special => special.set);
+      const ultra = cardSpecials.find(special => /hyper|ultra/i.test(special.style || ''));
+      const normal = cardSpecials.find(special => special !== ultra);
+      const active = (activesByCard.get(id) || []).map(entry => actives.get(String(entry.active_skill_set_id))).find(Boolean);
+      const leader = leaders.get(String(row.leader_skill_set_id || row.leader_skill_id));
+
+      return {
+        id,
+        name: row.name || '',
+        title: row.title || '',
+        type,
+        class: cardClass,
+        rarity: rarityName(row.rarity),
+        cost: numberOrNull(row.cost),
+        maxLevel: numberOrNull(row.lv_max),
+        stats: {
+          base: { hp: numberOrNull(row.hp_init), atk: numberOrNull(row.atk_init), def: numberOrNull(row.def_init) },
+          max: { hp: numberOrNull(row.hp_max), atk: numberOrNull(row.atk_max), def: numberOrNull(row.def_max) }
+        },
+        leaderSkill: leader ? leader.description || leader.name || '' : '',
+        passiveSkill: skillFrom(passives.get(String(row.passive_skill_set_id))),
+        superAttack: normal ? skillFrom(normal.set) : null,
+        ultraSuperAttack: ultra ? skillFrom(ultra.set) : null,
+        activeSkill: active ? {
+          ...skillFrom(active, 'effect_description'),
+          ...(active.condition_description ? { condition: active.condition_description } : {})
+        } : null,
+        links: LINK_COLUMNS
+          .map(column => row[column] && links.get(String(row[column])))
+          .filter(Boolean)
+          .map(link => link.name),
+        categories: (categoriesByCard.get(id) || [])
+          .map(entry => categories.get(String(entry.card_category_id)))
+          .filter(Boolean)
+          .map(category => category.name),
+        releaseDates: row.open_at ? { [this.region]: String(row.open_at).slice(0, 10) } : {},
+        lastModified: row.updated_at || null
+      };
+    });
+  }
+
+  async fetch(dataType, options = {}) {
+    this.load();
+    switch (dataType) {
+      case 'cards':
+        // Newest releases first, like the wikis' latest-cards lists
+        return [...this.cards]
+          .sort((a, b) => String(Object.values(b.releaseDates)[0] || '').localeCompare(String(Object.values(a.releaseDates)[0] || '')))
+          .slice(0, options.limit || 25);
+      case 'links': {
+        const levels = groupBy(this.tables.link_skill_lvs, 'link_skill_id');
+        return this.tables.link_skills.map(link => ({
+          id: String(link.id),
+          name: link.name,
+          description: link.description || '',
+          levels: Object.fromEntries((levels.get(String(link.id)) || [])
+            .filter(level => level.description)
+            .map(level => [Number(level.lv || level.level), level.description]))
+        }));
+      }
+      case 'categories': {
+        const counts = groupBy(this.tables.card_card_categories, 'card_category_id');
+        return this.tables.card_categories.map(category => ({
+          id: String(category.id),
+          name: category.name,
+          cardCount: (counts.get(String(category.id)) || []).length
+        }));
+      }
+      default:
+        throw new Error(`gameDump does not provide ${dataType}`);
+    }
+  }
+
+  async getCard(cardId, options = {}) {
+    this.load();
+    return this.cards.find(card => card.id === String(cardId)) || null;
+  }
+
+  async search(query, options = {}) {
+    this.load();
+    const needle = String(query).toLowerCase();
+    return this.cards
+      .filter(card => `${card.name} ${card.title}`.toLowerCase().includes(needle))
+      .slice(0, options.limit || 25)
+      .map(card => ({ id: card.id, name: card.name, title: card.title, type: card.type, rarity: card.rarity }));
+  }
+}
+
+// Dump records already use canonical field names
+cardModel.registerCardAdapter('gameDump', record => cardModel.createCard({ ...record }));
+
+module.exports = GameDumpSource;
+module.exports.createSource = ({ options = {} }) => {
+  const settings = options.gameDump || {};
+  return settings.path ? new GameDumpSource(settings) : null;
+};
@@ -0,0 +1,107 @@
+// lib/sources/index.js
+const fs = require('fs');
+const path = require('path');
+const SourceAdapter = require('./source-adapter');
+
+/**
+ * Registry of data sources available to WikiUpdater.
+ *
+ * Sources are discovered from this directory: every `*-source.js` module
+ * exporting `createSource(context)` is loaded, and whatever adapter it returns
+ * (null to opt out, e.g. when unconfigured) is registered. Per-source settings
+ * from config `sources.options[name]` ({ enabled, rateLimitMs, dataTypes })
+ * are applied on top of the adapter's defaults.
+ */
+class SourceRegistry {
+  constructor() {
+    this.sources = new Map();
+  }
+
+  /**
+   * @param {SourceAdapter} adapter - Source to add (replaces one with the same name)
+   * @returns {SourceAdapter} The adapter
+   */
+  register(adapter) {
+    if (!(adapter instanceof SourceAdapter)) {
+      throw new Error('Sources must extend SourceAdapter');
+    }
+    this.sources.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  unregister(name) {
+    return this.sources.delete(name);
+  }
+
+  get(name) {
+    return this.sources.get(name) || null;
+  }
+
+  has(name) {
+    return this.sources.has(name);
+  }
+
+  names() {
+    return Array.from(this.sources.keys());
+  }
+
+  list() {
+    return Array.from(this.sources.values());
+  }
+
+  /**
+   * Sources that serve a data type, in default rank order
+   * @param {String} dataType - Data type
+   * @returns {Array} Adapters
+   */
+  forDataType(dataType) {
+    return this.list()
+      .filter(adapter => adapter.supports(dataType))
+      .sort((a, b) => a.rankFor(dataType) - b.rankFor(dataType));
+  }
+
+  // Every data type at least one source declares
+  dataTypes() {
+    return [...new Set(this.list().flatMap(adapter => Object.keys(adapter.dataTypes)))];
+  }
+
+  /**
+   * Build a registry from the source modules in this directory
+   * @param {Object} context - Shared clients and settings passed to createSource
+   *   ({ fandomAPI, dokkanScraper, dataManager, ... }); context.options holds
+   *   config `sources.options`
+   * @returns {SourceRegistry} Registry
+   */
+  static load(context = {}) {
+    const registry = new SourceRegistry();
+    const options = context.options || {};
+
+    const modules = fs.readdirSync(__dirname)
+      .filter(file => file.endsWith('-source.js'))
+      .sort();
+
+    for (const file of modules) {
+      const module = require(path.join(__dirname, file));
+      if (typeof module.createSource !== 'function') continue;
+
+      try {
+        const adapter = module.createSource(context);
+        if (!adapter) continue;
+
+        const settings = options[adapter.name] || {};
+        if (settings.enabled === false) continue;
+        if (settings.rateLimitMs !== undefined) adapter.rateLimitMs = settings.rateLimitMs;
+        if (settings.dataTypes) adapter.dataTypes = { ...adapter.dataTypes, ...settings.dataTypes };
+
+        registry.register(adapter);
+      } catch (error) {
+        console.error(`Error loading source ${file}:`, error);
+      }
+    }
+
+    return registry;
+  }
+}
+
+module.exports = SourceRegistry;
+module.exports.SourceAdapter = SourceAdapter;
@@ -0,0 +1,69 @@
+// lib/sources/source-adapter.js
+const cardModel = require('../card-model');
+
+/**
+ * Base class for data sources used by WikiUpdater.
+ *
+ * A source declares the data types it can serve (with its default rank for
+ * each), its rate limit, and implements fetch/getCard/search. Records it
+ * returns for `cards` are converted to canonical cards with `cardFormat`
+ * (an adapter name in lib/card-model.js).
+ *
+ * Subclasses override what they support; unsupported operations throw so
+ * WikiUpdater falls through to the next source.
+ */
+class SourceAdapter {
+  /**
+   * @param {Object} options - { name, dataTypes: { dataType: rank }, rateLimitMs, cardFormat }
+   *   rank orders sources by default for a data type (lower = tried first)
+   */
+  constructor({ name, dataTypes = {}, rateLimitMs = 0, cardFormat } = {}) {
+    if (!name) throw new Error('A source needs a name');
+    this.name = name;
+    this.dataTypes = dataTypes;
+    this.rateLimitMs = rateLimitMs;
+    this.cardFormat = cardFormat || name;
+  }
+
+  supports(dataType) {
+    return Object.prototype.hasOwnProperty.call(this.dataTypes, dataType);
+  }
+
+  rankFor(dataType) {
+    return this.supports(dataType) ? this.dataTypes[dataType] : Infinity;
+  }
+
+  /**
+   * Fetch records of a data type
+   * @param {String} dataType - Data type (cards, events, ezas, ...)
+   * @param {Object} options - Optional { signal }
+   * @returns {Promise<Array>} Source records
+   */
+  async fetch(dataType, options = {}) {
+    throw new Error(`${this.name} does not provide ${dataType}`);
+  }
+
+  async getCard(cardId, options = {}) {
+    throw new Error(`${this.name} does not provide single cards`);
+  }
+
+  async search(query, options = {}) {
+    throw new Error(`${this.name} does not support search`);
+  }
+
+  async getSample(dataType, count = 10, options = {}) {
+    const records = await this.fetch(dataType, options);
+    return records.slice(0, count);
+  }
+
+  async getAvailableDataTypes() {
+    return Object.keys(this.dataTypes).filter(dataType => dataType !== 'search');
+  }
+
+  // Source card record -> canonical card tagged with this source
+  toCard(record) {
+    return cardModel.toCard(this.name, record, this.cardFormat);
+  }
+}
+
+module.exports = SourceAdapter;
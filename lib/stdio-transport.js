@@ -0,0 +1,81 @@
+// lib/stdio-transport.js
+const readline = require('readline');
+const { ErrorCodes, rpcError, errorResponse } = require('./json-rpc');
+
+/**
+ * Newline-delimited JSON-RPC over stdin/stdout, as used by MCP hosts that
+ * launch the server as a child process. stdout carries protocol messages
+ * only, so all logging must go to stderr (see routeLogsToStderr).
+ */
+class StdioTransport {
+  /**
+   * @param {Function} handleMessage - async (payload, context) => response (null when there is nothing to send)
+   * @param {Object} options - Optional { input, output } streams (default process.stdin/stdout)
+   */
+  constructor(handleMessage, options = {}) {
+    this.handleMessage = handleMessage;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.id = 'stdio';
+    this.reader = null;
+    this.logLevel = 'info';
+  }
+
+  start() {
+    this.reader = readline.createInterface({ input: this.input, terminal: false });
+
+    this.reader.on('line', line => {
+      if (!line.trim()) return;
+      this.processLine(line).catch(error => {
+        console.error('[ERROR] stdio message handling failed:', error);
+      });
+    });
+
+    this.reader.on('close', () => {
+      console.error('[DEBUG] stdin closed, stopping stdio transport');
+      if (this.onclose) this.onclose();
+    });
+  }
+
+  async processLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send(errorResponse(null, rpcError(ErrorCodes.PARSE_ERROR, 'Parse error')));
+      return;
+    }
+
+    // The stdio connection is a single implicit session
+    const response = await this.handleMessage(message, { session: this });
+
+    // Notifications (and cancelled requests) produce no response
+    if (response) this.send(response);
+  }
+
+  send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  close() {
+    if (this.reader) this.reader.close();
+  }
+}
+
+/**
+ * Redirect console.log/info/debug/warn to stderr so stdout stays protocol-only
+ */
+function routeLogsToStderr() {
+  const toStderr = (...args) => console.error(...args);
+  console.log = toStderr;
+  console.info = toStderr;
+  console.debug = toStderr;
+  console.warn = toStderr;
+}
+
+module.exports = StdioTransport;
+module.exports.routeLogsToStderr = routeLogsToStderr;
@@ -0,0 +1,238 @@
+// lib/streamable-http-transport.js
+const crypto = require('crypto');
+const { ErrorCodes, rpcError, errorResponse, isNotification } = require('./json-rpc');
+
+const SESSION_HEADER = 'mcp-session-id';
+const KEEPALIVE_MS = 25000;
+const SESSION_IDLE_MS = 30 * 60 * 1000; // Drop sessions without a stream after 30 mins idle
+const MAX_QUEUED_MESSAGES = 100;
+
+/**
+ * One MCP client session. Server-initiated messages go to the session's
+ * GET /mcp SSE stream; if no stream is open yet they are queued (bounded)
+ * and flushed when the client connects.
+ */
+class McpSession {
+  constructor(id) {
+    this.id = id;
+    this.createdAt = Date.now();
+    this.lastActivity = Date.now();
+    this.logLevel = 'info';
+    this.stream = null;
+    this.queue = [];
+    this.eventId = 0;
+  }
+
+  attachStream(res) {
+    // Only one standalone stream per session; a new one replaces the old
+    if (this.stream) this.stream.end();
+
+    this.stream = res;
+    this.touch();
+    while (this.queue.length > 0) {
+      this.writeEvent(res, this.queue.shift());
+    }
+  }
+
+  detachStream(res) {
+    if (this.stream === res) this.stream = null;
+  }
+
+  send(message) {
+    if (this.stream) {
+      this.writeEvent(this.stream, message);
+    } else {
+      this.queue.push(message);
+      if (this.queue.length > MAX_QUEUED_MESSAGES) this.queue.shift();
+    }
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  writeEvent(res, message) {
+    this.eventId++;
+    res.write(`id: ${this.eventId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+    this.queue = [];
+  }
+}
+
+/**
+ * MCP Streamable HTTP transport: POST carries client messages, GET opens an
+ * SSE stream for server-initiated notifications, DELETE ends the session.
+ * Sessions are created by `initialize` and identified by the Mcp-Session-Id header.
+ */
+class StreamableHttpTransport {
+  /**
+   * @param {Function} handleMessage - async (payload, context) => response (null when there is nothing to send)
+   */
+  constructor(handleMessage) {
+    this.handleMessage = handleMessage;
+    this.sessions = new Map();
+
+    this.keepAliveTimer = setInterval(() => this.keepAlive(), KEEPALIVE_MS);
+    this.keepAliveTimer.unref();
+  }
+
+  /**
+   * Register the /mcp routes on an Express app
+   * @param {Object} app - Express app
+   * @param {String} route - Endpoint path
+   */
+  attach(app, route = '/mcp') {
+    app.post(route, (req, res) => this.handlePost(req, res));
+    app.get(route, (req, res) => this.handleGet(req, res));
+    app.delete(route, (req, res) => this.handleDelete(req, res));
+  }
+
+  async handlePost(req, res) {
+    const message = req.body;
+    let session;
+
+    if (message && message.method === 'initialize') {
+      session = new McpSession(crypto.randomUUID());
+      this.sessions.set(session.id, session);
+      console.log(`[DEBUG] Session ${session.id} created`);
+    } else {
+      session = this.getSession(req, res);
+      if (!session) return;
+    }
+
+    session.touch();
+    res.setHeader('Mcp-Session-Id', session.id);
+
+    // Notifications and client responses are acknowledged without a body
+    const messages = Array.isArray(message) ? message : [message];
+    if (messages.length > 0 && messages.every(m => isNotification(m) || (m && m.method === undefined))) {
+      await this.handleMessage(message, { session });
+      return res.status(202).end();
+    }
+
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      const response = await this.handleMessage(message, { session });
+      return response ? res.json(response) : res.status(202).end();
+    }
+
+    // Stream notifications related to this request (e.g. progress), then the response
+    this.openStream(res);
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const requestStream = {
+      notify: (method, params) => {
+        if (!closed) session.writeEvent(res, { jsonrpc: '2.0', method, params });
+      }
+    };
+
+    const response = await this.handleMessage(message, { session, requestStream });
+    if (!closed) {
+      if (response) session.writeEvent(res, response);
+      res.end();
+    }
+  }
+
+  handleGet(req, res) {
+    const session = this.getSession(req, res);
+    if (!session) return;
+
+    this.openStream(res);
+    session.attachStream(res);
+    console.log(`[DEBUG] Session ${session.id} opened notification stream`);
+
+    res.on('close', () => {
+      session.detachStream(res);
+      session.touch();
+      console.log(`[DEBUG] Session ${session.id} notification stream closed`);
+    });
+  }
+
+  handleDelete(req, res) {
+    const session = this.getSession(req, res);
+    if (!session) return;
+
+    session.close();
+    this.sessions.delete(session.id);
+    console.log(`[DEBUG] Session ${session.id} terminated by client`);
+    res.status(204).end();
+  }
+
+  getSession(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!sessionId) {
+      res.status(400).json(errorResponse(null, rpcError(ErrorCodes.INVALID_REQUEST, 'Missing Mcp-Session-Id header')));
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      // 404 tells the client to start a new session with initialize
+      res.status(404).json(errorResponse(null, rpcError(ErrorCodes.INVALID_REQUEST, 'Session not found')));
+      return null;
+    }
+    return session;
+  }
+
+  openStream(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+  }
+
+  keepAlive() {
+    const now = Date.now();
+    for (const session of this.sessions.values()) {
+      if (session.stream) {
+        session.stream.write(': keepalive\n\n');
+      } else if (now - session.lastActivity > SESSION_IDLE_MS) {
+        console.log(`[DEBUG] Session ${session.id} expired`);
+        session.close();
+        this.sessions.delete(session.id);
+      }
+    }
+  }
+
+  getSessions() {
+    return Array.from(this.sessions.values());
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Send a notification to every session
+   * @param {String} method - Notification method
+   * @param {Object} params - Notification params
+   */
+  broadcast(method, params) {
+    for (const session of this.sessions.values()) {
+      session.notify(method, params);
+    }
+  }
+
+  closeAll() {
+    for (const session of this.sessions.values()) {
+      session.close();
+    }
+    this.sessions.clear();
+    clearInterval(this.keepAliveTimer);
+  }
+}
+
+module.exports = StreamableHttpTransport;
+module.exports.McpSession = McpSession;
@@ -0,0 +1,26 @@
+// lib/text-utils.js
+
+/**
+ * Text matching helpers for card names, categories and skill text.
+ */
+
+/**
+ * Comparable form of a name: lowercase, accents and punctuation dropped, single spaces
+ * @param {String} text - Any text (null/undefined give '')
+ * @returns {String} e.g. "Cell (Perfect Form)!" -> "cell perfect form"
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s%+]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Words of the normalized text
+function tokenize(text) {
+  const normalized = normalize(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+module.exports = {
+  normalize,
+  tokenize
+};
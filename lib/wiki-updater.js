@@ -3,6 +3,12 @@ const fs = require('fs').promises;
 const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
+const EventEmitter = require('events');
+const cardModel = require('./card-model');
+const { reconcileCards, reconcileCardLists } = require('./card-reconciler');
+const { normalizeLink } = require('./link-skills');
+const SourceRegistry = require('./sources');
+const { reconciliation, sources: sourceSettings, dataTypes: dataTypePolicies } = require('../config');
 const execPromise = util.promisify(exec);
 
 // Configuration
@@ -13,38 +19,17 @@ const config = {
     'node-fetch': '^2.6.9',
     'cheerio': '^1.0.0-rc.12'
   },
-  wikiSources: {
-    fandom: {
-      baseUrl: 'https://dbz-dokkanbattle.fandom.com',
-      priority: 1, // Lower number = higher priority
-      rateLimitMs: 1000 // Min milliseconds between requests
-    },
-    dokkanInfo: {
-      baseUrl: 'https://dokkaninfo.com',
-      priority: 2,
-      rateLimitMs: 1500
-    }
-  },
-  dataTypes: {
-    cards: { cacheTtl: 3600000 }, // 1 hour in ms
-    events: { cacheTtl: 1800000 }, // 30 mins
-    ezas: { cacheTtl: 3600000 },
-    dokkanEvents: { cacheTtl: 3600000 },
-    storyEvents: { cacheTtl: 3600000 },
-    missions: { cacheTtl: 3600000 },
-    items: { cacheTtl: 7200000 }, // 2 hours
-    // When new data types are discovered, they'll be added here
-  },
+  // Cache policies live in config/index.js (applied by DataManager);
+  // when new data types are discovered, they'll be added here
+  dataTypes: { ...dataTypePolicies },
   // Parsers for each data type - structure expected in wiki data
   parsers: {
     cards: {
+      // Source records become canonical cards (lib/card-model.js) before any other processing
+      normalize: (item, source, adapter) => (adapter ? adapter.toCard(item) : cardModel.toCard(source, item)),
       requiredFields: ['name', 'id', 'type', 'rarity'],
       transformations: {
-        'name': value => String(value).trim(),
-        'id': value => String(value),
-        'atk': value => parseInt(value) || 0,
-        'def': value => parseInt(value) || 0,
-        'hp': value => parseInt(value) || 0
+        'name': value => String(value).trim()
       }
     },
     events: {
@@ -60,6 +45,17 @@ const config = {
         'stages': value => Array.isArray(value) ? value : []
       }
     },
+    links: {
+      // Link skill pages become { name, levels: { level: { text, effects, condition } } } (lib/link-skills.js)
+      normalize: item => normalizeLink(item),
+      requiredFields: ['name']
+    },
+    categories: {
+      requiredFields: ['name'],
+      transformations: {
+        'name': value => String(value).trim()
+      }
+    },
     // Default parser for newly discovered types
     default: {
       requiredFields: [],
@@ -68,32 +64,187 @@ const config = {
   }
 };
 
+// DataManager cache keys for persisted source ranking state and the conflict report
+const PRIORITIES_KEY = 'state:source-priorities';
+const HEALTH_KEY = 'state:source-health';
+const CONFLICTS_KEY = 'state:conflicts';
+const HEALTH_HISTORY_LIMIT = 50; // Fetch outcomes kept per source
+const HEALTH_SAVE_DELAY_MS = 10000; // Fetch outcomes within this window are saved in one write
+
+// Error thrown when a request's AbortSignal fires (matches node-fetch's AbortError name)
+function abortError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError();
+}
+
+// setTimeout as a promise that rejects early when the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    }
+  });
+}
+
 // Wiki updater functionality
-class WikiUpdater {
-  constructor(dataManager, fandomAPI, dokkanScraper) {
+// Emits 'cacheRefreshed' ({ dataType, count, source }) after fresh data is cached
+// and 'newEZA' (eza) for EZAs not present in the previous cached list
+class WikiUpdater extends EventEmitter {
+  /**
+   * @param {Object} dataManager - DataManager for caches and persisted source state
+   * @param {Object} fandomAPI - FandomAPI client (used by lib/sources/fandom-source.js)
+   * @param {Object} dokkanScraper - DokkanScraper (used by lib/sources/dokkaninfo-source.js)
+   * @param {Object} options - Optional { sources: SourceRegistry } to use instead of the discovered sources
+   */
+  constructor(dataManager, fandomAPI, dokkanScraper, options = {}) {
+    super();
     this.dataManager = dataManager;
-    this.fandomAPI = fandomAPI;
-    this.dokkanScraper = dokkanScraper;
+    this.sources = options.sources || SourceRegistry.load({
+      fandomAPI,
+      dokkanScraper,
+      dataManager,
+      options: sourceSettings.options
+    });
     
     // Track last request time per source to respect rate limits
-    this.lastRequestTime = {
-      fandom: 0,
-      dokkanInfo: 0
-    };
+    this.lastRequestTime = {};
+    
+    // Default source priorities from each source's rank per data type (can be dynamically adjusted)
+    this.sourcePriorities = {};
+    for (const dataType of this.sources.dataTypes()) {
+      this.sourcePriorities[dataType] = this.defaultPriorities(dataType);
+    }
+    
+    // Per-field trust rules for resolving disagreements between sources
+    this.trustRules = { ...reconciliation.trustRules };
+    
+    // Data types whose source order is fixed by config and never re-ranked
+    this.pinnedPriorities = { ...sourceSettings.pinned };
+    Object.assign(this.sourcePriorities, this.pinnedPriorities);
+    
+    // Last ranking (scores per data type/source) and recent fetch outcomes per source
+    this.priorityScores = {};
+    this.prioritiesUpdatedAt = null;
+    this.sourceHealth = {};
+    this.healthSaveTimer = null;
+    this.sourceStateLoaded = null;
+  }
+  
+  // Restore persisted priorities and health history once; pinned config always wins
+  loadSourceState() {
+    if (!this.sourceStateLoaded) {
+      this.sourceStateLoaded = (async () => {
+        const saved = await this.dataManager.getCachedData(PRIORITIES_KEY);
+        if (saved) {
+          Object.assign(this.sourcePriorities, saved.priorities, this.pinnedPriorities);
+          this.priorityScores = saved.scores || {};
+          this.prioritiesUpdatedAt = saved.updatedAt || null;
+        }
+        const health = await this.dataManager.getCachedData(HEALTH_KEY);
+        if (health) this.sourceHealth = health;
+      })();
+    }
+    return this.sourceStateLoaded;
+  }
+  
+  // Record one fetch outcome for a source (kept bounded); saved in batches, not per fetch,
+  // since every save appends the whole health history to the store's log
+  async recordSourceHealth(source, dataType, outcome) {
+    const health = this.sourceHealth[source] || { history: [] };
+    health.history.push({ at: new Date().toISOString(), dataType, ...outcome });
+    if (health.history.length > HEALTH_HISTORY_LIMIT) {
+      health.history.splice(0, health.history.length - HEALTH_HISTORY_LIMIT);
+    }
+    this.sourceHealth[source] = health;
+    
+    if (!this.healthSaveTimer) {
+      this.healthSaveTimer = setTimeout(() => this.saveSourceHealth(), HEALTH_SAVE_DELAY_MS);
+      if (this.healthSaveTimer.unref) this.healthSaveTimer.unref();
+    }
+  }
+  
+  // Save recorded fetch outcomes now, if any are waiting
+  async saveSourceHealth() {
+    if (!this.healthSaveTimer) return;
+    clearTimeout(this.healthSaveTimer);
+    this.healthSaveTimer = null;
     
-    // Default source priorities (can be dynamically adjusted)
-    this.sourcePriorities = { 
-      cards: ['fandom', 'dokkanInfo'],
-      events: ['dokkanInfo', 'fandom'],
-      ezas: ['fandom', 'dokkanInfo'],
-      dokkanEvents: ['dokkanInfo', 'fandom'],
-      storyEvents: ['fandom', 'dokkanInfo'],
-      missions: ['dokkanInfo', 'fandom'],
-      items: ['fandom', 'dokkanInfo']
+    try {
+      await this.dataManager.cacheData(HEALTH_KEY, this.sourceHealth);
+    } catch (error) {
+      console.error('Error saving source health:', error);
+    }
+  }
+  
+  // Error rate and average latency over a source's recent fetches
+  getSourceHealthSummary(source) {
+    const history = (this.sourceHealth[source] && this.sourceHealth[source].history) || [];
+    const latencies = history.filter(entry => entry.latencyMs !== undefined).map(entry => entry.latencyMs);
+    return {
+      samples: history.length,
+      errorRate: history.length > 0 ? history.filter(entry => !entry.ok).length / history.length : 0,
+      averageLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      lastError: (history.filter(entry => !entry.ok).pop() || {}).error || null
     };
   }
   
-  async updateFromWiki(dataTypes = null) {
+  /**
+   * Current source ordering with the scores behind it
+   * @returns {Promise<Object>} { priorities, pinned, scores, health, updatedAt }
+   */
+  async getSourcePriorities() {
+    await this.loadSourceState();
+    const health = {};
+    for (const source of this.sources.names()) {
+      health[source] = this.getSourceHealthSummary(source);
+    }
+    return {
+      priorities: { ...this.sourcePriorities },
+      pinned: Object.keys(this.pinnedPriorities),
+      scores: this.priorityScores,
+      health,
+      updatedAt: this.prioritiesUpdatedAt
+    };
+  }
+  
+  // options.signal aborts the update (a partial summary is returned);
+  // options.onProgress receives { progress, total, message } with progress increasing
+  // from 0 to total (one unit per data type) as sources are tried and rate limits waited out
+  async updateFromWiki(dataTypes = null, options = {}) {
+    const { signal } = options;
+    const results = {};
+    let typesToUpdate = dataTypes || [];
+    
+    // Sub-steps within a data type report completed + 1/2, 2/3, 3/4... so progress never goes backwards
+    let completed = 0;
+    let substep = 0;
+    const report = (message, done = false) => {
+      if (done) {
+        completed++;
+        substep = 0;
+      } else {
+        substep++;
+      }
+      if (options.onProgress) {
+        options.onProgress({
+          progress: done ? completed : completed + substep / (substep + 1),
+          total: typesToUpdate.length,
+          message
+        });
+      }
+    };
+    const fetchOptions = { signal, onStatus: message => report(message) };
+    
     try {
       console.log('Starting wiki update process...');
       
@@ -101,25 +252,26 @@ class WikiUpdater {
       await this.discoverAndCreateParsers();
       
       // Default to all data types if none specified
-      const typesToUpdate = dataTypes || Object.keys(config.dataTypes);
+      typesToUpdate = dataTypes || Object.keys(config.dataTypes);
       console.log(`Updating data types: ${typesToUpdate.join(', ')}`);
       
-      const results = {};
-      
       // Process each data type
       for (const dataType of typesToUpdate) {
+        throwIfAborted(signal);
         console.log(`Updating ${dataType}...`);
+        report(`Updating ${dataType}`);
         
         // Check if cached data exists and is still valid
         const cachedData = await this.dataManager.getCachedData(dataType);
-        const cacheTtl = config.dataTypes[dataType]?.cacheTtl || 3600000; // Default 1 hour
+        const cacheInfo = this.dataManager.getCacheInfo(dataType);
         
-        if (cachedData && Date.now() - cachedData.timestamp < cacheTtl) {
-          console.log(`Using cached ${dataType} data (age: ${Math.round((Date.now() - cachedData.timestamp)/1000)}s)`);
+        if (cachedData && cacheInfo.fresh) {
+          console.log(`Using cached ${dataType} data (age: ${Math.round(cacheInfo.ageMs / 1000)}s)`);
           results[dataType] = {
             count: cachedData.data.length,
             fromCache: true
           };
+          report(`${dataType}: cache still fresh`, true);
           continue;
         }
         
@@ -127,29 +279,35 @@ class WikiUpdater {
         let data;
         switch (dataType) {
           case 'cards':
-            data = await this.getLatestCardsFromBestSource();
+            data = await this.getLatestCardsFromBestSource(fetchOptions);
             break;
           case 'events':
-            data = await this.getEventsFromBestSource();
+            data = await this.getEventsFromBestSource(fetchOptions);
             break;
           case 'ezas':
-            data = await this.getEZAsFromBestSource();
+            data = await this.getEZAsFromBestSource(fetchOptions);
             break;
           case 'dokkanEvents':
-            data = await this.getDokkanEventsFromBestSource();
+            data = await this.getDokkanEventsFromBestSource(fetchOptions);
             break;
           case 'storyEvents':
-            data = await this.getStoryEventsFromBestSource();
+            data = await this.getStoryEventsFromBestSource(fetchOptions);
             break;
           case 'missions':
-            data = await this.getMissionsFromBestSource();
+            data = await this.getMissionsFromBestSource(fetchOptions);
             break;
           case 'items':
-            data = await this.getItemsFromBestSource();
+            data = await this.getItemsFromBestSource(fetchOptions);
+            break;
+          case 'links':
+            data = await this.getLinkSkillsFromBestSource(fetchOptions);
+            break;
+          case 'categories':
+            data = await this.getCategoriesFromBestSource(fetchOptions);
             break;
           default:
             // For newly discovered types, use a generic fetching method
-            data = await this.getGenericDataFromBestSource(dataType);
+            data = await this.getGenericDataFromBestSource(dataType, fetchOptions);
         }
         
         // Cache the fresh data
@@ -165,6 +323,16 @@ class WikiUpdater {
             fromCache: false,
             source: data.source || 'unknown'
           };
+          
+          if (dataType === 'ezas' && cachedData) {
+            this.emitNewEZAs(cachedData.data, data);
+          }
+          
+          this.emit('cacheRefreshed', {
+            dataType,
+            count: data.length,
+            source: data.source || 'unknown'
+          });
         } else {
           console.warn(`No ${dataType} data found`);
           results[dataType] = {
@@ -173,6 +341,8 @@ class WikiUpdater {
             error: 'No data found'
           };
         }
+        
+        report(`${dataType}: ${results[dataType].count} records`, true);
       }
       
       return {
@@ -181,18 +351,42 @@ class WikiUpdater {
         results
       };
     } catch (error) {
+      if (error.name === 'AbortError' || (signal && signal.aborted)) {
+        const pending = typesToUpdate.filter(type => !results[type]);
+        console.log(`Wiki update cancelled with ${pending.length} data types pending`);
+        return {
+          success: false,
+          cancelled: true,
+          message: `Wiki update cancelled after ${Object.keys(results).length} of ${typesToUpdate.length} data types`,
+          results,
+          pending
+        };
+      }
       console.error('[ERROR] Wiki update failed:', error);
       return {
         success: false,
         message: error.message
       };
+    } finally {
+      // One health write per update run
+      await this.saveSourceHealth();
     }
   }
   
-  async checkAnniversaryStatus(version = 'jp') {
+  // Emit 'newEZA' for each EZA that was not in the previously cached list
+  emitNewEZAs(previousEZAs, currentEZAs) {
+    const ezaKey = eza => String(eza.card_id || eza.name);
+    const known = new Set((previousEZAs || []).map(ezaKey));
+    
+    currentEZAs
+      .filter(eza => !known.has(ezaKey(eza)))
+      .forEach(eza => this.emit('newEZA', eza));
+  }
+  
+  async checkAnniversaryStatus(version = 'jp', options = {}) {
     try {
       // Check for anniversary events using the best source
-      const events = await this.getEventsFromBestSource();
+      const events = await this.getEventsFromBestSource(options);
       const anniversaryEvents = events.filter(event => 
         event.title.toLowerCase().includes('anniversary') || 
         event.description.toLowerCase().includes('anniversary')
@@ -270,91 +464,157 @@ class WikiUpdater {
   
   // Helper methods for each data type
   
-  async getLatestCardsFromBestSource() {
-    return await this.getDataFromPrioritizedSources('cards', async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getLatestCards();
-      } else {
-        return await this.dokkanScraper.getLatestCards();
-      }
-    });
+  // Default order for a data type: registered sources that serve it, by rank
+  defaultPriorities(dataType) {
+    return this.sources.forDataType(dataType).map(adapter => adapter.name);
   }
   
-  async getEventsFromBestSource() {
-    return await this.getDataFromPrioritizedSources('events', async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getEvents();
-      } else {
-        return await this.dokkanScraper.getEvents();
-      }
+  // Priority order limited to registered sources that serve the data type;
+  // sources added since the order was saved go last, by rank
+  prioritiesFor(dataType) {
+    const configured = (this.sourcePriorities[dataType] || []).filter(source => {
+      const adapter = this.sources.get(source);
+      return adapter && adapter.supports(dataType);
     });
+    const added = this.defaultPriorities(dataType).filter(source => !configured.includes(source));
+    return [...configured, ...added];
   }
   
-  async getEZAsFromBestSource() {
-    return await this.getDataFromPrioritizedSources('ezas', async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getEZAs();
-      } else {
-        return await this.dokkanScraper.getEZAs();
-      }
-    });
+  // Cards are reconciled across sources field by field (see lib/card-reconciler.js)
+  async getLatestCardsFromBestSource(options = {}) {
+    const results = await this.getDataFromAllSources('cards', (source, signal) =>
+      this.sources.get(source).fetch('cards', { signal }), options);
+    
+    const { cards, conflicts } = reconcileCardLists(
+      results.map(result => ({ source: result.source, cards: result.data, fetchedAt: result.data.fetchTime })),
+      { trustRules: this.trustRules }
+    );
+    await this.recordConflicts(cards, conflicts);
+    
+    cards.source = results.map(result => result.source).join('+');
+    cards.fetchTime = Date.now();
+    return cards;
   }
   
-  async getDokkanEventsFromBestSource() {
-    return await this.getDataFromPrioritizedSources('dokkanEvents', async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getDokkanEvents();
-      } else {
-        return await this.dokkanScraper.getDokkanEvents();
-      }
-    });
+  async getCardFromBestSources(cardId, options = {}) {
+    const { card } = await this.reconcileCard(cardId, options);
+    return card;
   }
   
-  async getStoryEventsFromBestSource() {
-    return await this.getDataFromPrioritizedSources('storyEvents', async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getStoryEvents();
-      } else {
-        return await this.dokkanScraper.getStoryEvents();
-      }
-    });
+  /**
+   * Fetch a card from every source and compare the records field by field
+   * @param {String} cardId - Card id
+   * @param {Object} options - Optional { signal, onStatus }
+   * @returns {Promise<Object>} { cardId, card, sources, conflicts }
+   */
+  async reconcileCard(cardId, options = {}) {
+    const results = await this.getDataFromAllSources('cards', (source, signal) =>
+      this.sources.get(source).getCard(cardId, { signal }), options);
+    
+    const { card, conflicts } = reconcileCards(
+      results.map(result => ({ source: result.source, card: result.data[0], fetchedAt: result.data.fetchTime })),
+      { trustRules: this.trustRules }
+    );
+    await this.recordConflicts([card], conflicts.map(conflict => ({ cardId: card.id, name: card.name, ...conflict })));
+    
+    return {
+      cardId: String(cardId),
+      card,
+      sources: results.map(result => ({ source: result.source, fetchedAt: new Date(result.data.fetchTime).toISOString() })),
+      conflicts
+    };
   }
   
-  async getMissionsFromBestSource() {
-    return await this.getDataFromPrioritizedSources('missions', async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getMissions();
-      } else {
-        return await this.dokkanScraper.getMissions();
-      }
-    });
+  async searchCards(query, options = {}) {
+    return await this.getDataFromPrioritizedSources('search', (source, signal) =>
+      this.sources.get(source).search(query, { signal }), options);
   }
   
-  async getItemsFromBestSource() {
-    return await this.getDataFromPrioritizedSources('items', async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getItems();
-      } else {
-        return await this.dokkanScraper.getItems();
-      }
-    });
+  // Keep the conflicts cache entry current for the cards just checked:
+  // cards that now agree are dropped, cards that disagree replace their previous entry
+  async recordConflicts(checkedCards, conflicts) {
+    const report = (await this.dataManager.getCachedData(CONFLICTS_KEY)) || { cards: {} };
+    const keyOf = card => String(card.cardId || card.id || card.name);
+    const checkedAt = new Date().toISOString();
+    
+    for (const card of checkedCards) {
+      delete report.cards[keyOf(card)];
+    }
+    for (const conflict of conflicts) {
+      const key = keyOf(conflict);
+      const { cardId, name, ...detail } = conflict;
+      report.cards[key] = report.cards[key] || { cardId, name, checkedAt, conflicts: [] };
+      report.cards[key].conflicts.push(detail);
+    }
+    
+    report.updatedAt = checkedAt;
+    await this.dataManager.cacheData(CONFLICTS_KEY, report);
+  }
+  
+  // Stored conflicts from earlier reconciliations, newest check first
+  async getConflictReport() {
+    const report = await this.dataManager.getCachedData(CONFLICTS_KEY);
+    if (!report) return { updatedAt: null, cardCount: 0, conflictCount: 0, cards: [] };
+    
+    const cards = Object.values(report.cards).sort((a, b) => b.checkedAt.localeCompare(a.checkedAt));
+    return {
+      updatedAt: report.updatedAt,
+      cardCount: cards.length,
+      conflictCount: cards.reduce((total, card) => total + card.conflicts.length, 0),
+      cards
+    };
+  }
+  
+  async getEventsFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('events', options);
+  }
+  
+  async getEZAsFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('ezas', options);
+  }
+  
+  async getDokkanEventsFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('dokkanEvents', options);
+  }
+  
+  async getStoryEventsFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('storyEvents', options);
+  }
+  
+  async getMissionsFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('missions', options);
+  }
+  
+  async getItemsFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('items', options);
+  }
+  
+  async getLinkSkillsFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('links', options);
+  }
+  
+  async getCategoriesFromBestSource(options = {}) {
+    return await this.getDataTypeFromBestSource('categories', options);
   }
   
   // Generic method for new data types
-  async getGenericDataFromBestSource(dataType) {
-    return await this.getDataFromPrioritizedSources(dataType, async (source) => {
-      if (source === 'fandom') {
-        return await this.fandomAPI.getGenericData(dataType);
-      } else {
-        return await this.dokkanScraper.getGenericData(dataType);
-      }
-    });
+  async getGenericDataFromBestSource(dataType, options = {}) {
+    return await this.getDataTypeFromBestSource(dataType, options);
   }
   
-  // Generic method to get data from prioritized sources with fallback
-  async getDataFromPrioritizedSources(dataType, fetchFn) {
+  async getDataTypeFromBestSource(dataType, options = {}) {
+    return await this.getDataFromPrioritizedSources(dataType, (source, signal) =>
+      this.sources.get(source).fetch(dataType, { signal }), options);
+  }
+  
+  // Generic method to get data from prioritized sources with fallback.
+  // fetchFn receives (source, signal); options.signal aborts between and during source attempts,
+  // options.onStatus receives a message for each source attempt and rate-limit wait
+  async getDataFromPrioritizedSources(dataType, fetchFn, options = {}) {
+    const { signal } = options;
+    await this.loadSourceState();
     // Get the priority order for this data type
-    const priorities = this.sourcePriorities[dataType];
+    const priorities = this.prioritiesFor(dataType);
     if (!priorities || priorities.length === 0) {
       throw new Error(`No source priorities defined for data type: ${dataType}`);
     }
@@ -363,30 +623,13 @@ class WikiUpdater {
     let lastError = null;
     for (const source of priorities) {
       try {
-        // Respect rate limiting
-        await this.respectRateLimit(source);
-        
-        // Fetch data from this source
-        console.log(`Fetching ${dataType} from ${source}...`);
-        const rawData = await fetchFn(source);
-        
-        // Update last request time
-        this.lastRequestTime[source] = Date.now();
-        
-        if (!rawData || (Array.isArray(rawData) && rawData.length === 0)) {
-          console.log(`No ${dataType} data found from ${source}, trying next source`);
-          continue;
-        }
-        
-        // Parse the data according to the data type
-        const parsedData = this.parseData(dataType, rawData, source);
-        
-        // Add source metadata
-        parsedData.source = source;
-        parsedData.fetchTime = Date.now();
-        
-        return parsedData;
+        const parsedData = await this.fetchFromSource(dataType, source, fetchFn, options);
+        if (parsedData) return parsedData;
+        console.log(`No ${dataType} data found from ${source}, trying next source`);
       } catch (error) {
+        // A cancelled request must not fall through to the next source
+        if (error.name === 'AbortError' || (signal && signal.aborted)) throw abortError();
+        
         console.error(`Error fetching ${dataType} from ${source}:`, error);
         lastError = error;
         // Continue to next source as fallback
@@ -401,6 +644,76 @@ class WikiUpdater {
     }
   }
   
+  // Like getDataFromPrioritizedSources, but asks every source and returns
+  // [{ source, data }] in priority order for the caller to merge.
+  // Fails only when no source returned data.
+  async getDataFromAllSources(dataType, fetchFn, options = {}) {
+    const { signal } = options;
+    await this.loadSourceState();
+    const priorities = this.prioritiesFor(dataType);
+    if (!priorities || priorities.length === 0) {
+      throw new Error(`No source priorities defined for data type: ${dataType}`);
+    }
+    
+    const results = [];
+    let lastError = null;
+    for (const source of priorities) {
+      try {
+        const data = await this.fetchFromSource(dataType, source, fetchFn, options);
+        if (data) results.push({ source, data });
+      } catch (error) {
+        if (error.name === 'AbortError' || (signal && signal.aborted)) throw abortError();
+        
+        console.error(`Error fetching ${dataType} from ${source}:`, error);
+        lastError = error;
+      }
+    }
+    
+    if (results.length === 0) {
+      throw new Error(`Failed to fetch ${dataType} from all sources${lastError ? `: ${lastError.message}` : ''}`);
+    }
+    return results;
+  }
+  
+  // Fetch and parse one source's data; null when the source had nothing
+  async fetchFromSource(dataType, source, fetchFn, options = {}) {
+    const { signal, onStatus } = options;
+    throwIfAborted(signal);
+    
+    // Respect rate limiting
+    await this.respectRateLimit(source, signal, onStatus);
+    
+    // Fetch data from this source
+    console.log(`Fetching ${dataType} from ${source}...`);
+    if (onStatus) onStatus(`Fetching ${dataType} from ${source}`);
+    const startedAt = Date.now();
+    let rawData;
+    try {
+      rawData = await fetchFn(source, signal);
+    } catch (error) {
+      this.lastRequestTime[source] = Date.now();
+      if (error.name !== 'AbortError') {
+        await this.recordSourceHealth(source, dataType, { ok: false, latencyMs: Date.now() - startedAt, error: error.message });
+      }
+      throw error;
+    }
+    
+    // Update last request time
+    this.lastRequestTime[source] = Date.now();
+    await this.recordSourceHealth(source, dataType, { ok: true, latencyMs: Date.now() - startedAt });
+    
+    if (!rawData || (Array.isArray(rawData) && rawData.length === 0)) return null;
+    
+    // Parse the data according to the data type
+    const parsedData = this.parseData(dataType, rawData, source);
+    
+    // Add source metadata
+    parsedData.source = source;
+    parsedData.fetchTime = Date.now();
+    
+    return parsedData;
+  }
+  
   // Parse data according to data type
   parseData(dataType, rawData, source) {
     // Get parser configuration for this data type
@@ -410,7 +723,9 @@ class WikiUpdater {
     const dataArray = Array.isArray(rawData) ? rawData : [rawData];
     
     // Apply parser to each item
-    const parsedItems = dataArray.map(item => {
+    const parsedItems = dataArray.map(rawItem => {
+      const item = parserConfig.normalize ? parserConfig.normalize(rawItem, source, this.sources.get(source)) : rawItem;
+      
       // Check required fields
       if (parserConfig.requiredFields) {
         for (const field of parserConfig.requiredFields) {
@@ -577,12 +892,13 @@ class WikiUpdater {
     console.log('Discovering and creating parsers for new data types...');
     
     try {
-      // Get all available data types from both sources
-      const fandomTypes = await this.fandomAPI.getAvailableDataTypes().catch(() => []);
-      const dokkanInfoTypes = await this.dokkanScraper.getAvailableDataTypes().catch(() => []);
+      // Get all available data types from every source
+      const typesPerSource = await Promise.all(
+        this.sources.list().map(adapter => adapter.getAvailableDataTypes().catch(() => []))
+      );
       
       // Combine and deduplicate
-      const allTypes = [...new Set([...fandomTypes, ...dokkanInfoTypes])];
+      const allTypes = [...new Set(typesPerSource.flat())];
       
       // Find types without parsers
       const newTypes = allTypes.filter(type => !config.parsers[type]);
@@ -593,20 +909,15 @@ class WikiUpdater {
       for (const type of newTypes) {
         try {
           // Get sample data for this type
-          const sampleData = await this.getDataFromPrioritizedSources(type, async (source) => {
-            if (source === 'fandom') {
-              return await this.fandomAPI.getSample(type, 10);
-            } else {
-              return await this.dokkanScraper.getSample(type, 10);
-            }
-          });
+          const sampleData = await this.getDataFromPrioritizedSources(type, (source, signal) =>
+            this.sources.get(source).getSample(type, 10, { signal }));
           
           // Learn parser from sample data
           await this.learnParserForNewDataType(type, sampleData);
           
           // Add to data types config if not present
           if (!config.dataTypes[type]) {
-            config.dataTypes[type] = { cacheTtl: 3600000 }; // Default 1 hour TTL
+            config.dataTypes[type] = {}; // Default cache policy
           }
         } catch (error) {
           console.error(`Error creating parser for ${type}:`, error);
@@ -621,106 +932,139 @@ class WikiUpdater {
   }
   
   // Respect rate limits for each source
-  async respectRateLimit(source) {
-    const sourceConfig = config.wikiSources[source];
-    if (!sourceConfig) return; // No config for this source, no rate limiting
+  async respectRateLimit(source, signal, onStatus) {
+    const adapter = this.sources.get(source);
+    if (!adapter || !adapter.rateLimitMs) return; // No rate limit for this source
     
     const lastRequest = this.lastRequestTime[source] || 0;
     const elapsed = Date.now() - lastRequest;
-    const delay = sourceConfig.rateLimitMs - elapsed;
+    const delay = adapter.rateLimitMs - elapsed;
     
     if (delay > 0) {
       console.log(`Rate limiting: Waiting ${delay}ms before requesting from ${source}`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      if (onStatus) onStatus(`Waiting ${delay}ms for ${source} rate limit`);
+      await sleep(delay, signal);
     }
   }
   
-  // Dynamic source prioritization based on data freshness
+  /**
+   * Re-rank sources per data type from a fresh sample of each, persisting the
+   * result. Pinned data types (config `sources.pinned`) keep their order but are
+   * still scored so the breakdown shows how the sources compare.
+   * @returns {Promise<Object>} { priorities, pinned, scores, health, updatedAt }
+   */
   async updateSourcePriorities() {
     console.log('Updating source priorities based on data freshness...');
+    await this.loadSourceState();
     
     // For each data type, check sample data from each source and compare freshness
     for (const dataType of Object.keys(config.dataTypes)) {
       try {
-        const freshness = {};
+        const scores = {};
         
         // Check each source
-        for (const source of Object.keys(config.wikiSources)) {
+        for (const adapter of this.sources.forDataType(dataType)) {
+          const source = adapter.name;
+          const startedAt = Date.now();
           try {
             await this.respectRateLimit(source);
             
             // Get a small sample of data to check freshness
-            let sampleData;
-            if (source === 'fandom') {
-              sampleData = await this.fandomAPI.getSample(dataType, 5);
-            } else {
-              sampleData = await this.dokkanScraper.getSample(dataType, 5);
-            }
+            const sampleData = await adapter.getSample(dataType, 5);
             
             this.lastRequestTime[source] = Date.now();
+            await this.recordSourceHealth(source, dataType, { ok: true, latencyMs: Date.now() - startedAt });
             
-            // Calculate freshness score based on update timestamps, version numbers, etc.
-            const freshnessScore = this.calculateFreshnessScore(sampleData);
-            freshness[source] = freshnessScore;
+            scores[source] = this.calculateSourceScore(sampleData, this.getSourceHealthSummary(source));
           } catch (error) {
             console.error(`Error checking freshness for ${dataType} from ${source}:`, error);
-            freshness[source] = -1; // Error, lowest priority
+            this.lastRequestTime[source] = Date.now();
+            await this.recordSourceHealth(source, dataType, { ok: false, latencyMs: Date.now() - startedAt, error: error.message });
+            scores[source] = { total: null, error: error.message }; // Error, dropped from the ranking
           }
         }
         
-        // Update priority order based on freshness scores (highest score = highest priority)
-        const newPriorities = Object.entries(freshness)
-          .filter(([key1, score]) => score >= 0) // Filter out error cases
-          .sort(([key1, scoreA], [key2, scoreB]) => scoreB - scoreA) // Sort by descending score
-          .map(([source, score]) => source); // Extract just the source names
+        this.priorityScores[dataType] = scores;
+        
+        if (this.pinnedPriorities[dataType]) {
+          console.log(`Priority for ${dataType} is pinned: ${this.pinnedPriorities[dataType].join(' > ')}`);
+          continue;
+        }
+        
+        // Update priority order based on scores (highest score = highest priority)
+        const newPriorities = Object.entries(scores)
+          .filter(([, score]) => !score.error) // Filter out error cases
+          .sort(([, scoreA], [, scoreB]) => scoreB.total - scoreA.total) // Sort by descending score
+          .map(([source]) => source); // Extract just the source names
         
         if (newPriorities.length > 0) {
-          this.sourcePriorities[dataType] = newPriorities;
-          console.log(`Updated priority for ${dataType}: ${newPriorities.join(' > ')}`);
+          // Sources that failed this round stay available as a last resort
+          const failed = (this.sourcePriorities[dataType] || []).filter(source => !newPriorities.includes(source));
+          this.sourcePriorities[dataType] = [...newPriorities, ...failed];
+          console.log(`Updated priority for ${dataType}: ${this.sourcePriorities[dataType].join(' > ')}`);
         }
       } catch (error) {
         console.error(`Error updating priorities for ${dataType}:`, error);
         // Keep existing priorities
       }
     }
+    
+    this.prioritiesUpdatedAt = new Date().toISOString();
+    await this.dataManager.cacheData(PRIORITIES_KEY, {
+      priorities: this.sourcePriorities,
+      scores: this.priorityScores,
+      updatedAt: this.prioritiesUpdatedAt
+    });
+    await this.saveSourceHealth();
+    
+    return this.getSourcePriorities();
   }
   
-  // Calculate a "freshness" score for data to determine the most up-to-date source
-  calculateFreshnessScore(data) {
-    if (!data || data.length === 0) return 0;
-    
-    let score = 0;
+  /**
+   * Score a source's sample for ranking, with the contribution of each factor
+   * @param {Array} data - Sample records from the source
+   * @param {Object} health - getSourceHealthSummary() for the source
+   * @returns {Object} { total, timestamps, version, completeness, errorRate, latency }
+   */
+  calculateSourceScore(data, health = {}) {
+    const records = data || [];
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
     
     // Check for update timestamps
-    const timestamps = data
+    const timestamps = records
       .filter(item => item.updatedAt || item.lastModified)
-      .map(item => new Date(item.updatedAt || item.lastModified).getTime());
-    
-    if (timestamps.length > 0) {
-      // Average update time as a score component
-      const avgTimestamp = timestamps.reduce((sum, ts) => sum + ts, 0) / timestamps.length;
-      score += avgTimestamp / 1000000; // Scale down to reasonable number
-    }
+      .map(item => new Date(item.updatedAt || item.lastModified).getTime())
+      .filter(time => !isNaN(time));
+    const avgTimestamp = timestamps.length > 0 ? average(timestamps) : null;
     
     // Check for version numbers
-    const versions = data
+    const versions = records
       .filter(item => item.version)
-      .map(item => parseFloat(item.version));
+      .map(item => parseFloat(item.version))
+      .filter(version => !isNaN(version));
+    const avgVersion = versions.length > 0 ? average(versions) : null;
     
-    if (versions.length > 0) {
-      // Average version number as a score component
-      const avgVersion = versions.reduce((sum, v) => sum + v, 0) / versions.length;
-      score += avgVersion * 1000; // Weight versions heavily
-    }
+    // Check for data completeness (more filled fields = better score)
+    const completeness = records.length > 0
+      ? average(records.map(item => Object.values(item).filter(value => value !== '' && value !== null && value !== undefined).length))
+      : 0;
     
-    // Check for data completeness (more fields = better score)
-    const completeness = data
-      .map(item => Object.keys(item).length)
-      .reduce((sum, count) => sum + count, 0) / data.length;
-    
-    score += completeness * 10;
+    const breakdown = {
+      timestamps: {
+        latest: avgTimestamp !== null ? new Date(Math.max(...timestamps)).toISOString() : null,
+        samples: timestamps.length,
+        score: avgTimestamp !== null ? avgTimestamp / 1000000 : 0 // Scale down to reasonable number
+      },
+      version: { average: avgVersion, score: avgVersion !== null ? avgVersion * 1000 : 0 }, // Weight versions heavily
+      completeness: { averageFields: Math.round(completeness * 10) / 10, score: completeness * 10 },
+      errorRate: { rate: health.errorRate || 0, samples: health.samples || 0, score: -(health.errorRate || 0) * 500 },
+      latency: { averageMs: health.averageLatencyMs ?? null, score: -(health.averageLatencyMs || 0) / 100 }
+    };
     
-    return score;
+    breakdown.total = records.length === 0
+      ? 0
+      : Object.values(breakdown).reduce((sum, factor) => sum + factor.score, 0);
+    return breakdown;
   }
 }
 
@@ -0,0 +1,424 @@
+// lib/wikitext-parser.js
+
+/**
+ * Minimal wikitext parsing for the Dokkan Fandom wiki: template extraction,
+ * markup cleanup and the card infobox -> structured card mapping.
+ * Card pages use one infobox template (`{{Characters ...}}` on the Dokkan
+ * wiki, older pages `{{Card ...}}`) with `|key = value` parameters.
+ */
+
+const CARD_TEMPLATES = ['characters', 'character', 'card', 'infobox card', 'card infobox', 'unit'];
+const EVENT_TEMPLATES = ['event', 'events', 'infobox event', 'event infobox'];
+// Full rarity names, checked before abbreviations ("Ultra Rare" is UR, not R).
+// Longer names first: "Super Super Rare" also contains "Super Rare".
+const RARITY_NAMES = [
+  ['LR', /legendary[\s_-]*rare/i],
+  ['UR', /ultra[\s_-]*rare/i],
+  ['SSR', /super[\s_-]*super[\s_-]*rare/i],
+  ['SR', /super[\s_-]*rare/i],
+  ['R', /(?:^|[^a-z])rare(?![a-z])/i],
+  ['N', /(?:^|[^a-z])normal(?![a-z])/i]
+];
+
+/**
+ * Extract top-level templates with their named and positional parameters
+ * @param {String} wikitext - Raw page wikitext
+ * @returns {Array} [{ name, params: { key: value }, positional: [] }]
+ */
+function parseTemplates(wikitext) {
+  const templates = [];
+  if (!wikitext) return templates;
+
+  let depth = 0;
+  let start = -1;
+  for (let i = 0; i < wikitext.length - 1; i++) {
+    if (wikitext[i] === '{' && wikitext[i + 1] === '{') {
+      if (depth === 0) start = i + 2;
+      depth++;
+      i++;
+    } else if (wikitext[i] === '}' && wikitext[i + 1] === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) templates.push(parseTemplateBody(wikitext.slice(start, i)));
+      i++;
+    }
+  }
+  return templates;
+}
+
+function parseTemplateBody(body) {
+  const parts = splitTopLevel(body, '|');
+  const name = parts.shift().trim();
+  const params = {};
+  const positional = [];
+
+  for (const part of parts) {
+    const eq = indexOfTopLevel(part, '=');
+    if (eq === -1) {
+      positional.push(part.trim());
+    } else {
+      params[normalizeKey(part.slice(0, eq))] = part.slice(eq + 1).trim();
+    }
+  }
+
+  return { name, params, positional };
+}
+
+// Split on a separator that is not nested inside {{ }} or [[ ]]
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      current += pair;
+      i++;
+    } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+      depth--;
+      current += pair;
+      i++;
+    } else if (text[i] === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function indexOfTopLevel(text, char) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      i++;
+    } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+      depth--;
+      i++;
+    } else if (text[i] === char && depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// "Leader Skill" / "leader_skill" / "LeaderSkill " -> "leaderskill"
+function normalizeKey(key) {
+  return key.trim().toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Strip wiki markup down to plain text
+ * @param {String} text - Wikitext fragment
+ * @returns {String} Plain text (line breaks preserved as \n)
+ */
+function cleanWikitext(text) {
+  if (text === undefined || text === null) return '';
+  let clean = String(text);
+
+  clean = clean.replace(/<!--[\s\S]*?-->/g, '');
+  clean = clean.replace(/<br\s*\/?>/gi, '\n');
+  clean = clean.replace(/<ref[^>]*\/>/gi, '').replace(/<ref[\s\S]*?<\/ref>/gi, '');
+  clean = clean.replace(/\[\[(?:File|Image):[^\]]*\]\]/gi, '');
+  clean = clean.replace(/\[\[Category:[^\]]*\]\]/gi, '');
+
+  // Inner templates: keep the last positional argument ({{Link|Super Saiyan}} -> Super Saiyan)
+  let previous;
+  do {
+    previous = clean;
+    clean = clean.replace(/\{\{([^{}]*)\}\}/g, (_, body) => {
+      const parts = body.split('|').map(part => part.trim());
+      const values = parts.slice(1).filter(part => !part.includes('='));
+      return values.length > 0 ? values[values.length - 1] : parts[0];
+    });
+  } while (clean !== previous);
+
+  clean = clean.replace(/\[\[[^\]|]*\|([^\]]*)\]\]/g, '$1');
+  clean = clean.replace(/\[\[([^\]]*)\]\]/g, '$1');
+  clean = clean.replace(/\[https?:\/\/\S+\s([^\]]*)\]/g, '$1');
+  clean = clean.replace(/'''?/g, '');
+  clean = clean.replace(/<[^>]+>/g, '');
+  clean = clean.replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&quot;/g, '"');
+  clean = clean.replace(/[ \t]+/g, ' ');
+
+  return clean.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * Split a list parameter (one item per line, bullet, comma or semicolon)
+ * @param {String} value - Raw parameter value
+ * @returns {Array} Cleaned list items
+ */
+function parseList(value) {
+  if (!value) return [];
+  const text = String(value).replace(/<br\s*\/?>/gi, '\n');
+  // Item templates like {{Link|A}}{{Link|B}} become separate lines
+  const separated = text.replace(/\}\}\s*\{\{/g, '}}\n{{');
+  return separated
+    .split(/\n|\*|;|,(?![^[{]*[\]}])/)
+    .map(item => cleanWikitext(item))
+    .filter(Boolean);
+}
+
+/**
+ * Extract [[Category:...]] tags from wikitext
+ * @param {String} wikitext - Raw page wikitext
+ * @returns {Array} Category names
+ */
+function parseCategoryTags(wikitext) {
+  const categories = [];
+  const pattern = /\[\[Category:([^\]|]+)(?:\|[^\]]*)?\]\]/gi;
+  let match;
+  while ((match = pattern.exec(wikitext || '')) !== null) {
+    categories.push(match[1].trim());
+  }
+  return categories;
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null) return undefined;
+  const digits = cleanWikitext(value).replace(/[,\s]/g, '').match(/-?\d+(\.\d+)?/);
+  return digits ? Number(digits[0]) : undefined;
+}
+
+function parseDate(value) {
+  const text = cleanWikitext(value);
+  if (!text) return null;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? text : date.toISOString().slice(0, 10);
+}
+
+// "LR", "Legendary Rare", {{UR}} or a rarity icon ([[File:SSR icon.png]]) -> abbreviation
+function parseRarity(value) {
+  if (value === undefined) return undefined;
+  // cleanWikitext drops file links, so icons are read from their file name
+  const icon = String(value).match(/\[\[(?:File|Image):([^\]|]*)/i);
+  const text = cleanWikitext(value) || (icon ? icon[1] : '');
+  const named = RARITY_NAMES.find(([, pattern]) => pattern.test(text));
+  if (named) return named[0];
+  const abbreviation = text.match(/(?:^|[^a-z])(LR|UR|SSR|SR|R|N)(?![a-z])/i);
+  return abbreviation ? abbreviation[1].toUpperCase() : undefined;
+}
+
+function findTemplate(templates, names) {
+  return templates.find(template => names.includes(normalizeName(template.name)));
+}
+
+function normalizeName(name) {
+  return name.trim().toLowerCase().replace(/_/g, ' ').replace(/^template:/, '');
+}
+
+// First non-empty parameter among alias keys (keys already normalized)
+function pick(params, ...keys) {
+  for (const key of keys) {
+    if (params[key] !== undefined && params[key] !== '') return params[key];
+  }
+  return undefined;
+}
+
+function skill(params, prefix, ...nameKeys) {
+  const description = pick(params, prefix, `${prefix}description`, `${prefix}effect`);
+  const name = pick(params, ...nameKeys, `${prefix}name`);
+  if (description === undefined && name === undefined) return null;
+
+  const result = {
+    name: name !== undefined ? cleanWikitext(name) : '',
+    description: cleanWikitext(description)
+  };
+  const condition = pick(params, `${prefix}condition`, `${prefix}conditions`);
+  if (condition !== undefined) result.condition = cleanWikitext(condition);
+  return result;
+}
+
+// Stats by awakening stage: base (lv1), max (max level), rainbow (100% Hidden Potential), eza
+function parseStats(params, prefix = '') {
+  const stages = {};
+  const stageAliases = {
+    base: ['base', 'min', 'lv1'],
+    max: ['', 'max'],
+    rainbow: ['100%', 'rainbow', 'potential'],
+    '55%': ['55%']
+  };
+
+  for (const stat of ['hp', 'atk', 'def']) {
+    for (const [stage, suffixes] of Object.entries(stageAliases)) {
+      for (const suffix of suffixes) {
+        const value = pick(params, `${prefix}${stat}${suffix}`, `${prefix}${suffix}${stat}`);
+        const number = parseNumber(value);
+        if (number !== undefined) {
+          stages[stage] = stages[stage] || {};
+          stages[stage][stat] = number;
+          break;
+        }
+      }
+    }
+  }
+  return stages;
+}
+
+/**
+ * Parse a card page into a structured card
+ * @param {String} wikitext - Raw page wikitext
+ * @param {Object} meta - Page metadata ({ title, pageId, lastModified })
+ * @returns {Object|null} Structured card, null when the page has no card infobox
+ */
+function parseCardPage(wikitext, meta = {}) {
+  const templates = parseTemplates(wikitext);
+  const infobox = findTemplate(templates, CARD_TEMPLATES);
+  if (!infobox) return null;
+
+  const p = infobox.params;
+  const statsByStage = parseStats(p);
+  const stats = statsByStage.max || statsByStage.rainbow || statsByStage.base || {};
+
+  const typeText = cleanWikitext(pick(p, 'type', 'element', 'typing'));
+  const typeMatch = typeText.match(/(super|extreme)?\s*(AGL|TEQ|INT|STR|PHY)/i);
+
+  const ezaStats = parseStats(p, 'eza');
+  const eza = {
+    leaderSkill: cleanWikitext(pick(p, 'ezaleaderskill', 'leaderskilleza')) || null,
+    passiveSkill: skill(p, 'ezapassiveskill', 'ezapassivename'),
+    superAttack: skill(p, 'ezasuperattack', 'ezasuperattackname'),
+    ultraSuperAttack: skill(p, 'ezaultrasuperattack', 'ezaultrasuperattackname'),
+    stats: ezaStats.max || ezaStats.rainbow || null
+  };
+  const hasEZA = Object.values(eza).some(Boolean);
+
+  const superEza = {
+    leaderSkill: cleanWikitext(pick(p, 'sezaleaderskill', 'superezaleaderskill')) || null,
+    passiveSkill: skill(p, 'sezapassiveskill', 'sezapassivename'),
+    superAttack: skill(p, 'sezasuperattack', 'sezasuperattackname')
+  };
+  const hasSuperEZA = Object.values(superEza).some(Boolean);
+
+  return {
+    id: cleanWikitext(pick(p, 'id', 'cardid', 'number', 'no')) || undefined,
+    name: cleanWikitext(pick(p, 'name', 'character', 'charactername')) || meta.title,
+    title: cleanWikitext(pick(p, 'title', 'cardtitle', 'epithet')) || undefined,
+    jpName: cleanWikitext(pick(p, 'jpname', 'japanesename', 'namejp')) || undefined,
+    jpTitle: cleanWikitext(pick(p, 'jptitle', 'japanesetitle', 'titlejp')) || undefined,
+    rarity: parseRarity(pick(p, 'rarity')),
+    type: typeMatch ? typeMatch[2].toUpperCase() : (typeText || undefined),
+    class: typeMatch && typeMatch[1] ? capitalize(typeMatch[1]) : undefined,
+    cost: parseNumber(pick(p, 'cost')),
+    maxLevel: parseNumber(pick(p, 'maxlevel', 'maxlv', 'lv')),
+    hp: stats.hp,
+    atk: stats.atk,
+    def: stats.def,
+    stats,
+    statsByStage,
+    leaderSkill: cleanWikitext(pick(p, 'leaderskill', 'leader')) || null,
+    passiveSkill: skill(p, 'passiveskill', 'passiveskillname', 'passivename'),
+    superAttack: skill(p, 'superattack', 'superattackname', 'saname'),
+    ultraSuperAttack: skill(p, 'ultrasuperattack', 'ultrasuperattackname', 'usaname'),
+    activeSkill: skill(p, 'activeskill', 'activeskillname'),
+    links: parseList(pick(p, 'linkskill', 'linkskills', 'links')),
+    categories: parseList(pick(p, 'category', 'categories')),
+    isEZA: hasEZA,
+    eza: hasEZA ? eza : null,
+    superEza: hasSuperEZA ? superEza : null,
+    releaseDates: {
+      jp: parseDate(pick(p, 'jpdate', 'jprelease', 'releasedatejp', 'jpreleasedate', 'releasedate')),
+      global: parseDate(pick(p, 'globaldate', 'glbdate', 'globalrelease', 'releasedateglobal', 'globalreleasedate'))
+    },
+    wikiCategories: parseCategoryTags(wikitext),
+    page: meta.title,
+    pageId: meta.pageId,
+    lastModified: meta.lastModified
+  };
+}
+
+/**
+ * Parse a non-card page (event, mission, item...) into a flat record
+ * @param {String} wikitext - Raw page wikitext
+ * @param {Object} meta - Page metadata ({ title, pageId, lastModified })
+ * @returns {Object} Record with cleaned infobox parameters
+ */
+function parseGenericPage(wikitext, meta = {}) {
+  const templates = parseTemplates(wikitext);
+  const infobox = findTemplate(templates, EVENT_TEMPLATES) || templates.find(t => Object.keys(t.params).length > 0);
+
+  const record = {
+    name: meta.title,
+    title: meta.title,
+    page: meta.title,
+    pageId: meta.pageId,
+    lastModified: meta.lastModified,
+    categories: parseCategoryTags(wikitext)
+  };
+
+  if (infobox) {
+    for (const [key, value] of Object.entries(infobox.params)) {
+      record[key] = cleanWikitext(value);
+    }
+    const start = pick(infobox.params, 'startdate', 'start', 'begin');
+    const end = pick(infobox.params, 'enddate', 'end');
+    if (start !== undefined) record.startDate = parseDate(start);
+    if (end !== undefined) record.endDate = parseDate(end);
+  }
+
+  // Lead paragraph as description when the infobox has none
+  if (!record.description) {
+    const lead = wikitext.replace(/\{\{[\s\S]*?\}\}/g, '').split(/\n==/)[0];
+    record.description = cleanWikitext(lead).split('\n')[0] || '';
+  }
+
+  return record;
+}
+
+/**
+ * Parse a link skill page into its effect per link level
+ * Levels come from infobox parameters (`|lv1 = ATK +10%`, `|effect10 = ...`)
+ * or from a wikitable with one `| 1 || ATK +10%` row per level.
+ * @param {String} wikitext - Raw page wikitext
+ * @param {Object} meta - Page metadata ({ title, pageId, lastModified })
+ * @returns {Object} { name, description, levels: { level: effect text }, ... }
+ */
+function parseLinkPage(wikitext, meta = {}) {
+  const templates = parseTemplates(wikitext);
+  const infobox = templates.find(t => Object.keys(t.params).length > 0);
+  const params = infobox ? infobox.params : {};
+
+  const levels = {};
+  for (const [key, value] of Object.entries(params)) {
+    const match = key.match(/^(?:lv|lvl|level)(\d{1,2})(?:effect)?$/) || key.match(/^effect(?:lv|lvl|level)?(\d{1,2})$/);
+    if (match && cleanWikitext(value)) levels[Number(match[1])] = cleanWikitext(value);
+  }
+  if (Object.keys(levels).length === 0) {
+    const row = /^\|\s*(?:Lv\.?|Level)?\s*(\d{1,2})\s*\|\|\s*(.+)$/gim;
+    let match;
+    while ((match = row.exec(wikitext || '')) !== null) {
+      levels[Number(match[1])] = cleanWikitext(match[2].split('||')[0]);
+    }
+  }
+
+  const description = cleanWikitext(pick(params, 'effect', 'description', 'lv1effect'));
+  if (Object.keys(levels).length === 0 && description) levels[1] = description;
+
+  return {
+    name: cleanWikitext(pick(params, 'name', 'linkname')) || String(meta.title || '').replace(/\s*\(Link Skill\)$/i, ''),
+    description: description || levels[1] || '',
+    levels,
+    page: meta.title,
+    pageId: meta.pageId,
+    lastModified: meta.lastModified
+  };
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+}
+
+module.exports = {
+  parseTemplates,
+  cleanWikitext,
+  parseList,
+  parseCategoryTags,
+  parseCardPage,
+  parseGenericPage,
+  parseLinkPage
+};
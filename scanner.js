@@ -1,6 +1,6 @@
 // scanner.js
 const cheerio = require('cheerio');
-const fetch = require('node-fetch');
+const { fetch } = require('./lib/http-fixtures');
 const path = require('path');
 const fs = require('fs').promises;
 
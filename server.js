@@ -5,8 +5,29 @@ const DataManager = require('./lib/data-manager');
 const DokkanScraper = require('./lib/dokkan-scraper');
 const FandomAPI = require('./lib/fandom-api');
 const WikiUpdater = require('./lib/wiki-updater');
+const CardSearch = require('./lib/card-search');
+const CardAliases = require('./lib/card-aliases');
+const LinkSkills = require('./lib/link-skills');
+const CardCategories = require('./lib/card-categories');
+const { parseLeaderSkill, leaderSkillBuffs } = require('./lib/leader-skills');
+const mcpTools = require('./lib/mcp-tools');
+const DokkanResources = require('./lib/mcp-resources');
+const DokkanPrompts = require('./lib/mcp-prompts');
+const cardAnalysis = require('./lib/cardAnalysis');
+const cardModel = require('./lib/card-model');
+const { ErrorCodes, rpcError, resultResponse, errorResponse, isNotification, processPayload } = require('./lib/json-rpc');
+const StdioTransport = require('./lib/stdio-transport');
+const StreamableHttpTransport = require('./lib/streamable-http-transport');
+const httpFixtures = require('./lib/http-fixtures');
 const net = require('net');
 
+// Transport selection: `node server.js --stdio` speaks MCP over stdin/stdout instead of HTTP
+const useStdio = process.argv.includes('--stdio');
+if (useStdio) {
+  // stdout is reserved for protocol messages
+  StdioTransport.routeLogsToStderr();
+}
+
 // Core paths and configuration
 let config, mcpConfig;
 try {
@@ -39,11 +60,28 @@ try {
 
 // Initialize core services with fallback values if config loading failed
 const app = express();
-const activeConnections = new Set();
 const dataManager = new DataManager(process.cwd());
 const dokkanScraper = new DokkanScraper();
 const fandomAPI = new FandomAPI('https://dbz-dokkanbattle.fandom.com');
 const wikiUpdater = new WikiUpdater(dataManager, fandomAPI, dokkanScraper);
+const resources = new DokkanResources(dataManager);
+const cardSearch = new CardSearch(dataManager, {
+  metaCards: () => cardAnalysis.getMetaCards(),
+  aliases: () => cardAliases.userAliasesByCard()
+});
+const cardAliases = new CardAliases(dataManager, {
+  search: cardSearch,
+  metaCards: () => cardAnalysis.getMetaCards(),
+  remoteSearch: (query, { signal } = {}) => wikiUpdater.searchCards(query, { signal })
+});
+const prompts = new DokkanPrompts(dataManager, { aliases: cardAliases });
+const linkSkills = new LinkSkills(({ signal } = {}) =>
+  cachedDataset('links', refreshSignal => wikiUpdater.getLinkSkillsFromBestSource({ signal: refreshSignal }), signal));
+const cardCategories = new CardCategories(cardSearch, {
+  loadCategories: ({ signal } = {}) =>
+    cachedDataset('categories', refreshSignal => wikiUpdater.getCategoriesFromBestSource({ signal: refreshSignal }), signal),
+  getCard: (reference, { signal } = {}) => resolveCardInput({ cardId: reference }, signal)
+});
 
 // Essential middleware
 app.use(express.json({
@@ -55,8 +93,9 @@ app.use(express.json({
 // Fix for Error Code 4: Add proper CORS headers
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version');
+  res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -82,240 +121,619 @@ dataManager.init().catch(err => {
   console.error('[ERROR] Failed to initialize data storage', err);
 });
 
-// MCP protocol handler (core requirement)
-app.post('/', (req, res) => {
-  console.log(`[DEBUG] Received request: ${JSON.stringify(req.body)}`);
-  
-  // Error code 4 fix: Validate JSON-RPC format explicitly
-  if (!req.body || !req.body.jsonrpc || req.body.jsonrpc !== '2.0' || !req.body.method) {
-    console.error('[ERROR] Invalid JSON-RPC request format');
-    return res.status(200).json({
-      jsonrpc: '2.0',
-      error: { code: -32600, message: 'Invalid Request' },
-      id: req.body?.id || null
+// MCP protocol versions we can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// MCP log levels in increasing severity (RFC 5424 names)
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Session-based Streamable HTTP transport on /mcp; stdio transport when started with --stdio
+const httpTransport = new StreamableHttpTransport(handleMessage);
+httpTransport.attach(app);
+let stdioTransport = null;
+
+/**
+ * Send an MCP log notification to one session, respecting its log level
+ * @param {Object} session - Session (or stdio transport) with notify() and logLevel
+ * @param {String} level - Log level
+ * @param {String} logger - Logger name
+ * @param {*} data - Log payload
+ */
+function sendLog(session, level, logger, data) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(session.logLevel || 'info')) return;
+  session.notify('notifications/message', { level, logger, data });
+}
+
+/**
+ * All connected client sessions for the active transport
+ * @returns {Array} Sessions (the stdio transport counts as one)
+ */
+function connectedSessions() {
+  return stdioTransport ? [stdioTransport] : httpTransport.getSessions();
+}
+
+/**
+ * Send an MCP log notification to every connected client
+ */
+function broadcastLog(level, logger, data) {
+  connectedSessions().forEach(session => sendLog(session, level, logger, data));
+}
+
+/**
+ * Notify sessions subscribed to a resource that it changed
+ * @param {String} uri - Resource URI
+ */
+function notifyResourceUpdated(uri) {
+  connectedSessions()
+    .filter(session => session.subscriptions && session.subscriptions.has(uri))
+    .forEach(session => session.notify('notifications/resources/updated', { uri }));
+}
+
+// Cache writes (wiki updates, card lookups) update the matching resource
+dataManager.on('updated', key => {
+  const uri = resources.uriForKey(key);
+  if (uri) notifyResourceUpdated(uri);
+});
+
+dataManager.on('cleared', () => {
+  connectedSessions().forEach(session => {
+    (session.subscriptions || []).forEach(uri => {
+      session.notify('notifications/resources/updated', { uri });
     });
+  });
+});
+
+// Push wiki update events to connected clients
+wikiUpdater.on('cacheRefreshed', info => {
+  broadcastLog('info', 'wiki-updater', { event: 'cacheRefreshed', ...info });
+});
+
+wikiUpdater.on('newEZA', eza => {
+  broadcastLog('notice', 'wiki-updater', { event: 'newEZA', eza });
+});
+
+/**
+ * Resolve the card argument of the analysis tools
+ * @param {Object} args - Tool arguments with cardText, card or cardId (id, name or alias)
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<Object>} Structured card
+ */
+async function resolveCardInput({ card, cardText, cardId } = {}, signal) {
+  if (cardText) return cardAnalysis.parseCustomCard(cardText);
+  // Cards from getCardData are already canonical; anything else is read as a flat custom card
+  if (card) return card.provenance ? card : cardModel.toCard('custom', card);
+  if (cardId) {
+    const target = await cardAliases.resolve(cardId, { signal });
+    // Meta cards have no id to fetch by
+    if (!target.cardId) return target.card.provenance ? target.card : cardModel.toCard('custom', target.card);
+    return await toolHandlers.getCardData({ cardId: target.cardId }, { signal });
   }
-  
-  const { method, params, id } = req.body;
-  activeConnections.add(res);
+  throw new Error('One of cardText, card or cardId is required');
+}
 
-  res.on('close', () => {
-    activeConnections.delete(res);
-    console.log('[DEBUG] Connection closed');
-  });
+// Cache key for the snapshot tools: a card record or a dataset
+async function snapshotTarget({ cardId, dataset } = {}) {
+  if (cardId) return DataManager.cacheKey('card', await cardAliases.resolveId(cardId));
+  if (dataset && DataManager.isValidKey(dataset) && DataManager.namespaceOf(dataset) === 'data') return dataset;
+  throw new Error('Either cardId or a dataset name (e.g. "events") is required');
+}
 
-  // Required MCP methods
-  const handlers = {
-    initialize: () => {
-      console.log('[DEBUG] Claude Desktop initialize request received');
-      
-      // Error code 4 fix: Precise format expected by Claude Desktop
-      const response = {
-        protocolVersion: '2024-02-24',
-        capabilities: {
-          dokkan: {
-            cards: true,
-            events: true,
-            categories: true,
-            ezas: true,
-            dokkanEvents: true,
-            storyEvents: true,
-            missions: true,
-            items: true
-          }
-        },
-        serverInfo: { 
-          name: 'dokkan-mcp', 
-          version: '1.0.0',
-          status: 'ready'
-        }
-      };
-      
-      console.log('[DEBUG] Sending initialize response:', JSON.stringify(response));
-      return response;
-    },
-    
-    shutdown: () => {
-      console.log('[DEBUG] Shutdown requested');
-      setTimeout(() => process.exit(0), 100);
-      return { success: true };
-    },
-    
-    getCardData: async (cardId) => {
-      // Try to get from cache first
-      const cachedData = await dataManager.getCachedData(`card-${cardId}`);
-      if (cachedData) return cachedData;
-      
-      // Use WikiUpdater to get from best source
-      const cardData = await wikiUpdater.getDataFromPrioritizedSources('cards', async (source) => {
-        if (source === 'fandom') {
-          return await fandomAPI.getCardData(cardId);
-        } else {
-          return await dokkanScraper.scrapeCardData(cardId);
-        }
-      });
-      
-      await dataManager.cacheData(`card-${cardId}`, cardData);
-      return cardData;
-    },
-    
-    getLatestCards: async () => {
-      const cachedData = await dataManager.getCachedData('cards');
-      if (cachedData && Date.now() - cachedData.timestamp < 3600000) return cachedData.data;
-      
-      const latestCards = await wikiUpdater.getLatestCardsFromBestSource();
-      await dataManager.cacheData('cards', {
-        data: latestCards,
-        timestamp: Date.now()
-      });
-      return latestCards;
-    },
-    
-    searchCards: async (query) => {
-      // Use WikiUpdater to search from best source
-      return await wikiUpdater.getDataFromPrioritizedSources('cards', async (source) => {
-        if (source === 'fandom') {
-          return await fandomAPI.searchCards(query);
-        } else {
-          return await dokkanScraper.searchCards(query);
-        }
-      });
-    },
-    
-    getEvents: async () => {
-      const cachedData = await dataManager.getCachedData('events');
-      if (cachedData && Date.now() - cachedData.timestamp < 3600000) return cachedData.data;
-      
-      const events = await wikiUpdater.getEventsFromBestSource();
-      await dataManager.cacheData('events', {
-        data: events,
-        timestamp: Date.now()
-      });
-      return events;
-    },
-    
-    clearCache: async () => {
-      await dataManager.clearCache();
-      return { success: true };
-    },
+/**
+ * Leader skill buffs for a unit from its leader and friend leader
+ * @param {Object} card - The unit
+ * @param {Object} args - { leader, friendLeader } card ids/names/aliases and/or
+ *   { leaderSkill, friendLeaderSkill } leader skill text
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<Object|null>} leaderSkillBuffs() result, null without leaders
+ */
+async function leaderBuffsFor(card, { leader, friendLeader, leaderSkill, friendLeaderSkill } = {}, signal) {
+  const skillOf = async (text, reference) => {
+    if (text) return text;
+    if (!reference) return null;
+    const leaderCard = await resolveCardInput({ cardId: reference }, signal);
+    if (!leaderCard.leaderSkill) throw new Error(`No leader skill known for ${leaderCard.name}`);
+    return leaderCard.leaderSkill;
+  };
+  const skills = [await skillOf(leaderSkill, leader), await skillOf(friendLeaderSkill, friendLeader)];
+  return skills.some(Boolean) ? leaderSkillBuffs(card, ...skills) : null;
+}
+
+// Buffs for the calculators: leader skills derived from the leaders, overridden by explicit buffs
+async function resolveBuffs(card, args, signal) {
+  const leaders = await leaderBuffsFor(card, args, signal);
+  return buffsForCard(card, { ...(leaders ? leaders.buffs : {}), ...args.buffs });
+}
+
+// Default LR/EZA flags from the card so callers don't have to repeat them in buffs
+function buffsForCard(card, buffs = {}) {
+  return {
+    isLR: !!card.isLR,
+    isEZA: !!card.isEZA,
+    ...(card.saLevel ? { saLevel: card.saLevel } : {}),
+    ...buffs
+  };
+}
+
+/**
+ * Read a cached dataset ({ data, timestamp, source }) through its cache policy
+ * @param {String} key - Cache key / data type
+ * @param {Function} fetchData - async signal => fresh data
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<Array>} Dataset
+ */
+async function cachedDataset(key, fetchData, signal) {
+  const cached = await dataManager.getOrRefresh(key, async refreshSignal => {
+    const data = await fetchData(refreshSignal);
+    return { data, timestamp: Date.now(), source: data.source || 'unknown' };
+  }, { signal });
+  return cached.data;
+}
+
+// Handlers exposed as MCP tools (see lib/mcp-tools.js for their schemas)
+const toolHandlers = {
+  getCardData: async ({ cardId }, { signal } = {}) => {
+    const id = await cardAliases.resolveId(cardId, { signal });
+    // Merge the card from every source that has it
+    return await dataManager.getOrRefresh(DataManager.cacheKey('card', id),
+      refreshSignal => wikiUpdater.getCardFromBestSources(id, { signal: refreshSignal }), { signal });
+  },
+  
+  getLatestCards: async (args, { signal } = {}) => {
+    return await cachedDataset('cards', refreshSignal => wikiUpdater.getLatestCardsFromBestSource({ signal: refreshSignal }), signal);
+  },
+  
+  searchCards: async ({ remote, ...params } = {}, { signal } = {}) => {
+    const local = await cardSearch.search(params);
+    if (local.total > 0 || !params.query || remote === false) return { source: 'local', ...local };
     
-    updateFromWiki: async (dataTypes) => {
-      return wikiUpdater.updateFromWiki(dataTypes);
-    },
+    // Nothing cached matches yet; ask the wikis
+    const cards = await wikiUpdater.searchCards(params.query, { signal });
+    return {
+      source: cards.source || 'remote',
+      total: cards.length,
+      page: 1,
+      pageSize: cards.length,
+      pages: 1,
+      results: cards.map(card => ({ score: null, card }))
+    };
+  },
+  
+  getEvents: async (args, { signal } = {}) => {
+    return await cachedDataset('events', refreshSignal => wikiUpdater.getEventsFromBestSource({ signal: refreshSignal }), signal);
+  },
+  
+  clearCache: async ({ namespace, prefix, tag, keys, snapshots } = {}) => {
+    const result = await dataManager.clearCache({ namespace, prefix, tag, keys, snapshots });
+    return { success: true, ...result };
+  },
+  
+  updateFromWiki: async ({ dataTypes } = {}, { signal, onProgress, session } = {}) => {
+    const result = await wikiUpdater.updateFromWiki(dataTypes, { signal, onProgress });
     
-    getAnniversaryStatus: async (version = 'jp') => {
-      return wikiUpdater.checkAnniversaryStatus(version);
-    },
+    // A cancelled request gets no JSON-RPC response, so deliver the partial summary as a log message
+    if (result.cancelled && session) {
+      sendLog(session, 'notice', 'wiki-updater', { event: 'updateCancelled', ...result });
+    }
+    return result;
+  },
+  
+  getAnniversaryStatus: async ({ version = 'jp' } = {}, { signal } = {}) => {
+    return wikiUpdater.checkAnniversaryStatus(version, { signal });
+  },
+  
+  getEZAs: async (args, { signal } = {}) => {
+    return await cachedDataset('ezas', refreshSignal => wikiUpdater.getEZAsFromBestSource({ signal: refreshSignal }), signal);
+  },
+  
+  getDokkanEvents: async (args, { signal } = {}) => {
+    return await cachedDataset('dokkanEvents', refreshSignal => wikiUpdater.getDokkanEventsFromBestSource({ signal: refreshSignal }), signal);
+  },
+  
+  getStoryEvents: async (args, { signal } = {}) => {
+    return await cachedDataset('storyEvents', refreshSignal => wikiUpdater.getStoryEventsFromBestSource({ signal: refreshSignal }), signal);
+  },
+  
+  getMissions: async (args, { signal } = {}) => {
+    return await cachedDataset('missions', refreshSignal => wikiUpdater.getMissionsFromBestSource({ signal: refreshSignal }), signal);
+  },
+  
+  getItems: async (args, { signal } = {}) => {
+    return await cachedDataset('items', refreshSignal => wikiUpdater.getItemsFromBestSource({ signal: refreshSignal }), signal);
+  },
+  
+  getConflictReport: async ({ cardId } = {}, { signal } = {}) => {
+    if (!cardId) return await wikiUpdater.getConflictReport();
     
-    getEZAs: async () => {
-      const cachedData = await dataManager.getCachedData('ezas');
-      if (cachedData && Date.now() - cachedData.timestamp < 3600000) return cachedData.data;
-      
-      const ezas = await wikiUpdater.getEZAsFromBestSource();
-      await dataManager.cacheData('ezas', {
-        data: ezas,
-        timestamp: Date.now()
-      });
-      return ezas;
-    },
+    const id = await cardAliases.resolveId(cardId, { signal });
+    const report = await wikiUpdater.reconcileCard(id, { signal });
+    await dataManager.cacheData(DataManager.cacheKey('card', id), report.card);
+    return report;
+  },
+  
+  getSourcePriorities: async () => {
+    return await wikiUpdater.getSourcePriorities();
+  },
+  
+  getLinkSkills: async (args, { signal } = {}) => {
+    return await linkSkills.list({ signal });
+  },
+  
+  getLinkSkill: async ({ name, level }, { signal } = {}) => {
+    const link = await linkSkills.get(name, { level, signal });
+    if (!link) throw new Error(`Unknown link skill: ${name}`);
+    return link;
+  },
+  
+  getSharedLinkBuffs: async ({ cardA, cardB, levelA, levelB, superAttack }, { signal } = {}) => {
+    const [a, b] = await Promise.all([
+      resolveCardInput({ cardId: cardA }, signal),
+      resolveCardInput({ cardId: cardB }, signal)
+    ]);
+    return await linkSkills.sharedLinkBuffs(a, b, { levelA, levelB, conditions: { superAttack: !!superAttack }, signal });
+  },
+  
+  listCategories: async (args, { signal } = {}) => {
+    return await cardCategories.list({ signal });
+  },
+  
+  getCategoryMembers: async ({ category, ...page }, { signal } = {}) => {
+    return await cardCategories.members(category, { ...page, signal });
+  },
+  
+  findCardsInCategories: async ({ categories, ...page }, { signal } = {}) => {
+    return await cardCategories.intersection(categories, { ...page, signal });
+  },
+  
+  getCardCategories: async ({ cardId }, { signal } = {}) => {
+    return await cardCategories.categoriesOf(cardId, { signal });
+  },
+  
+  getLeaderSkillCoverage: async ({ cardId, leaderSkill } = {}, { signal } = {}) => {
+    return await cardCategories.leaderSkillCoverage({ cardId, leaderSkill }, { signal });
+  },
+  
+  parseLeaderSkill: ({ leaderSkill }) => {
+    return parseLeaderSkill(leaderSkill);
+  },
+  
+  getLeaderSkillBuffs: async (args, { signal } = {}) => {
+    const card = await resolveCardInput(args, signal);
+    const result = await leaderBuffsFor(card, args, signal);
+    if (!result) throw new Error('Give a leader or leaderSkill (and optionally a friendLeader or friendLeaderSkill)');
+    return { card: card.name, ...result };
+  },
+  
+  resolveCard: async ({ name }, { signal } = {}) => {
+    return await cardAliases.resolve(name, { signal });
+  },
+  
+  addCardAlias: async ({ alias, cardId }, { signal } = {}) => {
+    return { success: true, ...await cardAliases.addAlias(alias, cardId, { signal }) };
+  },
+  
+  removeCardAlias: async ({ alias }) => {
+    return { success: await cardAliases.removeAlias(alias), alias };
+  },
+  
+  listCardAliases: async ({ cardId } = {}, { signal } = {}) => {
+    return await cardAliases.listAliases(cardId, { signal });
+  },
+  
+  getCacheStats: async () => {
+    return await dataManager.getCacheStats();
+  },
+  
+  listSnapshots: async (args) => {
+    const key = await snapshotTarget(args);
+    return { key, snapshots: await dataManager.listSnapshots(key) };
+  },
+  
+  getDataAsOf: async ({ date, ...target }) => {
+    const snapshot = await dataManager.getDataAsOf(await snapshotTarget(target), date);
+    if (!snapshot) throw new Error(`Nothing was cached for ${target.cardId ? `card ${target.cardId}` : target.dataset} as of ${date}`);
+    return snapshot;
+  },
+  
+  diffSnapshots: async ({ from, to, ...target }) => {
+    return await dataManager.diffSnapshots(await snapshotTarget(target), from, to);
+  },
+  
+  updateSourcePriorities: async () => {
+    const result = await wikiUpdater.updateSourcePriorities();
+    return { success: true, message: 'Source priorities updated', ...result };
+  },
+  
+  calculateStats: async (args, { signal } = {}) => {
+    const card = await resolveCardInput(args, signal);
+    const buffs = await resolveBuffs(card, args, signal);
+    const ki = args.ki !== undefined ? args.ki : 12;
+    return {
+      card: card.name,
+      ki,
+      atk: cardAnalysis.calculateATK(card, buffs, ki),
+      def: cardAnalysis.calculateDEF(card, buffs)
+    };
+  },
+  
+  calculateATK: async (args, { signal } = {}) => {
+    const card = await resolveCardInput(args, signal);
+    const ki = args.ki !== undefined ? args.ki : 12;
+    return { card: card.name, ki, atk: cardAnalysis.calculateATK(card, await resolveBuffs(card, args, signal), ki) };
+  },
+  
+  calculateDEF: async (args, { signal } = {}) => {
+    const card = await resolveCardInput(args, signal);
+    return { card: card.name, def: cardAnalysis.calculateDEF(card, await resolveBuffs(card, args, signal)) };
+  },
+  
+  parseCustomCard: ({ cardText }) => {
+    return cardAnalysis.parseCustomCard(cardText);
+  },
+  
+  compareCardToMeta: async (args, { signal } = {}) => {
+    const card = await resolveCardInput(args, signal);
+    const category = args.category && args.category !== 'all' ? await cardCategories.resolveName(args.category, { signal }) : 'all';
+    return cardAnalysis.compareCardToMeta(card, {
+      buffs: buffsForCard(card, args.buffs),
+      ki: args.ki !== undefined ? args.ki : 12,
+      category
+    });
+  },
+  
+  analyzeCard: async (args, { signal } = {}) => {
+    const card = await resolveCardInput(args, signal);
+    const buffs = await resolveBuffs(card, args, signal);
+    const ki = args.ki !== undefined ? args.ki : 12;
+    const stats = args.stats || {
+      atk: cardAnalysis.calculateATK(card, buffs, ki),
+      def: cardAnalysis.calculateDEF(card, buffs)
+    };
+    return cardAnalysis.analyzeCard(card, stats);
+  },
+  
+  updateMetaData: async (args, { signal } = {}) => {
+    return cardAnalysis.updateMetaData(wikiUpdater, { signal });
+  }
+};
+
+// JSON-RPC method table: MCP lifecycle and tool methods
+const handlers = {
+  initialize: (params = {}) => {
+    console.log('[DEBUG] Client initialize request received');
     
-    getDokkanEvents: async () => {
-      const cachedData = await dataManager.getCachedData('dokkanEvents');
-      if (cachedData && Date.now() - cachedData.timestamp < 3600000) return cachedData.data;
-      
-      const dokkanEvents = await wikiUpdater.getDokkanEventsFromBestSource();
-      await dataManager.cacheData('dokkanEvents', {
-        data: dokkanEvents,
-        timestamp: Date.now()
-      });
-      return dokkanEvents;
-    },
+    // Echo the client's protocol version when we support it, otherwise offer our latest
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : LATEST_PROTOCOL_VERSION;
     
-    getStoryEvents: async () => {
-      const cachedData = await dataManager.getCachedData('storyEvents');
-      if (cachedData && Date.now() - cachedData.timestamp < 3600000) return cachedData.data;
-      
-      const storyEvents = await wikiUpdater.getStoryEventsFromBestSource();
-      await dataManager.cacheData('storyEvents', {
-        data: storyEvents,
-        timestamp: Date.now()
-      });
-      return storyEvents;
-    },
+    const response = {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: true, listChanged: false },
+        prompts: { listChanged: false },
+        logging: {}
+      },
+      serverInfo: { 
+        name: 'dokkan-mcp', 
+        version: '1.0.0'
+      }
+    };
     
-    getMissions: async () => {
-      const cachedData = await dataManager.getCachedData('missions');
-      if (cachedData && Date.now() - cachedData.timestamp < 3600000) return cachedData.data;
-      
-      const missions = await wikiUpdater.getMissionsFromBestSource();
-      await dataManager.cacheData('missions', {
-        data: missions,
-        timestamp: Date.now()
-      });
-      return missions;
-    },
+    console.log('[DEBUG] Sending initialize response:', JSON.stringify(response));
+    return response;
+  },
+  
+  'notifications/initialized': () => {
+    console.log('[DEBUG] Client finished initialization');
+    return {};
+  },
+  
+  ping: () => ({}),
+  
+  'notifications/cancelled': (params = {}, context = {}) => {
+    const key = requestKey(context.session, params.requestId);
+    const controller = key && inFlightRequests.get(key);
+    if (controller) {
+      console.log(`[DEBUG] Cancelling request ${params.requestId}: ${params.reason || 'no reason given'}`);
+      controller.abort(params.reason);
+    }
+    return {};
+  },
+  
+  'logging/setLevel': (params = {}, context = {}) => {
+    if (!LOG_LEVELS.includes(params.level)) {
+      throw rpcError(ErrorCodes.INVALID_PARAMS, `Invalid log level: ${params.level}`);
+    }
+    if (context.session) context.session.logLevel = params.level;
+    return {};
+  },
+  
+  shutdown: () => {
+    console.log('[DEBUG] Shutdown requested');
+    setTimeout(() => process.exit(0), 100);
+    return { success: true };
+  },
+  
+  'tools/list': () => ({ tools: mcpTools.tools }),
+  
+  'tools/call': async (params = {}, context = {}) => {
+    const { name, arguments: args = {} } = params;
+    const tool = mcpTools.getTool(name);
+    if (!tool || !toolHandlers[name]) {
+      throw rpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
     
-    getItems: async () => {
-      const cachedData = await dataManager.getCachedData('items');
-      if (cachedData && Date.now() - cachedData.timestamp < 7200000) return cachedData.data;
-      
-      const items = await wikiUpdater.getItemsFromBestSource();
-      await dataManager.cacheData('items', {
-        data: items,
-        timestamp: Date.now()
-      });
-      return items;
-    },
+    // Argument problems are reported to the model as a failed tool call
+    const validationErrors = mcpTools.validateArguments(tool.inputSchema, args);
+    if (validationErrors.length > 0) {
+      return mcpTools.toToolError(`Invalid arguments for ${name}: ${validationErrors.join('; ')}`);
+    }
     
-    updateSourcePriorities: async () => {
-      await wikiUpdater.updateSourcePriorities();
-      return { success: true, message: 'Source priorities updated' };
+    try {
+      const result = await toolHandlers[name](args, context);
+      return mcpTools.toToolResult(result);
+    } catch (error) {
+      if (context.signal && context.signal.aborted) throw error;
+      console.error(`[ERROR] Tool ${name} failed:`, error);
+      return mcpTools.toToolError(error);
+    }
+  },
+  
+  'resources/list': async () => ({ resources: await resources.list() }),
+  
+  'resources/templates/list': () => ({ resourceTemplates: resources.listTemplates() }),
+  
+  'resources/read': async (params = {}) => {
+    return resources.read(params.uri);
+  },
+  
+  'resources/subscribe': (params = {}, context = {}) => {
+    if (!resources.resolve(params.uri)) {
+      throw rpcError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`, { uri: params.uri });
+    }
+    if (!context.session) {
+      throw rpcError(ErrorCodes.INVALID_REQUEST, 'Subscriptions require a session (use /mcp or --stdio)');
+    }
+    context.session.subscriptions = context.session.subscriptions || new Set();
+    context.session.subscriptions.add(params.uri);
+    return {};
+  },
+  
+  'resources/unsubscribe': (params = {}, context = {}) => {
+    if (context.session && context.session.subscriptions) {
+      context.session.subscriptions.delete(params.uri);
     }
+    return {};
+  },
+  
+  'prompts/list': () => ({ prompts: prompts.list() }),
+  
+  'prompts/get': async (params = {}) => {
+    return prompts.get(params.name, params.arguments);
+  },
+  
+  // Legacy direct method names, kept for older scripts that call handlers without tools/call.
+  // Arguments are checked against the same schemas; problems come back as JSON-RPC errors.
+  ...Object.fromEntries(
+    Object.entries(toolHandlers).map(([name, handler]) => [name, (params, context) => {
+      const args = params || {};
+      const tool = mcpTools.getTool(name);
+      const validationErrors = tool ? mcpTools.validateArguments(tool.inputSchema, args) : [];
+      if (validationErrors.length > 0) {
+        throw rpcError(ErrorCodes.INVALID_PARAMS, `Invalid arguments for ${name}: ${validationErrors.join('; ')}`);
+      }
+      return handler(args, context);
+    }])
+  )
+};
+
+// In-flight requests by session and request id, so notifications/cancelled can abort them.
+// Stateless POST / requests are not tracked: clients there share no session to tell their ids apart.
+const inFlightRequests = new Map();
+
+function requestKey(session, id) {
+  return session ? `${session.id}:${id}` : null;
+}
+
+/**
+ * Build a progress callback for a request that carries _meta.progressToken
+ * @param {Object} params - Request params
+ * @param {Object} context - Transport context
+ * @returns {Function|undefined} ({ progress, total, message }) => void, undefined when no progress was requested
+ */
+function progressReporter(params, context) {
+  const progressToken = params && params._meta && params._meta.progressToken;
+  // Prefer the request's own SSE stream, fall back to the session's notification stream
+  const target = context.requestStream || context.session;
+  if (progressToken === undefined || !target) return undefined;
+  
+  return ({ progress, total, message }) => {
+    target.notify('notifications/progress', { progressToken, progress, total, message });
   };
+}
 
-  try {
-    const handler = handlers[method];
-    if (!handler) {
-      return res.json({
-        jsonrpc: '2.0',
-        error: { code: -32601, message: 'Method not found' },
-        id
-      });
-    }
+/**
+ * Handle a JSON-RPC payload (single message or batch) from any transport
+ * @param {Object|Array} payload - Parsed JSON-RPC message or batch array
+ * @param {Object} context - Transport context ({ session, requestStream }), empty for stateless POST /
+ * @returns {Promise<Object|Array|null>} Response(s), null when there is nothing to send
+ */
+async function handleMessage(payload, context = {}) {
+  return processPayload(payload, message => dispatchMessage(message, context));
+}
 
+/**
+ * Dispatch a single JSON-RPC message to its handler
+ * @param {Object} message - Parsed JSON-RPC message
+ * @param {Object} context - Transport context
+ * @returns {Promise<Object|null>} JSON-RPC response, null for notifications and cancelled requests
+ */
+async function dispatchMessage(message, context) {
+  // Error code 4 fix: Validate JSON-RPC format explicitly
+  if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    // Responses from the client (result/error with an id) need no reply
+    if (message && message.jsonrpc === '2.0' && message.method === undefined &&
+        (message.result !== undefined || message.error !== undefined)) {
+      return null;
+    }
+    console.error('[ERROR] Invalid JSON-RPC request format');
+    return errorResponse(message?.id, rpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request'));
+  }
+  
+  const { method, params, id } = message;
+  const notification = isNotification(message);
+  const handler = handlers[method];
+  if (!handler) {
+    return notification ? null : errorResponse(id, rpcError(ErrorCodes.METHOD_NOT_FOUND, 'Method not found'));
+  }
+  
+  if (notification) {
+    try {
+      await handler(params, context);
+    } catch (error) {
+      console.error(`[ERROR] Notification ${method} failed:`, error);
+    }
+    return null;
+  }
+  
+  const controller = new AbortController();
+  const key = requestKey(context.session, id);
+  if (key) inFlightRequests.set(key, controller);
+  
+  try {
     // Handle both synchronous and async handlers
-    Promise.resolve(handler(params))
-      .then(result => {
-        const response = {
-          jsonrpc: '2.0',
-          result,
-          id
-        };
-        console.log(`[DEBUG] Sending response: ${JSON.stringify(response)}`);
-        res.json(response);
-      })
-      .catch(error => {
-        console.error('[ERROR] Handler failed:', error);
-        console.error('[ERROR] Connection handling error:', error);
-        const errorResponse = {
-          jsonrpc: '2.0',
-          error: { code: -32000, message: error.message },
-          id
-        };
-        console.log(`[DEBUG] Sending error response: ${JSON.stringify(errorResponse)}`);
-        res.json(errorResponse);
-      });
+    const result = await handler(params, {
+      ...context,
+      signal: controller.signal,
+      onProgress: progressReporter(params, context)
+    });
+    return controller.signal.aborted ? null : resultResponse(id, result);
   } catch (error) {
-    console.error('[ERROR] Request processing failed:', error);
-    console.error('[ERROR] Connection handling error:', error);
-    const errorResponse = {
-      jsonrpc: '2.0',
-      error: { code: -32000, message: error.message },
-      id
-    };
-    console.log(`[DEBUG] Sending error response: ${JSON.stringify(errorResponse)}`);
-    res.json(errorResponse);
+    // Cancelled requests get no response
+    if (controller.signal.aborted) return null;
+    console.error('[ERROR] Handler failed:', error);
+    return errorResponse(id, error);
+  } finally {
+    if (key) inFlightRequests.delete(key);
   }
+}
+
+// Stateless MCP handler kept for clients that POST to / without a session
+app.post('/', (req, res) => {
+  console.log(`[DEBUG] Received request: ${JSON.stringify(req.body)}`);
+  
+  handleMessage(req.body).then(response => {
+    if (!response) return res.status(204).end();
+    console.log(`[DEBUG] Sending response: ${JSON.stringify(response)}`);
+    res.json(response);
+  }).catch(error => {
+    console.error('[ERROR] Failed to handle request:', error);
+    if (res.headersSent) return;
+    const id = req.body && !Array.isArray(req.body) ? req.body.id : null;
+    res.status(500).json(errorResponse(id, rpcError(ErrorCodes.INTERNAL_ERROR, 'Internal error')));
+  });
 });
 
 // Health check (required for MCP protocol)
@@ -325,9 +743,12 @@ app.get('/health', (_, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
-    protocol: '2024-02-24',
+    protocol: LATEST_PROTOCOL_VERSION,
     uptime: process.uptime(),
-    connections: activeConnections.size
+    sessions: httpTransport.size,
+    fixtures: httpFixtures.getSettings().mode,
+    store: dataManager.getStoreStats(),
+    scraperSelectors: dokkanScraper.getSelectorHealth()
   };
   console.log('[DEBUG] Health check requested, responding with:', JSON.stringify(healthResponse));
   return res.json(healthResponse);
@@ -337,17 +758,12 @@ app.get('/health', (_, res) => {
 process.on('SIGTERM', () => {
   console.log('[DEBUG] SIGTERM received');
 
-  activeConnections.forEach(conn => {
-    try {
-      conn.json({
-        jsonrpc: '2.0',
-        method: 'notify',
-        params: { type: 'shutdown' }
-      }).end();
-    } catch (err) {
-      console.error('[ERROR] Notification failed:', err);
-    }
-  });
+  try {
+    broadcastLog('notice', 'server', { event: 'shutdown' });
+    httpTransport.closeAll();
+  } catch (err) {
+    console.error('[ERROR] Notification failed:', err);
+  }
 
   setTimeout(() => process.exit(0), 100);
 });
@@ -443,5 +859,18 @@ async function startServer() {
   }
 }
 
+// Start MCP over stdin/stdout (no port needed)
+function startStdio() {
+  stdioTransport = new StdioTransport(handleMessage);
+  stdioTransport.onclose = () => process.exit(0);
+  stdioTransport.start();
+  console.log('[DEBUG] dokkan-mcp listening on stdio');
+  return stdioTransport;
+}
+
 // Start the server
-startServer();
\ No newline at end of file
+if (useStdio) {
+  startStdio();
+} else {
+  startServer();
+}
\ No newline at end of file
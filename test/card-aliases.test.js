@@ -0,0 +1,67 @@
+// test/card-aliases.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const CardAliases = require('../lib/card-aliases');
+const CardSearch = require('../lib/card-search');
+const { learnedAliases } = CardAliases;
+
+const CARDS = [
+  { id: '1', name: 'Super Saiyan God SS Goku', title: 'Divine Warrior', type: 'AGL', class: 'Super', rarity: 'LR' },
+  { id: '2', name: 'Goku', title: 'Saiyan Raised on Earth', type: 'PHY', class: 'Super', rarity: 'UR' },
+  { id: '3', name: 'Goku', title: 'Kaioken Attack', type: 'STR', class: 'Super', rarity: 'UR' }
+];
+
+// In-memory stand-in for DataManager: cards by id and one saved value per key
+function fakeDataManager() {
+  const dataManager = new EventEmitter();
+  const saved = new Map();
+  dataManager.findCards = async ({ id } = {}) => CARDS.filter(card => id === undefined || card.id === id);
+  dataManager.getCachedData = async key => (saved.has(key) ? JSON.parse(saved.get(key)) : null);
+  dataManager.cacheData = async (key, value) => {
+    saved.set(key, JSON.stringify(value));
+    dataManager.emit('updated', key);
+  };
+  return dataManager;
+}
+
+function setup() {
+  const dataManager = fakeDataManager();
+  const aliases = new CardAliases(dataManager);
+  aliases.search = new CardSearch(dataManager, { aliases: () => aliases.userAliasesByCard() });
+  return aliases;
+}
+
+test('learnedAliases covers titles, type/rarity prefixes and abbreviations', () => {
+  const aliases = learnedAliases(CARDS[0]);
+  for (const alias of ['super saiyan god ss goku', 'divine warrior super saiyan god ss goku', 'agl super saiyan god ss goku', 'lr agl super saiyan god ss goku', 'ssgss goku']) {
+    assert.ok(aliases.includes(alias), alias);
+  }
+});
+
+test('resolve tries the id, then learned aliases', async () => {
+  const aliases = setup();
+  assert.deepEqual(await aliases.resolve('2'), { cardId: '2', card: CARDS[1], matchedBy: 'id' });
+  assert.equal((await aliases.resolve('SSGSS Goku')).cardId, '1');
+  assert.equal((await aliases.resolve('STR Goku')).cardId, '3');
+});
+
+test('resolve reports ambiguous and unknown names', async () => {
+  const aliases = setup();
+  await assert.rejects(aliases.resolve('Goku'), /matches several cards/);
+  await assert.rejects(aliases.resolve('Frieza'), /No card found for "Frieza"/);
+  await assert.rejects(aliases.resolve('  '), /A card id, name or alias is required/);
+});
+
+test('saved aliases resolve, are searchable and can be removed', async () => {
+  const aliases = setup();
+  assert.deepEqual(await aliases.addAlias('Kaioken Goku!', 'STR Goku'), { alias: 'Kaioken Goku!', cardId: '3', name: 'Goku' });
+  assert.deepEqual(await aliases.resolve('kaioken goku'), { cardId: '3', card: CARDS[2], matchedBy: 'alias' });
+
+  const { results } = await aliases.search.search({ query: 'kaioken goku' });
+  assert.equal(results[0].card.id, '3');
+
+  assert.equal(await aliases.removeAlias('KAIOKEN goku'), true);
+  assert.equal(await aliases.removeAlias('kaioken goku'), false);
+  assert.deepEqual((await aliases.listAliases()).user, []);
+});
@@ -0,0 +1,77 @@
+// test/card-categories.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const CardSearch = require('../lib/card-search');
+const CardCategories = require('../lib/card-categories');
+
+const CARDS = [
+  { id: '1', name: 'Goku', type: 'AGL', class: 'Super', categories: ['Pure Saiyans', 'Movie Heroes'] },
+  { id: '2', name: 'Vegeta', type: 'AGL', class: 'Extreme', categories: ['Pure Saiyans'] },
+  { id: '3', name: 'Gohan', type: 'TEQ', class: 'Super', categories: ['Hybrid Saiyans', 'Movie Heroes'] },
+  { id: '4', name: 'Frieza', type: 'INT', class: 'Extreme', categories: ['Movie Bosses'] }
+];
+
+function setup() {
+  const dataManager = new EventEmitter();
+  dataManager.findCards = async () => CARDS;
+  const search = new CardSearch(dataManager);
+  return new CardCategories(search, {
+    loadCategories: async () => [{ id: '10', name: 'Pure Saiyans' }, { id: '11', name: 'Movie Heroes' }],
+    getCard: async reference => CARDS.find(card => card.id === reference || card.name === reference)
+  });
+}
+
+const covered = result => result.cards.map(entry => entry.card.name).sort();
+
+test('list merges the category dataset with card counts', async () => {
+  const list = await setup().list();
+  assert.deepEqual(list.map(category => [category.name, category.cardCount]), [
+    ['Hybrid Saiyans', 1],
+    ['Movie Bosses', 1],
+    ['Movie Heroes', 2],
+    ['Pure Saiyans', 2]
+  ]);
+  assert.equal(list.find(category => category.name === 'Pure Saiyans').id, '10');
+});
+
+test('category names match loosely and unknown names suggest close ones', async () => {
+  const categories = setup();
+  assert.equal(await categories.resolveName('pure saiyan'), 'Pure Saiyans');
+  assert.equal(await categories.resolveName('Movie Heroes Category'), 'Movie Heroes');
+  await assert.rejects(categories.resolveName('Movie'), /did you mean Movie Bosses, Movie Heroes/);
+});
+
+test('intersection returns the cards in every category', async () => {
+  const result = await setup().intersection(['pure saiyans', 'movie hero']);
+  assert.deepEqual(result.categories, ['Pure Saiyans', 'Movie Heroes']);
+  assert.deepEqual(result.cards.map(card => card.name), ['Goku']);
+});
+
+test('leader skill coverage counts category conditions', async () => {
+  const result = await setup().leaderSkillCoverage({ leaderSkill: '"Pure Saiyans" or "Movie Heroes" Category Ki +3 and HP, ATK & DEF +170%' });
+  assert.deepEqual(result.categories, ['Pure Saiyans', 'Movie Heroes']);
+  assert.deepEqual(result.byCategory, { 'Pure Saiyans': 2, 'Movie Heroes': 2 });
+  assert.deepEqual(covered(result), ['Gohan', 'Goku', 'Vegeta']);
+  assert.deepEqual(result.cards[0].matched, ['Pure Saiyans', 'Movie Heroes']);
+});
+
+test('leader skill coverage counts type and class conditions', async () => {
+  const categories = setup();
+  const superAgl = await categories.leaderSkillCoverage({ leaderSkill: 'Super AGL Type Ki +3 and HP, ATK & DEF +170%' });
+  assert.deepEqual(superAgl.conditions, ['Super AGL Type']);
+  assert.deepEqual(covered(superAgl), ['Goku']);
+
+  const extreme = await categories.leaderSkillCoverage({ leaderSkill: 'Extreme Class Ki +3 and HP, ATK & DEF +120%' });
+  assert.deepEqual(extreme.byCondition, { 'Extreme Class': 2 });
+  assert.deepEqual(covered(extreme), ['Frieza', 'Vegeta']);
+
+  const everyone = await categories.leaderSkillCoverage({ leaderSkill: 'All Types Ki +3 and HP, ATK & DEF +100%' });
+  assert.equal(everyone.total, CARDS.length);
+});
+
+test('leader skill coverage reads a leader card\'s skill', async () => {
+  const categories = setup();
+  await assert.rejects(categories.leaderSkillCoverage({ cardId: 'Goku' }), /No leader skill known for Goku/);
+  await assert.rejects(categories.leaderSkillCoverage({}), /Either cardId or leaderSkill is required/);
+});
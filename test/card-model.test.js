@@ -0,0 +1,67 @@
+// test/card-model.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCard, mergeCards, mergeCardLists } = require('../lib/card-model');
+
+const fandom = toCard('fandom', {
+  id: '1014411',
+  name: 'Super Saiyan Goku',
+  title: 'Awakened Power',
+  rarity: 'LR',
+  type: 'AGL',
+  class: 'Super',
+  statsByStage: { max: { hp: '20,000', atk: '18000', def: '9000' } },
+  leaderSkill: '"Pure Saiyans" Category Ki +3 and HP, ATK & DEF +170%',
+  categories: ['Pure Saiyans'],
+  releaseDates: { jp: '2024-01-01' }
+});
+
+const dokkanInfo = toCard('dokkanInfo', {
+  id: 1014411,
+  name: 'Super Saiyan Goku',
+  title: 'Awakened Power',
+  type: 'Super AGL',
+  rarity: 'lr',
+  stats_by_stage: { max: { hp: 20500, atk: 18500, def: 9500 }, '100%': { hp: 23000, atk: 21000, def: 12000 } },
+  links: ['Super Saiyan', 'Kamehameha'],
+  categories: ['Pure Saiyans', 'Goku\'s Family'],
+  release_date: '2024-07-01'
+});
+
+test('adapters read each source into the canonical shape', () => {
+  assert.equal(fandom.hp, 20000);
+  assert.equal(fandom.provenance.leaderSkill, 'fandom');
+  assert.equal(dokkanInfo.id, '1014411');
+  assert.deepEqual([dokkanInfo.type, dokkanInfo.class, dokkanInfo.rarity], ['AGL', 'Super', 'LR']);
+  // Headline stats are the max-level stats
+  assert.equal(dokkanInfo.atk, 18500);
+});
+
+test('isLR follows the rarity unless the record sets it', () => {
+  assert.equal(fandom.isLR, true);
+  assert.equal(toCard('custom', { name: 'x', atk: 20000, isLR: true }).isLR, true);
+  assert.equal(toCard('custom', { name: 'x', atk: 20000 }).isLR, false);
+  assert.equal(mergeCards([toCard('custom', { name: 'x' }), toCard('meta', { name: 'x', isLR: true })]).isLR, true);
+});
+
+test('mergeCards takes each field from the first source that has it and records where it came from', () => {
+  const merged = mergeCards([fandom, dokkanInfo]);
+  assert.deepEqual(merged.sources, ['fandom', 'dokkanInfo']);
+  assert.deepEqual(merged.stats.max, { hp: 20000, atk: 18000, def: 9000 });
+  assert.equal(merged.provenance['stats.max'], 'fandom');
+  assert.deepEqual(merged.stats.rainbow, { hp: 23000, atk: 21000, def: 12000 });
+  assert.equal(merged.provenance['stats.rainbow'], 'dokkanInfo');
+  assert.deepEqual(merged.links, ['Super Saiyan', 'Kamehameha']);
+  assert.equal(merged.provenance.links, 'dokkanInfo');
+  assert.deepEqual(merged.releaseDates, { jp: '2024-01-01', global: '2024-07-01' });
+  assert.equal(merged.atk, 18000);
+});
+
+test('mergeCardLists groups the same card by id or name and title', () => {
+  const other = toCard('custom', { name: 'Vegeta', title: 'Prince' });
+  const byName = toCard('custom', { name: 'super saiyan goku', title: 'awakened power', saLevel: 15 });
+  const merged = mergeCardLists([[fandom, other], [dokkanInfo, byName]]);
+  assert.equal(merged.length, 2);
+  assert.equal(merged[0].saLevel, 15);
+  assert.deepEqual(merged[0].sources, ['fandom', 'dokkanInfo', 'custom']);
+});
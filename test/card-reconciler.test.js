@@ -0,0 +1,80 @@
+// test/card-reconciler.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCard } = require('../lib/card-model');
+const { reconcileCards, reconcileCardLists, resolve } = require('../lib/card-reconciler');
+
+const TRUST_RULES = {
+  stats: ['dokkanInfo', 'fandom'],
+  categories: 'union',
+  leaderSkill: 'newest'
+};
+
+function entries() {
+  return [
+    {
+      source: 'fandom',
+      fetchedAt: '2024-01-01T00:00:00Z',
+      card: toCard('fandom', {
+        id: '1', name: 'Goku', title: 'Hero', rarity: 'LR',
+        statsByStage: { max: { hp: 20000, atk: 18000, def: 9000 } },
+        categories: ['Pure Saiyans', 'Movie Heroes'],
+        leaderSkill: 'Old leader skill',
+        lastModified: '2024-01-01T00:00:00Z'
+      })
+    },
+    {
+      source: 'dokkanInfo',
+      fetchedAt: '2024-06-01T00:00:00Z',
+      card: toCard('dokkanInfo', {
+        id: '1', name: 'Goku', title: 'hero ', rarity: 'LR',
+        stats_by_stage: { max: { hp: 20500, atk: 18500, def: 9500 } },
+        categories: ['Movie Heroes', 'Goku\'s Family'],
+        leader_skill: { description: 'New leader skill' }
+      })
+    }
+  ];
+}
+
+test('trust rules pick the listed source, the union or the newest value', () => {
+  const { card, conflicts } = reconcileCards(entries(), { trustRules: TRUST_RULES });
+
+  assert.deepEqual(card.stats.max, { hp: 20500, atk: 18500, def: 9500 });
+  assert.equal(card.provenance['stats.max'], 'dokkanInfo');
+  assert.equal(card.atk, 18500);
+
+  assert.deepEqual(card.categories, ['Pure Saiyans', 'Movie Heroes', 'Goku\'s Family']);
+  assert.equal(card.provenance.categories, 'fandom+dokkanInfo');
+
+  // dokkanInfo reports no edit time, so its fetch time counts
+  assert.equal(card.leaderSkill, 'New leader skill');
+
+  assert.deepEqual(conflicts.map(conflict => [conflict.field, conflict.resolution.rule]).sort(), [
+    ['categories', 'union'],
+    ['leaderSkill', 'newest'],
+    ['stats.max', 'trust dokkanInfo > fandom']
+  ]);
+});
+
+test('case and whitespace differences are not conflicts', () => {
+  const { conflicts } = reconcileCards(entries(), { trustRules: TRUST_RULES });
+  assert.equal(conflicts.some(conflict => conflict.field === 'title'), false);
+});
+
+test('fields without a rule follow source priority', () => {
+  assert.deepEqual(resolve(null, [{ source: 'fandom', value: 'A' }, { source: 'dokkanInfo', value: 'B' }]), { rule: 'priority', source: 'fandom', value: 'A' });
+  // A ranking that names neither source falls back to priority too
+  assert.equal(resolve(['gameDump'], [{ source: 'fandom', value: 'A' }]).rule, 'priority');
+});
+
+test('reconcileCardLists matches cards across lists and labels conflicts with the card', () => {
+  const [fandom, dokkanInfo] = entries();
+  const { cards, conflicts } = reconcileCardLists([
+    { source: 'fandom', cards: [fandom.card, toCard('fandom', { id: '2', name: 'Vegeta' })], fetchedAt: fandom.fetchedAt },
+    { source: 'dokkanInfo', cards: [dokkanInfo.card], fetchedAt: dokkanInfo.fetchedAt }
+  ], { trustRules: TRUST_RULES });
+
+  assert.deepEqual(cards.map(card => card.name), ['Goku', 'Vegeta']);
+  assert.ok(conflicts.length > 0);
+  assert.ok(conflicts.every(conflict => conflict.cardId === '1' && conflict.name === 'Goku'));
+});
@@ -0,0 +1,83 @@
+// test/card-search.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const CardSearch = require('../lib/card-search');
+const { normalize, tokenize } = require('../lib/text-utils');
+const { holdsCards } = CardSearch;
+
+const CARDS = [
+  { id: '1', name: 'Super Saiyan God SS Goku', title: 'Divine Warrior', type: 'AGL', class: 'Super', rarity: 'LR', atk: 20000, categories: ['Realm of Gods'] },
+  { id: '2', name: 'Ultra Instinct Goku', title: 'Limit Breaker', type: 'TEQ', class: 'Super', rarity: 'LR', atk: 22000, categories: ['Universe Survival Saga'] },
+  { id: '3', name: 'Super Vegito', title: 'Potara Fusion', type: 'STR', class: 'Super', rarity: 'UR', atk: 15000, categories: ['Potara'], isEZA: true },
+  { id: '4', name: 'Cell (Perfect Form)', title: 'Perfect Being', type: 'INT', class: 'Extreme', rarity: 'UR', atk: 14000, categories: ['Androids/Cell Saga'] }
+];
+
+function fakeDataManager(cards = CARDS) {
+  const dataManager = new EventEmitter();
+  dataManager.findCards = async () => cards;
+  return dataManager;
+}
+
+const names = result => result.results.map(match => match.card.name);
+
+test('normalize lowercases, strips accents and punctuation', () => {
+  assert.equal(normalize('  Cell (Perfect Form)! '), 'cell perfect form');
+  assert.equal(normalize('Pokémon'), 'pokemon');
+  assert.deepEqual(tokenize('LR  Goku'), ['lr', 'goku']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('search matches abbreviations, misspellings and plurals', async () => {
+  const search = new CardSearch(fakeDataManager());
+  assert.equal(names(await search.search({ query: 'SSGSS Goku' }))[0], 'Super Saiyan God SS Goku');
+  assert.equal(names(await search.search({ query: 'UI Goku' }))[0], 'Ultra Instinct Goku');
+  assert.equal(names(await search.search({ query: 'vegitto' }))[0], 'Super Vegito');
+  assert.deepEqual(names(await search.search({ query: 'potaras' })), ['Super Vegito']);
+});
+
+test('type, class and rarity words in the query rank cards with those attributes first', async () => {
+  const search = new CardSearch(fakeDataManager());
+  const teq = await search.search({ query: 'TEQ Goku' });
+  assert.deepEqual(names(teq), ['Ultra Instinct Goku', 'Super Saiyan God SS Goku']);
+  assert.ok(teq.results[0].score > teq.results[1].score);
+  assert.deepEqual(names(await search.search({ query: 'extreme int' })), ['Cell (Perfect Form)']);
+});
+
+test('unrelated queries find nothing', async () => {
+  const search = new CardSearch(fakeDataManager());
+  assert.equal((await search.search({ query: 'Frieza' })).total, 0);
+});
+
+test('filters, sorting and pagination', async () => {
+  const search = new CardSearch(fakeDataManager());
+  const page = await search.search({ rarity: 'lr', sortBy: 'atk', pageSize: 1, page: 2 });
+  assert.equal(page.total, 2);
+  assert.equal(page.pages, 2);
+  assert.deepEqual(names(page), ['Super Saiyan God SS Goku']);
+
+  assert.deepEqual(names(await search.search({ atk: { min: 15000 }, isEZA: false })), ['Super Saiyan God SS Goku', 'Ultra Instinct Goku']);
+  await assert.rejects(search.search({ sortBy: 'power' }), /Unknown sortBy/);
+});
+
+test('user aliases are searched like names', async () => {
+  const search = new CardSearch(fakeDataManager(), { aliases: async () => new Map([['4', ['Bug']]]) });
+  assert.deepEqual(names(await search.search({ query: 'bug' })), ['Cell (Perfect Form)']);
+});
+
+test('the index is rebuilt after card writes but not after saved state writes', async () => {
+  let cards = CARDS.slice(0, 1);
+  const dataManager = fakeDataManager();
+  dataManager.findCards = async () => cards;
+  const search = new CardSearch(dataManager);
+  assert.equal((await search.search({})).total, 1);
+
+  cards = CARDS;
+  dataManager.emit('updated', 'state:source-health');
+  assert.equal((await search.search({})).total, 1);
+  dataManager.emit('updated', 'card:2');
+  assert.equal((await search.search({})).total, 4);
+
+  assert.equal(holdsCards('events'), true);
+  assert.equal(holdsCards('snapshot:events%40001'), false);
+});
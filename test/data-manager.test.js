@@ -0,0 +1,166 @@
+// test/data-manager.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const DataManager = require('../lib/data-manager');
+const { cacheKey, keyName, namespaceOf, isValidKey } = DataManager;
+
+const MINUTE = 60000;
+
+async function tempManager(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'data-manager-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const dataManager = new DataManager(dir);
+  // Opened up front (migration logs muted) so requests don't wait on it
+  const log = t.mock.method(console, 'log', () => {});
+  await dataManager.init();
+  log.mock.restore();
+  return dataManager;
+}
+
+// Date.now under the test's control; the store stamps entries with it
+function clock(t, start = Date.UTC(2024, 0, 1)) {
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: ms => { now += ms; } };
+}
+
+// events: ttl 30 minutes, then served stale for up to a day while refreshing
+test('a fresh entry is served without fetching', async t => {
+  const dataManager = await tempManager(t);
+  const time = clock(t);
+  await dataManager.cacheData('events', ['cached']);
+  time.advance(29 * MINUTE);
+
+  const fetch = t.mock.fn(async () => ['fetched']);
+  assert.deepEqual(await dataManager.getOrRefresh('events', fetch), ['cached']);
+  assert.equal(fetch.mock.callCount(), 0);
+  assert.equal(dataManager.getCacheInfo('events').fresh, true);
+});
+
+test('a stale entry is served while a background refresh replaces it', async t => {
+  const dataManager = await tempManager(t);
+  const time = clock(t);
+  await dataManager.cacheData('events', ['cached']);
+  time.advance(31 * MINUTE);
+  assert.equal(dataManager.getCacheInfo('events').stale, true);
+
+  const fetch = t.mock.fn(async () => ['fetched']);
+  const updated = once(dataManager, 'updated');
+  assert.deepEqual(await dataManager.getOrRefresh('events', fetch), ['cached']);
+  assert.deepEqual(await updated, ['events']);
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.deepEqual(await dataManager.getCachedData('events'), ['fetched']);
+  assert.equal(dataManager.getCacheInfo('events').fresh, true);
+});
+
+test('a failed background refresh keeps the stale entry and emits refreshFailed', async t => {
+  const dataManager = await tempManager(t);
+  const time = clock(t);
+  await dataManager.cacheData('events', ['cached']);
+  time.advance(31 * MINUTE);
+  t.mock.method(console, 'error', () => {});
+
+  const failed = once(dataManager, 'refreshFailed');
+  assert.deepEqual(await dataManager.getOrRefresh('events', async () => { throw new Error('down'); }), ['cached']);
+  const [{ key, error }] = await failed;
+  assert.equal(key, 'events');
+  assert.equal(error.message, 'down');
+  assert.deepEqual(await dataManager.getCachedData('events'), ['cached']);
+});
+
+test('an entry past its stale window is fetched before answering', async t => {
+  const dataManager = await tempManager(t);
+  const time = clock(t);
+  await dataManager.cacheData('events', ['cached']);
+  time.advance(30 * MINUTE + 24 * 60 * MINUTE);
+
+  const info = dataManager.getCacheInfo('events');
+  assert.equal(info.fresh, false);
+  assert.equal(info.stale, false);
+  assert.deepEqual(await dataManager.getOrRefresh('events', async () => ['fetched']), ['fetched']);
+});
+
+test('concurrent misses share one fetch', async t => {
+  const dataManager = await tempManager(t);
+  let release;
+  const fetch = t.mock.fn(() => new Promise(resolve => { release = resolve; }));
+
+  const first = dataManager.getOrRefresh('events', fetch);
+  const second = dataManager.getOrRefresh('events', fetch);
+  await new Promise(resolve => setImmediate(resolve));
+  release(['fetched']);
+
+  assert.deepEqual(await Promise.all([first, second]), [['fetched'], ['fetched']]);
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.equal(dataManager.refreshes.size, 0);
+});
+
+test('a waiter that cancels does not cancel the shared fetch', async t => {
+  const dataManager = await tempManager(t);
+  let release;
+  const fetch = t.mock.fn(() => new Promise(resolve => { release = resolve; }));
+  const controller = new AbortController();
+
+  const first = dataManager.getOrRefresh('events', fetch);
+  const second = dataManager.getOrRefresh('events', fetch, { signal: controller.signal });
+  await new Promise(resolve => setImmediate(resolve));
+  controller.abort();
+  await assert.rejects(second, { name: 'AbortError' });
+
+  release(['fetched']);
+  assert.deepEqual(await first, ['fetched']);
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('a null fetch result is not cached', async t => {
+  const dataManager = await tempManager(t);
+  assert.equal(await dataManager.getOrRefresh('events', async () => null), null);
+  assert.equal(dataManager.getCacheInfo('events').exists, false);
+});
+
+test('isValidKey accepts plain and namespaced keys', () => {
+  for (const key of ['cards', 'latest-cards', 'card:1011530', 'state:source-health', 'card:Goku%20%28Super%29']) {
+    assert.equal(isValidKey(key), true, key);
+  }
+});
+
+test('isValidKey rejects paths, dot names and oversized keys', () => {
+  const rejected = ['', '../cards', 'card:../x', 'card/1', 'card:..', '.', '..', 'a b', 'card:1:2', '1ns:x', 'x'.repeat(201), null, 42];
+  for (const key of rejected) assert.equal(isValidKey(key), false, String(key));
+  assert.equal(isValidKey('x'.repeat(200)), true);
+});
+
+test('cacheKey encodes external names into safe keys that decode back', () => {
+  const names = ['Goku (Super Saiyan)', '../../etc/passwd', '.', '..', "It's *Over* 9000!", 'Vegeta/Trunks', '孫悟空'];
+  for (const name of names) {
+    const key = cacheKey('card', name);
+    assert.equal(isValidKey(key), true, key);
+    assert.equal(namespaceOf(key), 'card');
+    assert.equal(keyName(key), name);
+  }
+  assert.equal(cacheKey('card', '..'), 'card:%2E%2E');
+  assert.equal(cacheKey('card', 1011530), 'card:1011530');
+});
+
+test('cacheKey rejects bad namespaces', () => {
+  for (const namespace of ['', '1card', 'card:x', '../data']) {
+    assert.throws(() => cacheKey(namespace, 'x'), /Invalid cache namespace/);
+  }
+});
+
+test('namespaceOf defaults to data for plain keys', () => {
+  assert.equal(namespaceOf('cards'), 'data');
+  assert.equal(namespaceOf('state:conflicts'), 'state');
+});
+
+test('reads and writes refuse invalid keys before touching the store', async t => {
+  const dataManager = await tempManager(t);
+  await assert.rejects(dataManager.cacheData('../escape', {}), /Invalid cache key/);
+  await assert.rejects(dataManager.getCachedData('card/1'), /Invalid cache key/);
+  await assert.rejects(dataManager.getOrRefresh('card:..', async () => ({})), /Invalid cache key/);
+  assert.deepEqual([...dataManager.store.keys()], []);
+});
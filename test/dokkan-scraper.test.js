@@ -0,0 +1,98 @@
+// test/dokkan-scraper.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const DokkanScraper = require('../lib/dokkan-scraper');
+
+// Serves test/fixtures/dokkaninfo/<path with / as ->.html, e.g. /cards/1018860 -> cards-1018860.html
+const FIXTURES = path.join(__dirname, 'fixtures', 'dokkaninfo');
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer(async (req, res) => {
+    const name = new URL(req.url, 'http://localhost').pathname.slice(1).replace(/\//g, '-');
+    try {
+      const html = await fs.readFile(path.join(FIXTURES, `${name}.html`));
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' }).end(html);
+    } catch {
+      res.writeHead(404).end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('a card page yields its fields, skills and stats by stage', async () => {
+  const card = await new DokkanScraper(baseUrl).scrapeCardData('1018860', { includeForms: false });
+
+  assert.equal(card.id, '1018860');
+  assert.equal(card.name, 'Super Saiyan God SS Vegito');
+  assert.equal(card.title, "Fusion Warrior's Surge");
+  assert.equal(card.type, 'Super TEQ');
+  assert.equal(card.rarity, 'LR');
+  assert.equal(card.cost, '58');
+  assert.equal(card.leader_skill.description, '"Potara" Category Ki +3 and HP, ATK & DEF +170%');
+  assert.deepEqual(card.active_skill, {
+    name: 'Spirit Sword',
+    description: 'Causes ultimate damage to enemy',
+    condition: 'Can be activated when HP is 59% or less (once only)'
+  });
+  assert.deepEqual(card.links, ['Super Saiyan', 'Fused Fighter', 'Godly Power']);
+  assert.deepEqual(card.categories, ['Potara', 'Fused Fighters']);
+  assert.deepEqual(card.stats, { hp: '21,085', atk: '18,338', def: '11,050' });
+  assert.deepEqual(Object.keys(card.stats_by_stage), ['base', 'max', '55%', '100%']);
+  assert.equal(card.eza, null);
+  assert.equal(card.forms, undefined);
+});
+
+test('multi-form cards follow transformations and exchanges once', async () => {
+  const card = await new DokkanScraper(baseUrl).scrapeCardData('1018860');
+
+  assert.deepEqual(card.transformations, [
+    { card_id: '1018861', condition: 'Starting from the 4th turn from the start of battle' }
+  ]);
+  assert.equal(card.forms.length, 1);
+  const [form] = card.forms;
+  assert.equal(form.name, 'Super Saiyan Blue Vegito');
+  assert.equal(form.standby_skill.condition, 'Can be activated when the fusion time runs out');
+  // The exchange back to the base form is listed but not scraped again
+  assert.deepEqual(form.exchanges, [{ card_id: '1018860', condition: 'When the standby skill ends' }]);
+  assert.deepEqual(form.forms, []);
+});
+
+test('list pages yield one record per entry and a healthy selector report', async () => {
+  const scraper = new DokkanScraper(baseUrl);
+  const cards = await scraper.getLatestCards();
+
+  assert.deepEqual(cards.map(card => card.id), ['1018860', '1018850', '1018840']);
+  assert.equal(cards[1].name, 'Super Saiyan 4 Vegeta');
+  assert.equal(cards[2].rarity, 'SSR');
+  assert.equal(scraper.getSelectorHealth().latestCards.ok, true);
+  assert.deepEqual(scraper.getSelectorHealth().latestCards.missing, []);
+});
+
+test('events split a combined date range', async () => {
+  const events = await new DokkanScraper(baseUrl).getEvents();
+
+  assert.deepEqual(events.map(event => [event.id, event.startDate, event.endDate]), [
+    ['530', '2024/05/30', '2024/06/13'],
+    ['215', '2024/05/01', '2024/06/30']
+  ]);
+});
+
+test('a page whose markup no longer matches is reported as broken', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const scraper = new DokkanScraper(baseUrl);
+
+  await assert.rejects(scraper.getMissions(), /missions page structure not recognised/);
+  assert.equal(scraper.getSelectorHealth().missions.ok, false);
+});
+
+test('a missing page fails with its HTTP status', async t => {
+  t.mock.method(console, 'error', () => {});
+  await assert.rejects(new DokkanScraper(baseUrl).getItems(), /HTTP error: 404/);
+});
@@ -0,0 +1,46 @@
+// test/json-rpc.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorCodes, rpcError, errorResponse, isNotification, processPayload } = require('../lib/json-rpc');
+
+const echo = async message => (message.id === undefined ? null : { jsonrpc: '2.0', result: message.method, id: message.id });
+
+test('errorResponse keeps the error code and data, and defaults to a server error', () => {
+  assert.deepEqual(errorResponse(1, rpcError(ErrorCodes.INVALID_PARAMS, 'Bad', { field: 'x' })), {
+    jsonrpc: '2.0',
+    error: { code: ErrorCodes.INVALID_PARAMS, message: 'Bad', data: { field: 'x' } },
+    id: 1
+  });
+  assert.equal(errorResponse(undefined, new Error('Boom')).error.code, ErrorCodes.SERVER_ERROR);
+  assert.equal(errorResponse(undefined, new Error('Boom')).id, null);
+});
+
+test('isNotification is true only for single messages without an id', () => {
+  assert.equal(isNotification({ jsonrpc: '2.0', method: 'notifications/initialized' }), true);
+  assert.equal(isNotification({ jsonrpc: '2.0', method: 'ping', id: 0 }), false);
+  assert.equal(isNotification([{ jsonrpc: '2.0', method: 'ping' }]), false);
+  assert.equal(isNotification(null), false);
+});
+
+test('processPayload dispatches a single message', async () => {
+  assert.deepEqual(await processPayload({ jsonrpc: '2.0', method: 'ping', id: 7 }, echo), { jsonrpc: '2.0', result: 'ping', id: 7 });
+});
+
+test('processPayload answers a batch without its notifications', async () => {
+  const responses = await processPayload([
+    { jsonrpc: '2.0', method: 'a', id: 1 },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', method: 'b', id: 2 }
+  ], echo);
+  assert.deepEqual(responses.map(response => response.id), [1, 2]);
+});
+
+test('processPayload returns null for a batch of notifications only', async () => {
+  assert.equal(await processPayload([{ jsonrpc: '2.0', method: 'notifications/initialized' }], echo), null);
+});
+
+test('processPayload rejects an empty batch', async () => {
+  const response = await processPayload([], echo);
+  assert.equal(response.error.code, ErrorCodes.INVALID_REQUEST);
+  assert.equal(response.id, null);
+});
@@ -0,0 +1,71 @@
+// test/leader-skills.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLeaderSkill, parseConditions, leaderSkillEffect, leaderSkillBuffs } = require('../lib/leader-skills');
+
+const TIERED = '"Pure Saiyans" Category Ki +3 and HP, ATK & DEF +130%, plus an additional HP, ATK & DEF +40% for characters who also belong to the "Movie Heroes" Category';
+const COMMA_OR = '"Exploding Rage" Category Ki +3 and HP, ATK & DEF +170%, or Super Class Ki +3 and HP, ATK & DEF +130%';
+
+const goku = { name: 'Goku', type: 'AGL', class: 'Super', categories: ['Pure Saiyans', 'Movie Heroes'] };
+const vegeta = { name: 'Vegeta', type: 'STR', class: 'Extreme', categories: ['Pure Saiyans', 'Exploding Rage'] };
+const gohan = { name: 'Gohan', type: 'TEQ', class: 'Super', categories: ['Hybrid Saiyans'] };
+
+test('parseConditions reads categories, types and classes', () => {
+  assert.deepEqual(parseConditions('"Super Saiyans" or Super AGL Type or Extreme Class'), [
+    { category: 'Super Saiyans' },
+    { class: 'Extreme' },
+    { type: 'AGL', class: 'Super' }
+  ]);
+});
+
+test('parseLeaderSkill reads ki, stats and "plus an additional" tiers', () => {
+  const [clause] = parseLeaderSkill(TIERED).clauses;
+  assert.deepEqual(clause.conditions, [{ category: 'Pure Saiyans' }]);
+  assert.deepEqual([clause.ki, clause.hp, clause.atk, clause.def], [3, 130, 130, 130]);
+  assert.equal(clause.tiers.length, 1);
+  assert.deepEqual(clause.tiers[0].conditions, [{ category: 'Movie Heroes' }]);
+  assert.deepEqual([clause.tiers[0].ki, clause.tiers[0].atk], [0, 40]);
+});
+
+test('parseLeaderSkill splits ", or" alternatives after an effect', () => {
+  const clauses = parseLeaderSkill(COMMA_OR).clauses;
+  assert.equal(clauses.length, 2);
+  assert.deepEqual(clauses.map(clause => [clause.alternative, clause.conditions, clause.atk]), [
+    [false, [{ category: 'Exploding Rage' }], 170],
+    [true, [{ class: 'Super' }], 130]
+  ]);
+});
+
+test('parseLeaderSkill keeps a ", or" inside the condition list in one clause', () => {
+  const clauses = parseLeaderSkill('"Pure Saiyans", or "Movie Heroes" Category Ki +3 and ATK +100%').clauses;
+  assert.equal(clauses.length, 1);
+  assert.deepEqual(clauses[0].conditions, [{ category: 'Pure Saiyans' }, { category: 'Movie Heroes' }]);
+});
+
+test('a unit gets the best alternative it matches, not their sum', () => {
+  assert.equal(leaderSkillEffect(vegeta, COMMA_OR).atk, 170);
+  assert.equal(leaderSkillEffect(gohan, COMMA_OR).atk, 130);
+  assert.equal(leaderSkillEffect({ ...vegeta, class: 'Super' }, COMMA_OR).atk, 170);
+  assert.equal(leaderSkillEffect({ type: 'INT', class: 'Extreme', categories: [] }, COMMA_OR).atk, 0);
+});
+
+test('tiers add up only for units meeting their condition', () => {
+  assert.equal(leaderSkillEffect(goku, TIERED).atk, 170);
+  assert.equal(leaderSkillEffect(vegeta, TIERED).atk, 130);
+  assert.equal(leaderSkillEffect(gohan, TIERED).atk, 0);
+  assert.deepEqual(leaderSkillEffect(goku, TIERED).applied.length, 2);
+});
+
+test('clauses separated by ";" add up', () => {
+  const effect = leaderSkillEffect(goku, 'AGL Type Ki +2 and ATK +50%; "Movie Heroes" Category ATK & DEF +30%');
+  assert.deepEqual([effect.ki, effect.atk, effect.def], [2, 80, 30]);
+});
+
+test('leaderSkillBuffs gives each leader\'s ATK/DEF as fractions and adds up Ki and HP', () => {
+  const result = leaderSkillBuffs(goku, TIERED, 'All Types Ki +2 and HP, ATK & DEF +100%');
+  assert.deepEqual(result.buffs, { leaderSkill1: { atk: 1.7, def: 1.7 }, leaderSkill2: { atk: 1, def: 1 } });
+  assert.equal(result.ki, 5);
+  assert.equal(result.hp, 270);
+
+  assert.deepEqual(leaderSkillBuffs(gohan, TIERED, null).buffs, { leaderSkill1: { atk: 0, def: 0 }, leaderSkill2: { atk: 0, def: 0 } });
+});
@@ -0,0 +1,85 @@
+// test/link-skills.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLinkEffect, normalizeLink, effectsAt, sharedLinkBuffs } = require('../lib/link-skills');
+
+const SUPER_ATTACK = { type: 'superAttack', text: 'when performing a Super Attack' };
+
+test('parseLinkEffect reads stats, units and targets', () => {
+  assert.deepEqual(parseLinkEffect('Ki +2 and ATK & DEF +10%; all allies\' DEF +5%').effects, [
+    { stat: 'ki', value: 2, unit: 'flat', target: 'self', condition: null },
+    { stat: 'atk', value: 10, unit: '%', target: 'self', condition: null },
+    { stat: 'def', value: 10, unit: '%', target: 'self', condition: null },
+    { stat: 'def', value: 5, unit: '%', target: 'allies', condition: null }
+  ]);
+  assert.deepEqual(parseLinkEffect('Reduces damage received by 5%; enemies\' DEF -10%').effects.map(effect => [effect.stat, effect.value, effect.target]), [
+    ['damageReduction', 5, 'self'],
+    ['def', -10, 'enemies']
+  ]);
+});
+
+test('a condition covering the whole text applies to every effect', () => {
+  const parsed = parseLinkEffect('Ki +1 and ATK & DEF +5% when performing a Super Attack');
+  assert.deepEqual(parsed.condition, SUPER_ATTACK);
+  assert.ok(parsed.effects.every(effect => effect.condition && effect.condition.type === 'superAttack'));
+});
+
+test('a condition on a later part applies only to that part', () => {
+  const parsed = parseLinkEffect('ATK +10%; plus an additional ATK +5% when performing a Super Attack');
+  assert.equal(parsed.condition, null);
+  assert.deepEqual(parsed.effects, [
+    { stat: 'atk', value: 10, unit: '%', target: 'self', condition: null },
+    { stat: 'atk', value: 5, unit: '%', target: 'self', condition: SUPER_ATTACK }
+  ]);
+});
+
+test('"plus an additional" keeps the target of the part before it', () => {
+  const parsed = parseLinkEffect('All allies\' ATK +5%, plus an additional ATK +5% when with Super Saiyan allies');
+  assert.deepEqual(parsed.effects.map(effect => effect.target), ['allies', 'allies']);
+  assert.deepEqual(parsed.effects[1].condition, { type: 'ally', text: 'when with Super Saiyan allies', name: 'Super Saiyan' });
+});
+
+test('effectsAt falls back to the highest known level below the one asked for', () => {
+  const link = normalizeLink({ name: 'Fierce Battle (Link Skill)', levels: { 1: 'ATK +15%', 10: 'ATK +20%' } });
+  assert.equal(link.name, 'Fierce Battle');
+  assert.equal(effectsAt(link, 5).level, 1);
+  assert.equal(effectsAt(link, 5).exact, false);
+  assert.equal(effectsAt(link).effects[0].value, 20);
+});
+
+test('sharedLinkBuffs counts unconditional parts without a Super Attack', () => {
+  const link = normalizeLink({ name: 'Shocking Speed', levels: { 10: 'ATK +10%; plus an additional ATK +5% when performing a Super Attack' } });
+  const index = new Map([['shocking speed', link]]);
+  const a = { name: 'A', links: ['Shocking Speed'] };
+  const b = { name: 'B', links: ['Shocking Speed', 'Fused Fighter'] };
+
+  const resting = sharedLinkBuffs(a, b, index, { conditions: { superAttack: false } });
+  assert.equal(resting.cardA.totals.atk, 10);
+  assert.deepEqual(resting.cardA.buffs.links, { atk: 0.1, def: 0 });
+  assert.equal(resting.cardA.conditional.length, 1);
+  assert.equal(resting.cardA.conditional[0].met, false);
+  assert.deepEqual(resting.cardA.conditional[0].effects.map(effect => effect.value), [5]);
+
+  const attacking = sharedLinkBuffs(a, b, index, { conditions: { superAttack: true } });
+  assert.equal(attacking.cardA.totals.atk, 15);
+  assert.deepEqual(attacking.cardA.conditional, []);
+});
+
+test('sharedLinkBuffs shares ally effects, checks ally conditions and reports unknown links', () => {
+  const index = new Map([
+    ['super saiyan', normalizeLink({ name: 'Super Saiyan', levels: { 10: 'ATK +10%' } })],
+    ['prepared for battle', normalizeLink({ name: 'Prepared for Battle', levels: { 10: 'All allies\' Ki +1' } })],
+    ['brainiacs', normalizeLink({ name: 'Brainiacs', levels: { 10: 'DEF +10% when with Android allies' } })]
+  ]);
+  const a = { name: 'Goku', links: ['Super Saiyan', 'Prepared for Battle', 'Brainiacs', 'Mystery'], categories: ['Pure Saiyans'] };
+  const b = { name: 'Android 17', links: ['Super Saiyan', 'Prepared for Battle', 'Brainiacs', 'Mystery'], categories: ['Androids'] };
+
+  const result = sharedLinkBuffs(a, b, index, { levelA: { 'super saiyan': 1 } });
+  assert.deepEqual(result.unknownLinks, ['Mystery']);
+  assert.equal(result.cardA.totals.ki, 2);
+  assert.equal(result.cardB.totals.ki, 2);
+  // Goku's neighbour is an Android; Android 17's is not
+  assert.equal(result.cardA.totals.def, 10);
+  assert.equal(result.cardB.totals.def, 0);
+  assert.equal(result.cardB.conditional[0].link, 'Brainiacs');
+});
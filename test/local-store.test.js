@@ -0,0 +1,95 @@
+// test/local-store.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LocalStore = require('../lib/local-store');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-store-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const cardOptions = {
+  documents: (key, value) => (key.startsWith('card:') ? [value] : []),
+  indexes: { name: card => card.name, category: card => card.categories },
+  tags: (key, value) => (value.categories || []).map(category => `category:${category}`)
+};
+
+test('writes survive a reopen', async t => {
+  const dir = await tempDir(t);
+  const store = new LocalStore(dir, cardOptions);
+  await store.open();
+  await store.write([{ op: 'put', key: 'card:1', value: { name: 'Goku', categories: ['Pure Saiyans'] } }]);
+  await store.write([{ op: 'put', key: 'events', value: [1, 2] }, { op: 'delete', key: 'missing' }]);
+
+  const reopened = new LocalStore(dir, cardOptions);
+  await reopened.open();
+  assert.deepEqual(reopened.get('card:1'), { name: 'Goku', categories: ['Pure Saiyans'] });
+  assert.deepEqual(reopened.get('events'), [1, 2]);
+  assert.deepEqual(reopened.keysWithTag('Category:pure  saiyans'), ['card:1']);
+  assert.deepEqual(reopened.query({ category: 'pure saiyans' }).map(result => result.key), ['card:1']);
+});
+
+test('a torn last line is dropped and cut from the log', async t => {
+  const dir = await tempDir(t);
+  const store = new LocalStore(dir, cardOptions);
+  await store.open();
+  await store.write([{ op: 'put', key: 'card:1', value: { name: 'Goku' } }]);
+  await fs.appendFile(path.join(dir, 'store.log'), '{"t":1,"ops":[{"op":"put","key":"card:2","val');
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  const reopened = new LocalStore(dir, cardOptions);
+  await reopened.open();
+  assert.equal(warn.mock.callCount(), 1);
+  assert.deepEqual(reopened.keys(), ['card:1']);
+
+  // The next append starts on a fresh line and reads back
+  await reopened.write([{ op: 'put', key: 'card:3', value: { name: 'Vegeta' } }]);
+  const content = await fs.readFile(path.join(dir, 'store.log'), 'utf8');
+  assert.equal(content.trim().split('\n').length, 2);
+  const again = new LocalStore(dir, cardOptions);
+  await again.open();
+  assert.deepEqual(again.keys().sort(), ['card:1', 'card:3']);
+});
+
+test('clear and delete drop entries from every index', async t => {
+  const store = new LocalStore(await tempDir(t), cardOptions);
+  await store.open();
+  await store.write([
+    { op: 'put', key: 'card:1', value: { name: 'Goku', categories: ['Pure Saiyans'] } },
+    { op: 'put', key: 'card:2', value: { name: 'Gohan', categories: ['Hybrid Saiyans'] } }
+  ]);
+  await store.write([{ op: 'delete', key: 'card:1' }]);
+  assert.deepEqual(store.query({ name: 'goku' }), []);
+  assert.deepEqual(store.keysWithTag('category:Pure Saiyans'), []);
+
+  await store.write([{ op: 'clear' }]);
+  assert.deepEqual(store.keys(), []);
+  assert.deepEqual(store.query({}), []);
+});
+
+test('compaction keeps one line per live key plus the schema line', async t => {
+  const dir = await tempDir(t);
+  const store = new LocalStore(dir, cardOptions);
+  await store.open();
+  await store.write([{ op: 'schema', version: 2 }]);
+  for (let i = 0; i < 250; i++) {
+    await store.write([{ op: 'put', key: `card:${i % 3}`, value: { name: `Goku ${i}` }, tags: ['kept'] }]);
+  }
+
+  const lines = (await fs.readFile(path.join(dir, 'store.log'), 'utf8')).trim().split('\n');
+  assert.ok(lines.length < 250, `expected a compacted log, got ${lines.length} lines`);
+
+  await store.compact();
+  const compacted = (await fs.readFile(path.join(dir, 'store.log'), 'utf8')).trim().split('\n');
+  assert.equal(compacted.length, 4);
+
+  const reopened = new LocalStore(dir, cardOptions);
+  await reopened.open();
+  assert.equal(reopened.schemaVersion, 2);
+  assert.deepEqual(reopened.get('card:0'), { name: 'Goku 249' });
+  assert.deepEqual(reopened.keysWithTag('kept').sort(), ['card:0', 'card:1', 'card:2']);
+});
@@ -0,0 +1,50 @@
+// test/snapshot-diff.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recordsOf, recordId, fieldDeltas, diffValues } = require('../lib/snapshot-diff');
+
+test('recordsOf reads datasets, lists and single records', () => {
+  assert.deepEqual(recordsOf({ data: [{ id: 1 }], timestamp: 1 }), [{ id: 1 }]);
+  assert.deepEqual(recordsOf([{ id: 1 }]), [{ id: 1 }]);
+  assert.deepEqual(recordsOf({ id: 1 }), [{ id: 1 }]);
+  assert.deepEqual(recordsOf(null), []);
+});
+
+test('recordId matches records by id, EZA card id, or title and start date', () => {
+  assert.equal(recordId({ id: 10, name: 'Goku' }), 'id:10');
+  assert.equal(recordId({ card_id: 5 }), 'card:5');
+  assert.equal(recordId({ title: 'Dokkan Festival', startDate: '2024-01-01' }), 'Dokkan Festival|2024-01-01');
+});
+
+test('fieldDeltas reports nested and added/removed fields', () => {
+  assert.deepEqual(fieldDeltas(
+    { name: 'Goku', stats: { atk: 100 }, links: ['A'] },
+    { name: 'Goku', stats: { atk: 120 }, links: ['A', 'B'], isEZA: true }
+  ), [
+    { field: 'isEZA', from: undefined, to: true },
+    { field: 'links', from: ['A'], to: ['A', 'B'] },
+    { field: 'stats.atk', from: 100, to: 120 }
+  ]);
+});
+
+test('diffValues sorts records into added, removed, changed and unchanged', () => {
+  const diff = diffValues(
+    { data: [{ id: 1, atk: 100 }, { id: 2, atk: 200 }, { id: 3 }] },
+    { data: [{ id: 1, atk: 150 }, { id: 2, atk: 200 }, { id: 4 }] }
+  );
+  assert.deepEqual(diff.added, [{ id: 4 }]);
+  assert.deepEqual(diff.removed, [{ id: 3 }]);
+  assert.deepEqual(diff.changed, [{ id: 'id:1', record: { id: 1, atk: 150 }, changes: [{ field: 'atk', from: 100, to: 150 }] }]);
+  assert.equal(diff.unchanged, 1);
+});
+
+test('diffValues compares a single record as itself even when its identity changed', () => {
+  const diff = diffValues({ name: 'Goku', title: 'Old' }, { name: 'Goku', title: 'New' });
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.changed[0].changes, [{ field: 'title', from: 'Old', to: 'New' }]);
+});
+
+test('diffValues treats everything as added when there was no earlier value', () => {
+  assert.deepEqual(diffValues(null, [{ id: 1 }, { id: 2 }]).added, [{ id: 1 }, { id: 2 }]);
+});
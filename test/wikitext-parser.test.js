@@ -0,0 +1,76 @@
+// test/wikitext-parser.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCardPage } = require('../lib/wikitext-parser');
+
+// Shaped like a Dokkan Fandom card page: one {{Characters}} infobox, icons and links inline
+function cardPage(rarity) {
+  return `{{Characters
+|image = [[File:Card 1018860 thumb.png]]
+|name = Super Saiyan God SS Vegito
+|title = Fusion Warrior's Surge
+|rarity = ${rarity}
+|type = [[File:Super TEQ icon.png|link=Category:Super TEQ]] Super TEQ
+|cost = 58
+|id = 1018860
+|HP = 21,085
+|ATK = 18,338
+|DEF = 11,050
+|leader skill = [[:Category:Potara|"Potara"]] Category Ki +3 and HP, ATK & DEF +170%
+|category = [[Potara]]*[[Fused Fighters]]
+}}
+'''Super Saiyan God SS Vegito''' is a character card.
+[[Category:Super TEQ]]`;
+}
+
+test('full rarity names map to their abbreviations', () => {
+  const expected = {
+    'Legendary Rare': 'LR',
+    'Ultra Rare': 'UR',
+    'Super Super Rare': 'SSR',
+    'Super Rare': 'SR',
+    'Rare': 'R',
+    'Normal': 'N'
+  };
+  for (const [name, rarity] of Object.entries(expected)) {
+    assert.equal(parseCardPage(cardPage(name)).rarity, rarity, name);
+  }
+});
+
+test('abbreviations, links and templates still parse', () => {
+  const samples = {
+    'LR': 'LR',
+    'ssr': 'SSR',
+    '[[:Category:UR|UR]]': 'UR',
+    '[[Legendary Rare]]': 'LR',
+    '{{Rarity|UR}}': 'UR',
+    "'''SR'''": 'SR'
+  };
+  for (const [wikitext, rarity] of Object.entries(samples)) {
+    assert.equal(parseCardPage(cardPage(wikitext)).rarity, rarity, wikitext);
+  }
+});
+
+test('rarity icons are read from their file name', () => {
+  assert.equal(parseCardPage(cardPage('[[File:Rarity LR.png|link=Category:LR]]')).rarity, 'LR');
+  assert.equal(parseCardPage(cardPage('[[File:UR_icon.png|30px]]')).rarity, 'UR');
+  assert.equal(parseCardPage(cardPage('[[File:Super Rare icon.png]]')).rarity, 'SR');
+});
+
+test('a missing or unrecognised rarity is left undefined', () => {
+  assert.equal(parseCardPage(cardPage('')).rarity, undefined);
+  assert.equal(parseCardPage(cardPage('Unknown')).rarity, undefined);
+});
+
+test('the rest of the infobox parses alongside the rarity', () => {
+  const card = parseCardPage(cardPage('Legendary Rare'), { title: 'Fusion Warrior\'s Surge Super Saiyan God SS Vegito', pageId: 4242 });
+  assert.equal(card.id, '1018860');
+  assert.equal(card.name, 'Super Saiyan God SS Vegito');
+  assert.equal(card.type, 'TEQ');
+  assert.equal(card.class, 'Super');
+  assert.equal(card.cost, 58);
+  assert.deepEqual(card.stats, { hp: 21085, atk: 18338, def: 11050 });
+  assert.deepEqual(card.categories, ['Potara', 'Fused Fighters']);
+  assert.deepEqual(card.wikiCategories, ['Super TEQ']);
+  assert.equal(card.pageId, 4242);
+});